@@ -0,0 +1,1520 @@
+/**
+ * @module app
+ * @description The RoachJS application and router factories. The app wires
+ * together the router, middleware chain, request/response wrappers and a
+ * uWebSockets.js server.
+ *
+ * This module never imports uWebSockets.js itself — the module is passed in by
+ * the entry point, so the app can be built and driven without a native server.
+ */
+
+import { existsSync, readFileSync } from 'node:fs'
+import { createSecureContext } from 'node:tls'
+import { Router, buildPath, prefixPath, normalizePath, encodePath, compareVersions } from './router.js'
+import { createRequest, snapshotRequest, createBodyStream, readBody, versionFromAccept } from './request.js'
+import { createResponse } from './response.js'
+import { MiddlewareChain, appendVary } from './middleware.js'
+import { WebSocketRouter } from './websocket.js'
+import { HostRouter } from './host.js'
+import { DEFAULT_LIMITS, isMultipart, readMultipart, removeUploads } from './multipart.js'
+import { BodyParsers } from './body.js'
+import { DEFAULT_QUERY_OPTIONS } from './querystring.js'
+import { debug, RoachError, InvalidRouteError, PayloadTooLargeError, MethodNotAllowedError, UnsupportedVersionError } from './errors.js'
+
+/** @type {string[]} Supported HTTP methods */
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head']
+
+/**
+ * @description Create a RoachJS application on top of a uWebSockets.js module.
+ * roach() calls this with the real module; see roach() for the full docs.
+ *
+ * @param {Object} uWS - The uWebSockets.js module
+ * @param {RoachOptions} [options] - Application options
+ * @returns {RoachApp} A new RoachJS application
+ * @throws {RoachError} If an option is invalid
+ *
+ * @example
+ * import uWS from 'uWebSockets.js'
+ *
+ * const app = createApp(uWS, { bodyLimit: 1024 * 1024 })
+ */
+export function createApp(uWS, options = {}) {
+    const appOptions = options
+    const bodyLimit = options.bodyLimit === undefined ? Infinity : options.bodyLimit
+    if (!isValidBodyLimit(bodyLimit)) {
+        throw new RoachError(`bodyLimit must be a non-negative number of bytes, got ${bodyLimit}`, 500, 'INVALID_OPTIONS')
+    }
+    const autoHead = options.autoHead !== false
+    const autoOptions = options.autoOptions !== false
+    const redirectTrailingSlash = options.redirectTrailingSlash === true
+    const versioning = options.versioning || {}
+    const versionHeader = versioning.header || 'Accept-Version'
+    const defaultVersion = versioning.defaultVersion === undefined ? null : versioning.defaultVersion
+    if (defaultVersion !== null && (typeof defaultVersion !== 'string' || !defaultVersion)) {
+        throw new RoachError(`versioning.defaultVersion must be a non-empty string, got ${defaultVersion}`, 500, 'INVALID_OPTIONS')
+    }
+    const multipartProblem = options.multipart === undefined ? null : multipartOptionsError(options.multipart)
+    if (multipartProblem) {
+        throw new RoachError(multipartProblem, 500, 'INVALID_OPTIONS')
+    }
+    const multipartDefaults = { ...DEFAULT_LIMITS, ...options.multipart }
+    const queryProblem = options.query === undefined ? null : queryOptionsError(options.query)
+    if (queryProblem) {
+        throw new RoachError(queryProblem, 500, 'INVALID_OPTIONS')
+    }
+    const queryOptions = { ...DEFAULT_QUERY_OPTIONS, ...options.query }
+    const cookieSecrets = options.cookieSecret === undefined ? [] : [].concat(options.cookieSecret)
+    if (options.cookieSecret !== undefined && (cookieSecrets.length === 0 || cookieSecrets.some((secret) => typeof secret !== 'string' || !secret))) {
+        throw new RoachError('cookieSecret must be a non-empty string, or an array of them (newest first)', 500, 'INVALID_OPTIONS')
+    }
+
+    const router = createTree()
+    const middlewareChain = new MiddlewareChain({ caseSensitive: options.caseSensitive })
+    const webSockets = new WebSocketRouter()
+    const subRouters = []
+    const hosts = new HostRouter()
+    const bodyParsers = new BodyParsers()
+    let subRoutersCompiled = false
+    let listenSocket = null
+
+    let errorHandler = defaultErrorHandler
+    let notFoundHandler = defaultNotFoundHandler
+    let methodNotAllowedHandler = defaultMethodNotAllowedHandler
+
+    /**
+     * @description Default error handler. Sends a JSON error response with
+     * the error's status code and message.
+     * @param {Error} err - The error that occurred
+     * @param {import('./request.js').RoachRequest} req - Request object
+     * @param {import('./response.js').RoachResponse} res - Response object
+     */
+    function defaultErrorHandler(err, req, res) {
+        debug('error', `${err.name || 'Error'}: ${err.message}`)
+        const statusCode = err.statusCode || 500
+        if (!res.sent) {
+            res.status(statusCode).json({
+                error: err.message || 'Something exploded. Check your error handler.'
+            })
+        }
+    }
+
+    /**
+     * @description Default not-found handler. Sends a 404 JSON response.
+     * The cockroaches checked everywhere — route not found.
+     * @param {import('./request.js').RoachRequest} req - Request object
+     * @param {import('./response.js').RoachResponse} res - Response object
+     */
+    function defaultNotFoundHandler(req, res) {
+        res.status(404).json({
+            error: `Route not found: ${req.method} ${req.path}. The cockroaches checked everywhere.`
+        })
+    }
+
+    /**
+     * @description Default method-not-allowed handler. Sends a 405 JSON response;
+     * the Allow header is already set by the time this runs.
+     * @param {import('./request.js').RoachRequest} req - Request object
+     * @param {import('./response.js').RoachResponse} res - Response object
+     * @param {string[]} allowed - Methods registered for the path
+     */
+    function defaultMethodNotAllowedHandler(req, res, allowed) {
+        res.status(405).json({
+            error: new MethodNotAllowedError(req.method, req.path, allowed).message
+        })
+    }
+
+    /**
+     * @description Merge every mounted sub-router (at any depth) into the main
+     * route tree, so one lookup answers for the whole app. Routers mounted with
+     * app.host() are merged into a separate tree per host. Runs once, when the
+     * server starts; routers mounted after that, and routes added to mounted
+     * routers, are merged as they are registered.
+     * Each merged route remembers the chain of routers it came from, which
+     * drives router middleware and error handlers.
+     *
+     * @returns {void}
+     * @throws {RouteConflictError} If two routes end up with the same method and path
+     */
+    function compileSubRouters() {
+        if (subRoutersCompiled) return
+        compileMounts(router, subRouters, '', [])
+        for (const entry of hosts.entries) {
+            entry.value.tree = createTree()
+            compileMounts(entry.value.tree, entry.value.mounts, '', [])
+        }
+        subRoutersCompiled = true
+    }
+
+    /**
+     * @description Create an empty route tree with the app's path-matching options.
+     *
+     * @returns {Router} The new tree
+     */
+    function createTree() {
+        return new Router({ caseSensitive: options.caseSensitive, strictTrailingSlash: options.strictTrailingSlash })
+    }
+
+    /**
+     * @description Collect the methods a path answers to, including the HEAD and
+     * OPTIONS methods answered automatically.
+     *
+     * @param {string} path - URL path
+     * @param {Router|null} hostTree - Tree of the host the request matched, if any
+     * @returns {string[]} Sorted method names, empty if nothing matches the path
+     */
+    function allowedMethods(path, hostTree) {
+        const methods = new Set(router.allowedMethods(path))
+        if (hostTree) {
+            for (const method of hostTree.allowedMethods(path)) methods.add(method)
+        }
+
+        if (methods.size > 0) {
+            if (autoHead && methods.has('GET')) methods.add('HEAD')
+            if (autoOptions) methods.add('OPTIONS')
+        }
+        return Array.from(methods).sort()
+    }
+
+    /**
+     * @description Collect the versions registered for a method and path, in
+     * the request's host tree and the app's tree. HEAD also counts the GET
+     * versions when automatic HEAD is on.
+     *
+     * @param {string} method - Uppercase HTTP method
+     * @param {string} path - URL path
+     * @param {Router|null} hostTree - Tree of the host the request matched, if any
+     * @returns {string[]} Versions from lowest to highest
+     */
+    function allowedVersions(method, path, hostTree) {
+        const methods = method === 'HEAD' && autoHead ? ['HEAD', 'GET'] : [method]
+        const versions = new Set()
+        for (const tree of hostTree ? [hostTree, router] : [router]) {
+            for (const m of methods) {
+                for (const version of tree.allowedVersions(m, path)) versions.add(version)
+            }
+        }
+        return Array.from(versions).sort(compareVersions)
+    }
+
+    /**
+     * @description Work out which route version a request asks for: the version
+     * header, then a version in the Accept media type, then the configured
+     * default. Only consulted when some route has a version.
+     *
+     * @param {Object<string, string>} headers - Request headers, lowercase names
+     * @returns {{ version: string|null, status: number }} The version, and the status to answer with if it isn't registered
+     */
+    function requestedVersion(headers) {
+        const header = (headers[versionHeader.toLowerCase()] || '').trim()
+        if (header) return { version: header, status: 400 }
+
+        const accepted = versionFromAccept(headers.accept)
+        if (accepted) return { version: accepted, status: 406 }
+
+        return { version: defaultVersion, status: 400 }
+    }
+
+    /**
+     * @description Mark a response as depending on the requested version, so
+     * caches keep the versions apart.
+     *
+     * @param {import('./response.js').RoachResponse} res - Response object
+     * @returns {void}
+     */
+    function varyOnVersion(res) {
+        appendVary(res, versionHeader)
+        appendVary(res, 'Accept')
+    }
+
+    /**
+     * @description Build the middleware list for a matched route: app middleware,
+     * then the middleware of each sub-router the route lives in (outermost
+     * first, matched against the path relative to that router), then the
+     * route's own middleware.
+     *
+     * @param {string} path - URL path
+     * @param {import('./router.js').RouteMatch} route - The matched route
+     * @returns {Function[]} Ordered middleware functions
+     */
+    function resolveMiddleware(path, route) {
+        if (route.scopes.length === 0) {
+            return middlewareChain.resolve(path, route.middleware)
+        }
+
+        const fns = middlewareChain.resolve(path, [])
+        for (const scope of route.scopes) {
+            fns.push(...scope.router._middleware.resolve(path.slice(scope.prefix.length) || '/', []))
+        }
+        fns.push(...route.middleware)
+        return fns
+    }
+
+    /**
+     * @description List routes of mounted sub-routers (at any depth) for
+     * app.routes(), in mount order.
+     *
+     * @param {SubRouterMount[]} mounts - Mounts to list
+     * @param {string} basePrefix - Combined prefix of the owner of the mounts
+     * @param {RouterScope[]} scopes - Routers already descended through
+     * @param {string|null} host - Host pattern the mounts belong to, or null
+     * @param {RouteInfo[]} list - Accumulated route descriptions
+     * @returns {void}
+     */
+    function listMountedRoutes(mounts, basePrefix, scopes, host, list) {
+        for (const mount of mounts) {
+            const prefix = basePrefix + mount.prefix
+            const chain = [...scopes, { router: mount.router, prefix }]
+            for (const route of mount.router._router.routes) {
+                list.push(describeRoute(route, prefixPath(prefix, route.path), prefix || '/', chain, host))
+            }
+            listMountedRoutes(mount.router._subRouters, prefix, chain, host, list)
+        }
+    }
+
+    /**
+     * @description Describe a route for app.routes().
+     *
+     * @param {import('./router.js').RouteRecord} route - The route
+     * @param {string} path - Full path pattern, including mount prefixes
+     * @param {string|null} mountedAt - Combined mount prefix, or null for app routes
+     * @param {RouterScope[]} scopes - Routers the route is mounted through
+     * @param {string|null} host - Host pattern the route is mounted for, or null
+     * @returns {RouteInfo} The description
+     */
+    function describeRoute(route, path, mountedAt, scopes, host) {
+        return {
+            method: route.method,
+            path,
+            name: route.options.name || null,
+            version: route.options.version === undefined ? null : route.options.version,
+            middlewareCount: resolveMiddleware(path, { middleware: route.middleware, scopes }).length,
+            mountedAt,
+            host
+        }
+    }
+
+    /**
+     * @description Find the route for a method and path, answering HEAD with
+     * the GET route when automatic HEAD is on. The tree of the request's host
+     * is searched first, then the app's own tree.
+     *
+     * @param {string} method - Uppercase HTTP method
+     * @param {string} path - URL path
+     * @param {RouteLookup} lookup - Host tree and requested version of the request
+     * @returns {import('./router.js').RouteMatch|null} The match, or null
+     */
+    function findRoute(method, path, lookup) {
+        if (lookup.hostTree) {
+            const route = findInTree(lookup.hostTree, method, path, lookup.version)
+            if (route) return route
+        }
+        return findInTree(router, method, path, lookup.version)
+    }
+
+    /**
+     * @description Look a route up in one tree, with the HEAD to GET fallback.
+     *
+     * @param {Router} tree - Tree to search
+     * @param {string} method - Uppercase HTTP method
+     * @param {string} path - URL path
+     * @param {string|null} version - Requested route version, if any
+     * @returns {import('./router.js').RouteMatch|null} The match, or null
+     */
+    function findInTree(tree, method, path, version) {
+        const route = tree.find(method, path, version)
+        if (!route && method === 'HEAD' && autoHead) {
+            return tree.find('GET', path, version)
+        }
+        return route
+    }
+
+    /**
+     * @description Work out where redirectTrailingSlash should send a request:
+     * to the registered form of the matched route when the trailing slash
+     * differs, or to the other form of the path when only that one matches.
+     * Wildcard routes are left alone, since they accept either form.
+     *
+     * @param {string} method - Uppercase HTTP method
+     * @param {string} path - URL path
+     * @param {import('./router.js').RouteMatch|null} route - The route matched for the path
+     * @param {RouteLookup} lookup - Host tree and requested version of the request
+     * @returns {string|null} The path to redirect to, or null to carry on
+     */
+    function trailingSlashTarget(method, path, route, lookup) {
+        if (path === '/') return null
+
+        const hasSlash = path.endsWith('/')
+        const toggled = hasSlash ? path.slice(0, -1) : path + '/'
+
+        if (route) {
+            if (route.path.includes('*')) return null
+            const wantsSlash = route.path.length > 1 && route.path.endsWith('/')
+            return hasSlash === wantsSlash ? null : toggled
+        }
+        return findRoute(method, toggled, lookup) ? toggled : null
+    }
+
+    /**
+     * @description Core request handler. Called for every incoming HTTP request.
+     * Reads the body (if present), creates req/res wrappers, resolves matching
+     * route, runs middleware chain, and invokes the handler.
+     *
+     * The uWS request is only valid until this function returns, so it is
+     * snapshotted up front and never touched again; the req object is built
+     * from the snapshot, possibly after the body has arrived.
+     *
+     * @param {string} method - HTTP method
+     * @param {import('uWebSockets.js').HttpResponse} uRes - Raw uWS response
+     * @param {import('uWebSockets.js').HttpRequest} uReq - Raw uWS request
+     * @returns {void}
+     */
+    function handleRequest(method, uRes, uReq) {
+        const snapshot = snapshotRequest(uReq, uRes)
+        const { url, query, headers } = snapshot
+
+        const upperMethod = method.toUpperCase()
+        const res = createResponse(uRes, { head: upperMethod === 'HEAD', cookieSecrets })
+        let aborted = false
+        let bodyStream = null
+        uRes.onAborted(() => {
+            aborted = true
+            res._abort()
+            if (bodyStream) {
+                bodyStream.destroy(new RoachError('Request aborted by client', 499, 'REQUEST_ABORTED'))
+            }
+        })
+
+        let resolvedPath
+        try {
+            resolvedPath = normalizePath(url.split('?')[0])
+        } catch (err) {
+            errorHandler(err, createRequest(snapshot, {}, null, null, { queryOptions, cookieSecrets }), res)
+            return
+        }
+        const host = hosts.match(headers.host)
+        const hostTree = host ? host.entry.value.tree : null
+        const requested = router.hasVersions || (hostTree && hostTree.hasVersions)
+            ? requestedVersion(headers)
+            : { version: null, status: 400 }
+        const lookup = { hostTree, version: requested.version }
+        const route = findRoute(upperMethod, resolvedPath, lookup)
+        const routeVersion = route ? route.options.version : undefined
+        const context = {
+            path: resolvedPath,
+            hostParams: host ? host.params : {},
+            version: routeVersion === undefined ? requested.version : routeVersion,
+            parsers: bodyParsers,
+            queryOptions,
+            cookieSecrets
+        }
+
+        if (redirectTrailingSlash) {
+            const target = trailingSlashTarget(upperMethod, resolvedPath, route, lookup)
+            if (target) {
+                const status = upperMethod === 'GET' || upperMethod === 'HEAD' ? 301 : 308
+                debug('app', `Redirecting ${resolvedPath} to ${target} (${status})`)
+                const location = encodePath(target)
+                res.redirect(query ? `${location}?${query}` : location, status)
+                return
+            }
+        }
+
+        let scopes = route ? route.scopes : mountedScopes(subRouters, resolvedPath, '', [])
+        if (!route && host) {
+            scopes = [...scopes, ...mountedScopes(host.entry.value.mounts, resolvedPath, '', [])]
+        }
+        const onError = nearestHandler(scopes, '_errorHandler') || errorHandler
+
+        const multipart = route && route.options.body !== 'stream' && isMultipart(headers['content-type'])
+            ? { ...multipartDefaults, ...route.options.multipart }
+            : null
+
+        // A body stream that crosses its limit is reported as soon as it happens.
+        // The handler reading the stream then fails with the same error, which
+        // must not reach the error handler a second time.
+        let reportedError = null
+        const onRouteError = (err, errReq, errRes) => {
+            if (err !== reportedError) onError(err, errReq, errRes)
+        }
+
+        const processRequest = (bodyBuffer) => {
+            if (aborted) return null
+
+            const req = createRequest(snapshot, route ? route.params : {}, bodyBuffer, bodyStream, context)
+
+            if (!route) {
+                const allowed = allowedMethods(resolvedPath, hostTree)
+                const onNotFound = nearestHandler(scopes, '_notFoundHandler') || notFoundHandler
+                const versions = requested.version === null ? [] : allowedVersions(upperMethod, resolvedPath, hostTree)
+                let fallback = () => onNotFound(req, res)
+                if (versions.length > 0) {
+                    const err = new UnsupportedVersionError(requested.version, versions, requested.status)
+                    varyOnVersion(res)
+                    fallback = () => onError(err, req, res)
+                } else if (allowed.length > 0) {
+                    res.set('Allow', allowed.join(', '))
+                    if (upperMethod === 'OPTIONS' && autoOptions) {
+                        fallback = () => res.status(204).end()
+                    } else {
+                        fallback = () => methodNotAllowedHandler(req, res, allowed)
+                    }
+                }
+
+                const fallbackMw = middlewareChain.resolve(resolvedPath, [])
+                if (fallbackMw.length > 0) {
+                    middlewareChain.execute(fallbackMw, req, res, fallback, onError)
+                } else {
+                    fallback()
+                }
+                return req
+            }
+
+            if (routeVersion !== undefined) varyOnVersion(res)
+            const middlewareFns = resolveMiddleware(resolvedPath, route)
+            middlewareChain.execute(middlewareFns, req, res, route.handler, onRouteError)
+            return req
+        }
+
+        if (upperMethod === 'GET' || upperMethod === 'HEAD' || upperMethod === 'OPTIONS') {
+            processRequest(null)
+            return
+        }
+
+        const limit = route && route.options.bodyLimit !== undefined ? route.options.bodyLimit : bodyLimit
+        const contentLength = Number(headers['content-length'])
+        if (contentLength > limit) {
+            debug('app', `Rejected ${contentLength}-byte body on ${upperMethod} ${resolvedPath} (limit ${limit})`)
+            onError(new PayloadTooLargeError(limit), createRequest(snapshot, route ? route.params : {}, null, null, context), res)
+            return
+        }
+
+        if (route && route.options.body === 'stream') {
+            let req = null
+            bodyStream = createBodyStream(uRes, limit, (err) => {
+                if (aborted || !req || res.sent) return
+                reportedError = err
+                onError(err, req, res)
+            })
+            req = processRequest(null)
+        } else if (multipart) {
+            bodyStream = createBodyStream(uRes, limit)
+            readMultipart(bodyStream, headers['content-type'], multipart).then((upload) => {
+                bodyStream = null
+                context.upload = upload
+                // Whatever the handler hasn't moved away by the time the
+                // response is done is left over, even if middleware rejected
+                // the request or the handler threw
+                if (multipart.storage === 'disk') res._onDone(() => removeUploads(upload))
+                processRequest(null)
+            }).catch((err) => {
+                if (!aborted) {
+                    onError(err, createRequest(snapshot, route.params, null, null, context), res)
+                }
+            })
+        } else {
+            readBody(uRes, limit).then(processRequest).catch((err) => {
+                if (!aborted) {
+                    onError(err, createRequest(snapshot, route ? route.params : {}, null, null, context), res)
+                }
+            })
+        }
+    }
+
+    /** @type {RoachApp} */
+    const app = {
+        /**
+         * @description Register a middleware function. Can be called with just a function
+         * (global middleware), with a path prefix and function (scoped middleware), or
+         * with a path prefix and a sub-router. A sub-router passed on its own is
+         * mounted at the root.
+         *
+         * @param {string|Function|RoachRouter} pathOrFn - Path prefix, middleware function or sub-router
+         * @param {Function|RoachRouter} [fn] - Middleware function or sub-router
+         * @returns {RoachApp} This app for chaining
+         *
+         * @example
+         * // Global middleware
+         * app.use((req, res, next) => { console.log(req.method); next() })
+         *
+         * // Scoped middleware
+         * app.use('/api', (req, res, next) => { next() })
+         *
+         * // Sub-router
+         * const api = roach.router()
+         * api.get('/ping', (req, res) => res.send('pong'))
+         * app.use('/api', api)
+         */
+        use(pathOrFn, fn) {
+            if (typeof pathOrFn === 'function') {
+                middlewareChain.add(null, pathOrFn)
+            } else if (pathOrFn && pathOrFn._isRoachRouter) {
+                mountRouter(subRouters, '/', pathOrFn)
+                if (subRoutersCompiled) compileMounts(router, subRouters.slice(-1), '', [])
+            } else if (typeof pathOrFn === 'string' && fn) {
+                if (fn._isRoachRouter) {
+                    mountRouter(subRouters, pathOrFn, fn)
+                    if (subRoutersCompiled) compileMounts(router, subRouters.slice(-1), '', [])
+                } else {
+                    middlewareChain.add(pathOrFn, fn)
+                }
+            }
+            return app
+        },
+
+        /**
+         * @description Mount a sub-router for requests whose Host header matches a
+         * pattern. Plain labels match exactly and `:name` labels capture one label
+         * into req.hostParams. Exact hosts are tried before patterns, and patterns
+         * in registration order. A request whose host matches is routed through
+         * that host's routers first, falling back to the app's routes if none
+         * match. Calling host() again with the same pattern mounts another router
+         * for it.
+         *
+         * @param {string} pattern - Host pattern (e.g., 'api.example.com' or ':tenant.example.com')
+         * @param {RoachRouter} subRouter - Router serving that host
+         * @returns {RoachApp} This app for chaining
+         * @throws {InvalidRouteError} If the pattern is malformed or subRouter is not a router
+         *
+         * @example
+         * const tenant = roach.router()
+         * tenant.get('/', (req, res) => res.send(`Welcome, ${req.hostParams.tenant}`))
+         *
+         * app.host('api.example.com', apiRouter)
+         * app.host(':tenant.example.com', tenant)
+         */
+        host(pattern, subRouter) {
+            if (!subRouter || !subRouter._isRoachRouter) {
+                throw new InvalidRouteError(String(pattern), 'app.host() needs a router from roach.router()')
+            }
+
+            const entry = hosts.get(pattern) || hosts.add(pattern, { mounts: [], tree: null })
+            mountRouter(entry.value.mounts, '/', subRouter)
+            if (subRoutersCompiled) {
+                if (!entry.value.tree) entry.value.tree = createTree()
+                compileMounts(entry.value.tree, entry.value.mounts.slice(-1), '', [])
+            }
+            return app
+        },
+
+        /**
+         * @description Register a route that matches all HTTP methods.
+         *
+         * @param {string} path - Route path pattern
+         * @param {...Function} handlers - Middleware and handler functions (last one is the handler)
+         * @returns {RoachApp} This app for chaining
+         *
+         * @example
+         * app.all('/health', (req, res) => res.send('OK'))
+         */
+        all(path, ...handlers) {
+            const { options, middleware, handler } = parseRouteArgs(path, handlers)
+            for (const method of HTTP_METHODS) {
+                router.add(method.toUpperCase(), path, middleware, handler, options)
+            }
+            return app
+        },
+
+        /**
+         * @description Register a WebSocket route. The upgrade request is matched by
+         * the route tree (so `:param` segments work) and runs through the middleware
+         * chain first — middleware that responds instead of calling next() rejects
+         * the connection. Extra arguments before the handlers object are treated as
+         * route-level middleware.
+         *
+         * @param {string} path - Route path pattern
+         * @param {...(Function|import('./websocket.js').WebSocketHandlers)} handlers - Middleware functions followed by the handlers object
+         * @returns {RoachApp} This app for chaining
+         *
+         * @example
+         * app.ws('/chat/:room', authMiddleware, {
+         *   compression: true,
+         *   maxPayloadLength: 64 * 1024,
+         *   idleTimeout: 60,
+         *   open: (ws) => ws.send(`Welcome to ${ws.getUserData().params.room}`),
+         *   message: (ws, message, isBinary) => ws.send(message, isBinary)
+         * })
+         */
+        ws(path, ...handlers) {
+            const behavior = handlers.pop()
+            const middleware = handlers
+            webSockets.add(path, middleware, behavior)
+            return app
+        },
+
+        /**
+         * @description Publish a message to every WebSocket subscribed to a topic.
+         * Sockets join topics with ws.subscribe(topic) and leave with
+         * ws.unsubscribe(topic); ws.getTopics() lists a socket's topics.
+         *
+         * @param {string} topic - Topic to publish to
+         * @param {string|ArrayBuffer|Buffer} message - Message to send
+         * @param {{ binary?: boolean, compress?: boolean }} [options] - Frame options
+         * @returns {boolean} Whether the message was published (false before listen())
+         *
+         * @example
+         * app.post('/announce', (req, res) => {
+         *   app.publish('announcements', JSON.stringify(req.body))
+         *   res.status(202).end()
+         * })
+         */
+        publish(topic, message, options) {
+            return webSockets.publish(topic, message, options)
+        },
+
+        /**
+         * @description Count the WebSockets currently subscribed to a topic.
+         *
+         * @param {string} topic - Topic to count subscribers for
+         * @returns {number} Number of subscribers (0 before listen())
+         *
+         * @example
+         * app.get('/rooms/:id/online', (req, res) => {
+         *   res.json({ online: app.numSubscribers(`room:${req.params.id}`) })
+         * })
+         */
+        numSubscribers(topic) {
+            return webSockets.numSubscribers(topic)
+        },
+
+        /**
+         * @description Build the URL path of a named route. Params are URL-encoded
+         * and checked against the route's constraints, and the prefixes of any
+         * sub-routers the route is mounted under are included. Routes registered
+         * on the app win over sub-router routes with the same name, and those win
+         * over routes mounted for a host. Only the path is built, never the host.
+         *
+         * @param {string} name - Route name given with { name } at registration
+         * @param {Object<string, *>} [params] - Values for the route's params
+         * @param {{ query?: Object<string, *> }} [urlOptions] - Query parameters to append
+         * @returns {string} The path, with a query string if one was given
+         * @throws {RoachError} If no route has the name, or a param is missing or invalid
+         *
+         * @example
+         * app.get('/users/:id<int>', { name: 'user.show' }, showUser)
+         * app.url('user.show', { id: 42 }, { query: { tab: 'posts' } })
+         * // => '/users/42?tab=posts'
+         */
+        url(name, params = {}, urlOptions = {}) {
+            let found = router.names.has(name)
+                ? { prefix: '', route: router.names.get(name) }
+                : findNamedRoute(subRouters, name, '')
+            for (const entry of hosts.entries) {
+                if (found) break
+                found = findNamedRoute(entry.value.mounts, name, '')
+            }
+            if (!found) {
+                throw new RoachError(`No route named "${name}". The cockroaches searched every router.`, 500, 'ROUTE_NAME_UNKNOWN')
+            }
+
+            const path = buildPath(prefixPath(found.prefix, found.route.path), params, name)
+            const query = stringifyQuery(urlOptions.query)
+            return query ? `${path}?${query}` : path
+        },
+
+        /**
+         * @description List every registered route, from the app and all mounted
+         * sub-routers, in registration and mount order, followed by the routes
+         * mounted for each host. The middleware count
+         * covers app, router and route middleware that applies to the route's
+         * path. HEAD and OPTIONS answered automatically are not listed.
+         *
+         * @returns {RouteInfo[]} One entry per method and path
+         *
+         * @example
+         * app.get('/users/:id', { name: 'user.show' }, auth, showUser)
+         * app.routes()
+         * // => [{ method: 'GET', path: '/users/:id', name: 'user.show', version: null, middlewareCount: 1, mountedAt: null, host: null }]
+         */
+        routes() {
+            const list = []
+            for (const route of router.routes) {
+                if (route.scopes.length > 0) continue
+                list.push(describeRoute(route, route.path, null, [], null))
+            }
+            listMountedRoutes(subRouters, '', [], null, list)
+            for (const entry of hosts.entries) {
+                listMountedRoutes(entry.value.mounts, '', [], entry.pattern, list)
+            }
+            return list
+        },
+
+        /**
+         * @description Render app.routes() as a plain-text table, ready to log at
+         * startup or compare in a test.
+         *
+         * @returns {string} The route table
+         *
+         * @example
+         * console.log(app.printRoutes())
+         * // METHOD  PATH        NAME       MIDDLEWARE  MOUNTED AT
+         * // GET     /users/:id  user.show  1           -
+         */
+        printRoutes() {
+            return formatRouteTable(app.routes())
+        },
+
+        /**
+         * @description Register a body parser for a media type. req.body runs the
+         * most specific parser for the request's Content-Type the first time it
+         * is read: exact types beat suffixes like 'application/*+json', which
+         * beat wildcards like 'text/*'. Registering a built-in type replaces the
+         * built-in parser. Parsers are synchronous; a thrown error becomes a
+         * BodyParseError (400) unless it is already a RoachError.
+         *
+         * @param {string} contentType - Media type pattern (e.g., 'application/xml', 'text/*', 'application/*+xml')
+         * @param {import('./body.js').BodyParser} parser - (body, req) => value, where body is the raw Buffer
+         * @returns {RoachApp} This app for chaining
+         * @throws {RoachError} If the pattern is malformed or the parser isn't a function
+         *
+         * @example
+         * app.addContentTypeParser('application/yaml', (body) => YAML.parse(body.toString()))
+         */
+        addContentTypeParser(contentType, parser) {
+            bodyParsers.add(contentType, parser)
+            return app
+        },
+
+        /**
+         * @description Set a custom error handler. Receives (err, req, res).
+         *
+         * @param {Function} handler - Error handler function
+         * @returns {RoachApp} This app for chaining
+         *
+         * @example
+         * app.onError((err, req, res) => {
+         *   res.status(500).json({ error: err.message })
+         * })
+         */
+        onError(handler) {
+            errorHandler = handler
+            return app
+        },
+
+        /**
+         * @description Set a custom not-found handler. Called when no route matches.
+         *
+         * @param {Function} handler - Not-found handler function
+         * @returns {RoachApp} This app for chaining
+         *
+         * @example
+         * app.onNotFound((req, res) => {
+         *   res.status(404).json({ error: 'Route not found' })
+         * })
+         */
+        onNotFound(handler) {
+            notFoundHandler = handler
+            return app
+        },
+
+        /**
+         * @description Set a custom method-not-allowed handler. Called when the path
+         * matches a route but not for the request's method. Receives
+         * (req, res, allowed); the Allow header is already set on res.
+         *
+         * @param {Function} handler - Method-not-allowed handler function
+         * @returns {RoachApp} This app for chaining
+         *
+         * @example
+         * app.onMethodNotAllowed((req, res, allowed) => {
+         *   res.status(405).json({ error: `Use one of: ${allowed.join(', ')}` })
+         * })
+         */
+        onMethodNotAllowed(handler) {
+            methodNotAllowedHandler = handler
+            return app
+        },
+
+        /**
+         * @description Start the server on the specified port. Serves HTTPS when
+         * TLS options are given here or to roach(); the `sni` map adds extra
+         * certificates on the same listener, selected by server name. uWS keeps a
+         * separate route table per server name, so handlers are attached to each.
+         * Mounted sub-routers are merged into the main route tree first.
+         *
+         * @param {number} port - Port number to listen on
+         * @param {ListenOptions|Function} [options] - Listen options, or the callback
+         * @param {Function} [callback] - Called once the server is listening
+         * @returns {RoachApp} This app for chaining
+         * @throws {RoachError} If the TLS key or certificate file cannot be found
+         * @throws {RouteConflictError} If a mounted sub-router registers a method and path that already exists
+         *
+         * @example
+         * app.listen(3000, () => {
+         *   console.log('RoachJS running on port 3000')
+         * })
+         *
+         * app.listen(443, {
+         *   https: { key_file_name: 'key.pem', cert_file_name: 'cert.pem' }
+         * })
+         */
+        listen(port, options, callback) {
+            if (typeof options === 'function') {
+                callback = options
+                options = {}
+            }
+
+            compileSubRouters()
+
+            const tls = (options && options.https) || appOptions.https
+            const uwsApp = tls ? uWS.SSLApp(toSSLOptions(tls, 'https')) : uWS.App()
+
+            const attachHandlers = () => {
+                webSockets.attach(uwsApp, uWS, {
+                    middlewareChain,
+                    queryOptions,
+                    cookieSecrets,
+                    onError: (err, req, res) => errorHandler(err, req, res),
+                    onNotFound: (req, res) => notFoundHandler(req, res)
+                })
+
+                uwsApp.any('/*', (uRes, uReq) => {
+                    const method = uReq.getMethod().toUpperCase()
+                    handleRequest(method, uRes, uReq)
+                })
+            }
+
+            attachHandlers()
+
+            if (tls && tls.sni) {
+                for (const [serverName, sniOptions] of Object.entries(tls.sni)) {
+                    uwsApp.addServerName(serverName, toSSLOptions(sniOptions, `https.sni["${serverName}"]`))
+                    uwsApp.domain(serverName)
+                    attachHandlers()
+                    debug('app', `Added TLS server name ${serverName}`)
+                }
+            }
+
+            uwsApp.listen(port, (token) => {
+                if (token) {
+                    listenSocket = token
+                    debug('app', `Listening on port ${port}${tls ? ' (https)' : ''}`)
+                    if (callback) callback()
+                } else {
+                    throw new RoachError(
+                        `Failed to listen on port ${port}. Is the port already in use? ` +
+                        `Check if another process is using it: lsof -i :${port}`,
+                        500,
+                        'LISTEN_FAILED'
+                    )
+                }
+            })
+
+            return app
+        },
+
+        /**
+         * @description Stop the HTTP server and release the port.
+         *
+         * @returns {void}
+         *
+         * @example
+         * app.close()
+         */
+        close() {
+            if (listenSocket) {
+                uWS.us_listen_socket_close(listenSocket)
+                listenSocket = null
+                debug('app', 'Server closed')
+            }
+        }
+    }
+
+    for (const method of HTTP_METHODS) {
+        /**
+         * @description Register a route for a specific HTTP method.
+         * Extra arguments before the last one are treated as route-level middleware.
+         * An options object may come first, before any middleware.
+         *
+         * @param {string} path - Route path pattern
+         * @param {...(Function|import('./router.js').RouteOptions)} handlers - Optional route options, middleware and handler functions
+         * @returns {RoachApp} This app for chaining
+         *
+         * @example
+         * app.get('/users/:id', (req, res) => res.json({ id: req.params.id }))
+         * app.post('/users', authMiddleware, (req, res) => res.status(201).json(req.body))
+         * app.post('/upload', { body: 'stream' }, async (req, res) => {
+         *   await pipeline(req.stream, fs.createWriteStream('/tmp/upload'))
+         *   res.status(201).end()
+         * })
+         */
+        app[method] = (path, ...handlers) => {
+            const { options, middleware, handler } = parseRouteArgs(path, handlers)
+            router.add(method.toUpperCase(), path, middleware, handler, options)
+            return app
+        }
+    }
+
+    return app
+}
+
+/**
+ * @description Split the arguments of a route registration into route options,
+ * route-level middleware and the final handler. Route options are a plain object
+ * placed before any middleware: app.post('/upload', { body: 'stream' }, handler).
+ *
+ * @param {string} path - Route path, for error messages
+ * @param {Array<Function|import('./router.js').RouteOptions>} handlers - Arguments after the path
+ * @returns {{ options: import('./router.js').RouteOptions, middleware: Function[], handler: Function }}
+ * @throws {InvalidRouteError} If the handler is missing or an option is invalid
+ */
+function parseRouteArgs(path, handlers) {
+    const handler = handlers.pop()
+    if (typeof handler !== 'function') {
+        throw new InvalidRouteError(path, 'The last argument must be a handler function')
+    }
+
+    let options = {}
+    if (handlers.length > 0 && typeof handlers[0] === 'object' && handlers[0] !== null) {
+        options = handlers.shift()
+    }
+
+    if (options.body !== undefined && options.body !== 'buffer' && options.body !== 'stream') {
+        throw new InvalidRouteError(path, `Unknown body mode "${options.body}" — use 'buffer' or 'stream'`)
+    }
+    if (options.bodyLimit !== undefined && !isValidBodyLimit(options.bodyLimit)) {
+        throw new InvalidRouteError(path, `bodyLimit must be a non-negative number of bytes, got ${options.bodyLimit}`)
+    }
+    if (options.name !== undefined && (typeof options.name !== 'string' || !options.name)) {
+        throw new InvalidRouteError(path, 'Route name must be a non-empty string')
+    }
+    if (options.version !== undefined && (typeof options.version !== 'string' || !options.version)) {
+        throw new InvalidRouteError(path, `Route version must be a non-empty string like '2', got ${options.version}`)
+    }
+    if (options.multipart !== undefined) {
+        const problem = multipartOptionsError(options.multipart)
+        if (problem) throw new InvalidRouteError(path, problem)
+        if (options.multipart.storage === 'disk' && options.body === 'stream') {
+            throw new InvalidRouteError(path, "multipart storage 'disk' reads the body itself, so it can't be combined with { body: 'stream' }")
+        }
+    }
+
+    return { options, middleware: handlers, handler }
+}
+
+/**
+ * @description Check multipart options, on roach() or on a route.
+ *
+ * @param {*} multipart - The configured multipart options
+ * @returns {string|null} What is wrong with them, or null if they are fine
+ */
+function multipartOptionsError(multipart) {
+    if (!multipart || typeof multipart !== 'object') {
+        return `multipart must be an object like { maxFileSize: 1048576 }, got ${multipart}`
+    }
+    for (const name of ['maxFiles', 'maxFileSize', 'maxFieldSize']) {
+        if (multipart[name] !== undefined && !isValidBodyLimit(multipart[name])) {
+            return `multipart.${name} must be a non-negative number, got ${multipart[name]}`
+        }
+    }
+    if (multipart.storage !== undefined && multipart.storage !== 'memory' && multipart.storage !== 'disk') {
+        return `Unknown multipart storage "${multipart.storage}" — use 'memory' or 'disk'`
+    }
+    if (multipart.dir !== undefined && (typeof multipart.dir !== 'string' || !multipart.dir)) {
+        return `multipart.dir must be a directory path, got ${multipart.dir}`
+    }
+    return null
+}
+
+/**
+ * @description Check the query string options given to roach().
+ *
+ * @param {*} query - The configured query options
+ * @returns {string|null} What is wrong with them, or null if they are fine
+ */
+function queryOptionsError(query) {
+    if (!query || typeof query !== 'object') {
+        return `query must be an object like { parameterLimit: 100 }, got ${query}`
+    }
+    if (query.nested !== undefined && typeof query.nested !== 'boolean') {
+        return `query.nested must be true or false, got ${query.nested}`
+    }
+    if (query.depth !== undefined && !(Number.isInteger(query.depth) && query.depth >= 0)) {
+        return `query.depth must be a non-negative integer, got ${query.depth}`
+    }
+    if (query.parameterLimit !== undefined && !(Number.isInteger(query.parameterLimit) && query.parameterLimit > 0)) {
+        return `query.parameterLimit must be a positive integer, got ${query.parameterLimit}`
+    }
+    return null
+}
+
+/**
+ * @description Check that a body limit is a usable byte count.
+ *
+ * @param {*} limit - The configured limit
+ * @returns {boolean} Whether the limit is a non-negative number (Infinity allowed)
+ */
+function isValidBodyLimit(limit) {
+    return typeof limit === 'number' && limit >= 0
+}
+
+/**
+ * @description Convert RoachJS TLS options into the options object uWS.SSLApp and
+ * addServerName expect. Checks up front that the referenced files exist and
+ * that the key loads and matches the certificate, because uWS only reports a
+ * bare construction failure when they don't.
+ *
+ * @param {TLSOptions} tls - TLS options
+ * @param {string} label - Where the options came from, for error messages
+ * @returns {Object} uWS AppOptions
+ * @throws {RoachError} If the key or certificate is missing, unreadable or mismatched
+ *
+ * @example
+ * toSSLOptions({ key_file_name: 'key.pem', cert_file_name: 'cert.pem' }, 'https')
+ * // => { key_file_name: 'key.pem', cert_file_name: 'cert.pem' }
+ */
+export function toSSLOptions(tls, label) {
+    for (const field of ['key_file_name', 'cert_file_name']) {
+        if (!tls[field]) {
+            throw new RoachError(`Missing ${label}.${field}. HTTPS needs both a key and a certificate file.`, 500, 'TLS_CONFIG_INVALID')
+        }
+    }
+
+    for (const field of ['key_file_name', 'cert_file_name', 'dh_params_file_name']) {
+        if (tls[field] && !existsSync(tls[field])) {
+            throw new RoachError(`${label}.${field} points to "${tls[field]}", which does not exist.`, 500, 'TLS_CONFIG_INVALID')
+        }
+    }
+
+    try {
+        createSecureContext({
+            key: readFileSync(tls.key_file_name),
+            cert: readFileSync(tls.cert_file_name),
+            passphrase: tls.passphrase
+        })
+    } catch (err) {
+        throw new RoachError(
+            `${label}.key_file_name and ${label}.cert_file_name don't load together (${err.message}). ` +
+            'Check that the key belongs to the certificate and the passphrase is right.',
+            500,
+            'TLS_CONFIG_INVALID'
+        )
+    }
+
+    const sslOptions = {
+        key_file_name: tls.key_file_name,
+        cert_file_name: tls.cert_file_name
+    }
+    if (tls.passphrase) sslOptions.passphrase = tls.passphrase
+    if (tls.dh_params_file_name) sslOptions.dh_params_file_name = tls.dh_params_file_name
+    return sslOptions
+}
+
+/**
+ * @description Mount a sub-router under a prefix. The prefix is normalized to
+ * start with a slash and drop any trailing one, so '/' mounts at the root.
+ *
+ * @param {SubRouterMount[]} mounts - Mount list of the owning app or router
+ * @param {string} prefix - Path prefix to mount at
+ * @param {RoachRouter} subRouter - The router to mount
+ * @returns {void}
+ */
+function mountRouter(mounts, prefix, subRouter) {
+    if (!prefix.startsWith('/')) prefix = '/' + prefix
+    if (prefix.endsWith('/')) prefix = prefix.slice(0, -1)
+    mounts.push({ prefix, router: subRouter })
+    debug('app', `Mounted sub-router at ${prefix || '/'}`)
+}
+
+/**
+ * @description Check whether a path falls under a mount prefix.
+ *
+ * @param {string} path - URL path
+ * @param {string} prefix - Normalized mount prefix ('' for the root)
+ * @returns {boolean} True if the path is the prefix or below it
+ */
+function isUnderPrefix(path, prefix) {
+    return path === prefix || path.startsWith(prefix + '/')
+}
+
+/**
+ * @description Copy the routes of mounted sub-routers into a route tree,
+ * recursing into routers mounted inside them. Prefixes add up along the way,
+ * and every route is tagged with the chain of routers it came from. Each
+ * router remembers where it was copied to, so routes and routers added to it
+ * later land in the same trees.
+ *
+ * @param {Router} target - The tree to merge into
+ * @param {SubRouterMount[]} mounts - Mounts to merge
+ * @param {string} basePrefix - Combined prefix of the owner of the mounts
+ * @param {RouterScope[]} scopes - Routers already descended through
+ * @returns {void}
+ * @throws {RouteConflictError} If a merged route already exists in the tree
+ */
+function compileMounts(target, mounts, basePrefix, scopes) {
+    for (const mount of mounts) {
+        const prefix = basePrefix + mount.prefix
+        const chain = [...scopes, { router: mount.router, prefix }]
+        mount.router._middleware.caseSensitive = target.caseSensitive
+        target.mount(prefix, mount.router._router, chain)
+        mount.router._compiled.push({ tree: target, prefix, scopes: chain })
+        compileMounts(target, mount.router._subRouters, prefix, chain)
+    }
+}
+
+/**
+ * @description Find a named route in mounted sub-routers, depth-first in
+ * mount order, along with the combined prefix it is mounted under.
+ *
+ * @param {SubRouterMount[]} mounts - Mounts to search
+ * @param {string} name - Route name
+ * @param {string} basePrefix - Combined prefix of the owner of the mounts
+ * @returns {{ prefix: string, route: import('./router.js').RouteRecord }|null} The route, or null
+ */
+function findNamedRoute(mounts, name, basePrefix) {
+    for (const mount of mounts) {
+        const prefix = basePrefix + mount.prefix
+        const route = mount.router._router.names.get(name)
+        if (route) return { prefix, route }
+
+        const nested = findNamedRoute(mount.router._subRouters, name, prefix)
+        if (nested) return nested
+    }
+    return null
+}
+
+/**
+ * @description Serialize query parameters for app.url(). Arrays repeat the
+ * key, and undefined or null values are left out.
+ *
+ * @param {Object<string, *>} [query] - Query parameters
+ * @returns {string} The encoded query string, without the leading '?'
+ *
+ * @example
+ * stringifyQuery({ tag: ['a', 'b'], page: 2 }) // => 'tag=a&tag=b&page=2'
+ */
+function stringifyQuery(query) {
+    if (!query) return ''
+
+    const pairs = []
+    for (const [key, value] of Object.entries(query)) {
+        for (const item of Array.isArray(value) ? value : [value]) {
+            if (item === undefined || item === null) continue
+            pairs.push(`${encodeURIComponent(key)}=${encodeURIComponent(String(item))}`)
+        }
+    }
+    return pairs.join('&')
+}
+
+/**
+ * @description Lay out route descriptions as an aligned plain-text table. A
+ * HOST column is added when any route is mounted for a host, and a VERSION
+ * column when any route has a version.
+ *
+ * @param {RouteInfo[]} routes - Routes to show
+ * @returns {string} The table, one line per route after a header line
+ */
+export function formatRouteTable(routes) {
+    const withHosts = routes.some((route) => route.host)
+    const withVersions = routes.some((route) => route.version !== null)
+    const rows = [['METHOD', 'PATH', 'NAME', 'MIDDLEWARE', 'MOUNTED AT']]
+    if (withVersions) rows[0].splice(2, 0, 'VERSION')
+    if (withHosts) rows[0].unshift('HOST')
+
+    for (const route of routes) {
+        const row = [route.method, route.path, route.name || '-', String(route.middlewareCount), route.mountedAt || '-']
+        if (withVersions) row.splice(2, 0, route.version || '-')
+        if (withHosts) row.unshift(route.host || '*')
+        rows.push(row)
+    }
+
+    const widths = rows[0].map((_, col) => Math.max(...rows.map((row) => row[col].length)))
+    return rows
+        .map((row) => row.map((cell, col) => col === row.length - 1 ? cell : cell.padEnd(widths[col])).join('  '))
+        .join('\n')
+}
+
+/**
+ * @description Find the chain of sub-routers mounted over a path that matched
+ * no route, following the first covering mount at each level. Only runs on
+ * the not-found path, to pick the nearest not-found and error handlers.
+ *
+ * @param {SubRouterMount[]} mounts - Mounts to search
+ * @param {string} path - Full URL path
+ * @param {string} basePrefix - Combined prefix of the owner of the mounts
+ * @param {RouterScope[]} scopes - Routers already descended through
+ * @returns {RouterScope[]} The routers covering the path, outermost first
+ */
+function mountedScopes(mounts, path, basePrefix, scopes) {
+    for (const mount of mounts) {
+        const prefix = basePrefix + mount.prefix
+        if (isUnderPrefix(path, prefix)) {
+            return mountedScopes(mount.router._subRouters, path, prefix, [...scopes, { router: mount.router, prefix }])
+        }
+    }
+    return scopes
+}
+
+/**
+ * @description Pick the handler set by the innermost router in a scope chain.
+ *
+ * @param {RouterScope[]} scopes - Routers the request passed through, outermost first
+ * @param {'_errorHandler'|'_notFoundHandler'} key - Which handler to look up
+ * @returns {Function|null} The nearest handler, or null if no router set one
+ */
+function nearestHandler(scopes, key) {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const handler = scopes[i].router[key]
+        if (handler) return handler
+    }
+    return null
+}
+
+/**
+ * @description Create a standalone router for grouping routes under a common prefix.
+ * Mount it on an app with app.use('/prefix', router). Routers can have their own
+ * middleware, error and not-found handlers, and can be mounted inside each other
+ * to any depth — the prefixes add up.
+ *
+ * Router middleware only runs for routes registered on that router (or on a
+ * router mounted inside it), after the app's middleware. Errors from those
+ * routes go to the nearest router error handler, falling back to the app's.
+ *
+ * @returns {RoachRouter} A new router instance
+ *
+ * @example
+ * const admin = roach.router()
+ * admin.use(requireAdmin)
+ * admin.get('/stats', (req, res) => res.json(stats()))
+ *
+ * const api = roach.router()
+ * api.get('/ping', (req, res) => res.send('pong'))
+ * api.use('/admin', admin)
+ * api.onError((err, req, res) => res.status(err.statusCode || 500).json({ error: err.message }))
+ *
+ * app.use('/api', api) // GET /api/admin/stats
+ */
+export function createRouter() {
+    const subRouter = new Router()
+
+    const routerObj = {
+        /** @type {boolean} Internal flag to identify RoachJS routers */
+        _isRoachRouter: true,
+        /** @type {Router} The underlying route tree */
+        _router: subRouter,
+        /** @type {MiddlewareChain} Middleware scoped to this router's routes */
+        _middleware: new MiddlewareChain(),
+        /** @type {SubRouterMount[]} Routers mounted inside this one */
+        _subRouters: [],
+        /** @type {Function|null} Error handler for this router's routes */
+        _errorHandler: null,
+        /** @type {Function|null} Not-found handler for paths under this router */
+        _notFoundHandler: null,
+        /** @type {CompiledMount[]} Trees this router's routes were merged into, once the app listens */
+        _compiled: [],
+
+        /**
+         * @description Register router middleware or mount a nested router. Paths
+         * are relative to wherever this router is mounted.
+         *
+         * @param {string|Function|RoachRouter} pathOrFn - Path prefix, middleware function or sub-router
+         * @param {Function|RoachRouter} [fn] - Middleware function or sub-router
+         * @returns {RoachRouter} This router for chaining
+         *
+         * @example
+         * api.use(authMiddleware)
+         * api.use('/v1', v1Router)
+         */
+        use(pathOrFn, fn) {
+            if (typeof pathOrFn === 'function') {
+                routerObj._middleware.add(null, pathOrFn)
+            } else if (pathOrFn && pathOrFn._isRoachRouter) {
+                mountNested('/', pathOrFn)
+            } else if (typeof pathOrFn === 'string' && fn) {
+                if (fn._isRoachRouter) {
+                    mountNested(pathOrFn, fn)
+                } else {
+                    routerObj._middleware.add(pathOrFn, fn)
+                }
+            }
+            return routerObj
+        },
+
+        /**
+         * @description Set an error handler for this router's routes, including
+         * routers mounted inside it that have none of their own.
+         *
+         * @param {Function} handler - Error handler (err, req, res)
+         * @returns {RoachRouter} This router for chaining
+         */
+        onError(handler) {
+            routerObj._errorHandler = handler
+            return routerObj
+        },
+
+        /**
+         * @description Set a not-found handler for unmatched paths under this
+         * router's prefix.
+         *
+         * @param {Function} handler - Not-found handler (req, res)
+         * @returns {RoachRouter} This router for chaining
+         */
+        onNotFound(handler) {
+            routerObj._notFoundHandler = handler
+            return routerObj
+        }
+    }
+
+    /**
+     * @description Register a route, and copy it into every tree this router
+     * was already merged into, so routes added after listen() are served too.
+     *
+     * @param {string} method - Uppercase HTTP method
+     * @param {string} path - Route path pattern
+     * @param {Function[]} middleware - Route-level middleware
+     * @param {Function} handler - The route handler
+     * @param {import('./router.js').RouteOptions} options - Route options
+     * @returns {void}
+     */
+    const addRoute = (method, path, middleware, handler, options) => {
+        const route = subRouter.add(method, path, middleware, handler, options)
+        for (const compiled of routerObj._compiled) {
+            compiled.tree.mountRoute(compiled.prefix, route, compiled.scopes)
+        }
+    }
+
+    /**
+     * @description Mount a nested router, merging it into every tree this
+     * router was already merged into.
+     *
+     * @param {string} prefix - Path prefix, relative to this router
+     * @param {RoachRouter} nested - The router to mount
+     * @returns {void}
+     */
+    const mountNested = (prefix, nested) => {
+        mountRouter(routerObj._subRouters, prefix, nested)
+        for (const compiled of routerObj._compiled) {
+            compileMounts(compiled.tree, routerObj._subRouters.slice(-1), compiled.prefix, compiled.scopes)
+        }
+    }
+
+    for (const method of HTTP_METHODS) {
+        routerObj[method] = (path, ...handlers) => {
+            const { options, middleware, handler } = parseRouteArgs(path, handlers)
+            addRoute(method.toUpperCase(), path, middleware, handler, options)
+            return routerObj
+        }
+    }
+
+    routerObj.all = (path, ...handlers) => {
+        const { options, middleware, handler } = parseRouteArgs(path, handlers)
+        for (const method of HTTP_METHODS) {
+            addRoute(method.toUpperCase(), path, middleware, handler, options)
+        }
+        return routerObj
+    }
+
+    return routerObj
+}
+
+/**
+ * @typedef {Object} RoachOptions
+ * @property {TLSOptions} [https] - Serve HTTPS with these TLS options
+ * @property {number} [bodyLimit=Infinity] - Maximum request body size in bytes; larger bodies get 413. Routes can override it.
+ * @property {boolean} [autoHead=true] - Answer HEAD with the matching GET route (headers and Content-Length, no body)
+ * @property {boolean} [autoOptions=true] - Answer OPTIONS without a route with 204 and an Allow header
+ * @property {boolean} [caseSensitive=true] - Match static path segments and middleware scopes case-sensitively
+ * @property {boolean} [strictTrailingSlash=false] - Treat '/users/' and '/users' as different paths
+ * @property {boolean} [redirectTrailingSlash=false] - Redirect to the registered trailing-slash form of a route (301 for GET/HEAD, 308 otherwise)
+ * @property {VersioningOptions} [versioning] - How requests pick a route version
+ * @property {import('./multipart.js').MultipartOptions} [multipart] - Limits and storage for multipart/form-data uploads; routes can override them
+ * @property {import('./querystring.js').QueryOptions} [query] - How req.query is parsed: nesting, depth and parameter limits
+ * @property {string|string[]} [cookieSecret] - Secret for signed cookies, or several to rotate (the first signs, all verify)
+ */
+
+/**
+ * @typedef {Object} VersioningOptions
+ * @property {string} [header='Accept-Version'] - Request header carrying the version
+ * @property {string} [defaultVersion] - Version for requests that don't ask for one (otherwise the unversioned route, then the highest version)
+ */
+
+/**
+ * @typedef {Object} RouteLookup
+ * @property {Router|null} hostTree - Tree of the host the request matched, if any
+ * @property {string|null} version - Requested route version, if any
+ */
+
+/**
+ * @typedef {Object} ListenOptions
+ * @property {TLSOptions} [https] - Serve HTTPS with these TLS options (overrides roach({ https }))
+ */
+
+/**
+ * @typedef {Object} TLSOptions
+ * @property {string} key_file_name - Path to the private key (PEM)
+ * @property {string} cert_file_name - Path to the certificate (PEM)
+ * @property {string} [passphrase] - Passphrase for an encrypted private key
+ * @property {string} [dh_params_file_name] - Path to Diffie-Hellman parameters
+ * @property {Object<string, TLSOptions>} [sni] - Extra certificates keyed by server name (wildcards like '*.example.com' allowed)
+ */
+
+/**
+ * @typedef {Object} RoachApp
+ * @property {function(string|Function, Function=): RoachApp} use - Add middleware or mount a sub-router
+ * @property {function(string, ...Function): RoachApp} get - Register GET route
+ * @property {function(string, ...Function): RoachApp} post - Register POST route
+ * @property {function(string, ...Function): RoachApp} put - Register PUT route
+ * @property {function(string, ...Function): RoachApp} delete - Register DELETE route
+ * @property {function(string, ...Function): RoachApp} patch - Register PATCH route
+ * @property {function(string, ...Function): RoachApp} options - Register OPTIONS route
+ * @property {function(string, ...Function): RoachApp} head - Register HEAD route
+ * @property {function(string, ...Function): RoachApp} all - Register route for all methods
+ * @property {function(string, ...*): RoachApp} ws - Register WebSocket route
+ * @property {function(string, (string|ArrayBuffer), Object=): boolean} publish - Publish to a WebSocket topic
+ * @property {function(string): number} numSubscribers - Count subscribers of a WebSocket topic
+ * @property {function(string, RoachRouter): RoachApp} host - Mount a sub-router for a host pattern
+ * @property {function(string, Object=, Object=): string} url - Build the path of a named route
+ * @property {function(): RouteInfo[]} routes - List every registered route
+ * @property {function(): string} printRoutes - Render the route list as a text table
+ * @property {function(string, import('./body.js').BodyParser): RoachApp} addContentTypeParser - Register a body parser for a media type
+ * @property {function(Function): RoachApp} onError - Set custom error handler
+ * @property {function(Function): RoachApp} onNotFound - Set custom not-found handler
+ * @property {function(Function): RoachApp} onMethodNotAllowed - Set custom 405 handler
+ * @property {function(number, (ListenOptions|Function)=, Function=): RoachApp} listen - Start the server
+ * @property {function(): void} close - Stop the server
+ */
+
+/**
+ * @typedef {Object} RoachRouter
+ * @property {boolean} _isRoachRouter - Internal flag
+ * @property {function(string, ...Function): RoachRouter} get - Register GET route
+ * @property {function(string, ...Function): RoachRouter} post - Register POST route
+ * @property {function(string, ...Function): RoachRouter} put - Register PUT route
+ * @property {function(string, ...Function): RoachRouter} delete - Register DELETE route
+ * @property {function(string, ...Function): RoachRouter} patch - Register PATCH route
+ * @property {function(string, ...Function): RoachRouter} options - Register OPTIONS route
+ * @property {function(string, ...Function): RoachRouter} head - Register HEAD route
+ * @property {function(string, ...Function): RoachRouter} all - Register route for all methods
+ * @property {function(string|Function|RoachRouter, (Function|RoachRouter)=): RoachRouter} use - Add router middleware or mount a nested router
+ * @property {function(Function): RoachRouter} onError - Set the error handler for this router's routes
+ * @property {function(Function): RoachRouter} onNotFound - Set the not-found handler for paths under this router
+ */
+
+/**
+ * @typedef {Object} RouteInfo
+ * @property {string} method - Uppercase HTTP method
+ * @property {string} path - Full path pattern, including mount prefixes
+ * @property {string|null} name - Route name, if one was given
+ * @property {string|null} version - Route version, if one was given
+ * @property {number} middlewareCount - App, router and route middleware that applies to the route
+ * @property {string|null} mountedAt - Combined prefix of the sub-router the route lives in, or null for app routes
+ * @property {string|null} host - Host pattern the route is mounted for with app.host(), or null
+ */
+
+/**
+ * @typedef {Object} SubRouterMount
+ * @property {string} prefix - Normalized mount prefix ('' for the root)
+ * @property {RoachRouter} router - The mounted router
+ */
+
+/**
+ * @typedef {Object} CompiledMount
+ * @property {Router} tree - A tree the router's routes were copied into
+ * @property {string} prefix - The router's combined mount prefix in that tree
+ * @property {RouterScope[]} scopes - Scope chain stored on the copied routes
+ */
+
+/**
+ * @typedef {Object} RouterScope
+ * @property {RoachRouter} router - A router a route was mounted through
+ * @property {string} prefix - The router's combined mount prefix ('' for the root)
+ */
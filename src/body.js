@@ -0,0 +1,222 @@
+/**
+ * @module body
+ * @description Content-type aware body parsing for RoachJS. A registry maps
+ * media types to parser functions; req.body looks up the request's
+ * Content-Type on first access and runs the matching parser, so routes that
+ * never read the body never parse it.
+ *
+ * Patterns are exact types ('application/json'), structured-syntax suffixes
+ * ('application/*+json'), whole top-level types ('text/*') or '*\/*'. The most
+ * specific match wins, in that order.
+ */
+
+import { parseUrlEncoded } from './querystring.js'
+import { RoachError, BodyParseError, UnsupportedMediaTypeError, debug } from './errors.js'
+
+/** @type {RegExp} A registrable media type pattern */
+const PATTERN = /^(?:\*\/\*|[a-z0-9!#$&^_.+-]+\/(?:\*|\*\+[a-z0-9!#$&^_.-]+|[a-z0-9!#$&^_.+-]+))$/
+
+/** @type {Object<string, BufferEncoding>} Charsets Buffer can decode, by their IANA names */
+const CHARSETS = {
+    'utf-8': 'utf-8',
+    'utf8': 'utf-8',
+    'us-ascii': 'ascii',
+    'ascii': 'ascii',
+    'iso-8859-1': 'latin1',
+    'latin1': 'latin1',
+    'utf-16le': 'utf16le'
+}
+
+/**
+ * @description Registry of body parsers keyed by media type pattern. New
+ * registries come with the built-in parsers already installed.
+ *
+ * @example
+ * const parsers = new BodyParsers()
+ * parsers.add('application/yaml', (body) => YAML.parse(body.toString()))
+ * parsers.find('application/yaml') // => { pattern: 'application/yaml', ... }
+ */
+export class BodyParsers {
+    constructor() {
+        /** @type {Map<string, BodyParserEntry>} Parsers keyed by pattern */
+        this.entries = new Map()
+
+        this.add('application/json', parseJson)
+        this.add('application/*+json', parseJson)
+        this.add('application/x-www-form-urlencoded', (body, req) => parseUrlEncoded(decodeText(body, req)))
+        this.add('text/*', decodeText)
+        this.add('application/octet-stream', (body) => body)
+    }
+
+    /**
+     * @description Register a parser for a media type pattern, replacing any
+     * parser already registered for the same pattern.
+     *
+     * @param {string} pattern - Media type pattern (e.g., 'application/xml', 'text/*', 'application/*+xml')
+     * @param {BodyParser} parser - Turns the raw body into the value of req.body
+     * @returns {void}
+     * @throws {RoachError} If the pattern is malformed or the parser isn't a function
+     *
+     * @example
+     * parsers.add('text/csv', (body) => body.toString().split('\n'))
+     */
+    add(pattern, parser) {
+        const normalized = typeof pattern === 'string' ? pattern.trim().toLowerCase() : ''
+        if (!PATTERN.test(normalized)) {
+            throw new RoachError(
+                `Invalid content type pattern "${pattern}". Use a media type like 'application/xml', 'text/*' or 'application/*+json'.`,
+                500,
+                'INVALID_PARSER'
+            )
+        }
+        if (typeof parser !== 'function') {
+            throw new RoachError(`The parser for "${pattern}" must be a function (body, req) => value`, 500, 'INVALID_PARSER')
+        }
+
+        this.entries.set(normalized, { pattern: normalized, parser, specificity: specificity(normalized) })
+        debug('body', `Registered body parser for ${normalized}`)
+    }
+
+    /**
+     * @description Find the most specific parser for a media type.
+     *
+     * @param {string} mediaType - Lowercase media type without parameters
+     * @returns {BodyParserEntry|null} The parser entry, or null if none matches
+     *
+     * @example
+     * parsers.find('application/vnd.api+json').pattern // => 'application/*+json'
+     */
+    find(mediaType) {
+        const exact = this.entries.get(mediaType)
+        if (exact) return exact
+
+        let best = null
+        for (const entry of this.entries.values()) {
+            if ((best === null || entry.specificity > best.specificity) && matches(entry.pattern, mediaType)) {
+                best = entry
+            }
+        }
+        return best
+    }
+
+    /**
+     * @description Parse a request body with the parser for its Content-Type.
+     * Bodies without a Content-Type are decoded as UTF-8 text.
+     *
+     * @param {Buffer} body - Raw request body
+     * @param {import('./request.js').RoachRequest} req - The request, for its headers
+     * @returns {*} The parsed body
+     * @throws {UnsupportedMediaTypeError} If no parser handles the Content-Type
+     * @throws {BodyParseError} If the parser fails
+     */
+    parse(body, req) {
+        const contentType = req.headers['content-type']
+        if (!contentType) return body.toString('utf-8')
+
+        const entry = this.find(mediaTypeOf(contentType))
+        if (!entry) {
+            throw new UnsupportedMediaTypeError(contentType)
+        }
+
+        try {
+            return entry.parser(body, req)
+        } catch (err) {
+            if (err instanceof RoachError) throw err
+            throw new BodyParseError(err.message)
+        }
+    }
+}
+
+/**
+ * @description Get the media type of a Content-Type header: lowercased, with
+ * its parameters removed.
+ *
+ * @param {string} contentType - Content-Type header value
+ * @returns {string} The media type
+ *
+ * @example
+ * mediaTypeOf('Application/JSON; charset=utf-8') // => 'application/json'
+ */
+export function mediaTypeOf(contentType) {
+    const semi = contentType.indexOf(';')
+    return (semi === -1 ? contentType : contentType.slice(0, semi)).trim().toLowerCase()
+}
+
+/**
+ * @description Decode a body as text, honouring the charset parameter of its
+ * Content-Type. Defaults to UTF-8.
+ *
+ * @param {Buffer} body - Raw request body
+ * @param {import('./request.js').RoachRequest} req - The request, for its Content-Type
+ * @returns {string} The decoded text
+ * @throws {UnsupportedMediaTypeError} If the charset isn't one Node can decode
+ */
+function decodeText(body, req) {
+    const contentType = req.headers['content-type'] || ''
+    const match = /;\s*charset\s*=\s*"?([^";\s]+)"?/i.exec(contentType)
+    if (!match) return body.toString('utf-8')
+
+    const encoding = CHARSETS[match[1].toLowerCase()]
+    if (!encoding) {
+        throw new UnsupportedMediaTypeError(contentType)
+    }
+    return body.toString(encoding)
+}
+
+/**
+ * @description Parse a JSON body.
+ *
+ * @param {Buffer} body - Raw request body
+ * @returns {*} The parsed JSON
+ * @throws {SyntaxError} If the body isn't valid JSON
+ */
+function parseJson(body) {
+    return JSON.parse(body.toString('utf-8'))
+}
+
+/**
+ * @description Rank a pattern: exact types beat suffixes, which beat
+ * top-level wildcards, which beat '*\/*'.
+ *
+ * @param {string} pattern - Normalized pattern
+ * @returns {number} Higher is more specific
+ */
+function specificity(pattern) {
+    if (pattern === '*/*') return 0
+    if (pattern.endsWith('/*')) return 1
+    if (pattern.includes('/*+')) return 2
+    return 3
+}
+
+/**
+ * @description Check a media type against a pattern.
+ *
+ * @param {string} pattern - Normalized pattern
+ * @param {string} mediaType - Lowercase media type
+ * @returns {boolean} Whether the pattern covers the media type
+ */
+function matches(pattern, mediaType) {
+    if (pattern === '*/*') return true
+
+    const slash = pattern.indexOf('/')
+    if (!mediaType.startsWith(pattern.slice(0, slash + 1))) return false
+
+    const subtype = pattern.slice(slash + 1)
+    if (subtype === '*') return true
+    if (subtype.startsWith('*+')) return mediaType.endsWith(subtype.slice(1))
+    return mediaType === pattern
+}
+
+/**
+ * @callback BodyParser
+ * @param {Buffer} body - Raw request body (never empty)
+ * @param {import('./request.js').RoachRequest} req - The request being parsed
+ * @returns {*} The value of req.body
+ */
+
+/**
+ * @typedef {Object} BodyParserEntry
+ * @property {string} pattern - Normalized media type pattern
+ * @property {BodyParser} parser - The parser
+ * @property {number} specificity - Rank used to pick between matching patterns
+ */
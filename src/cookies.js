@@ -0,0 +1,258 @@
+/**
+ * @module cookies
+ * @description Cookie support for RoachJS: parsing the Cookie header,
+ * serializing Set-Cookie values, and HMAC signing. Signed cookies use the
+ * `s:<value>.<signature>` format, so they interoperate with cookie-parser.
+ *
+ * Secrets can be rotated: new cookies are signed with the first secret and
+ * verified against every secret, so cookies signed with a retired secret keep
+ * working until they expire.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto'
+import { RoachError } from './errors.js'
+
+/** @type {RegExp} Characters allowed in a cookie name (an RFC 7230 token) */
+const COOKIE_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/
+
+/** @type {RegExp} Characters allowed in Domain and Path attributes */
+const ATTRIBUTE_VALUE = /^[!-:<-~]+$/
+
+/** @type {Object<string, string>} SameSite option values and their attribute spelling */
+const SAME_SITE = {
+    strict: 'Strict',
+    lax: 'Lax',
+    none: 'None'
+}
+
+/**
+ * @description Parse a Cookie header into a null-prototype object. The first
+ * occurrence of a name wins, since browsers send the most specific cookie
+ * first. Values are percent-decoded when they decode cleanly and kept as sent
+ * otherwise.
+ *
+ * @param {string|undefined} header - Cookie header value
+ * @returns {Object<string, string>} Cookie values by name
+ *
+ * @example
+ * parseCookies('theme=dark; cart=%7B%7D')
+ * // => { theme: 'dark', cart: '{}' }
+ */
+export function parseCookies(header) {
+    const cookies = Object.create(null)
+    if (!header) return cookies
+
+    for (const pair of header.split(';')) {
+        const eqIdx = pair.indexOf('=')
+        if (eqIdx === -1) continue
+
+        const name = pair.slice(0, eqIdx).trim()
+        if (!name || cookies[name] !== undefined) continue
+
+        let value = pair.slice(eqIdx + 1).trim()
+        if (value.length > 1 && value.startsWith('"') && value.endsWith('"')) {
+            value = value.slice(1, -1)
+        }
+        cookies[name] = decodeValue(value)
+    }
+
+    return cookies
+}
+
+/**
+ * @description Build a Set-Cookie header value.
+ *
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value (percent-encoded on the way out)
+ * @param {CookieOptions} [options] - Cookie attributes
+ * @returns {string} The Set-Cookie value
+ * @throws {RoachError} If the name or an attribute is invalid
+ *
+ * @example
+ * serializeCookie('theme', 'dark', { maxAge: 86400000, httpOnly: true })
+ * // => 'theme=dark; Max-Age=86400; Path=/; HttpOnly'
+ */
+export function serializeCookie(name, value, options = {}) {
+    if (typeof name !== 'string' || !COOKIE_NAME.test(name)) {
+        throw invalidCookie(`"${name}" is not a valid cookie name`)
+    }
+
+    let cookie = `${name}=${encodeURIComponent(value)}`
+
+    if (options.maxAge !== undefined) {
+        if (typeof options.maxAge !== 'number' || !Number.isFinite(options.maxAge)) {
+            throw invalidCookie(`maxAge must be a number of milliseconds, got ${options.maxAge}`)
+        }
+        cookie += `; Max-Age=${Math.floor(options.maxAge / 1000)}`
+    }
+    if (options.expires !== undefined) {
+        if (!(options.expires instanceof Date) || Number.isNaN(options.expires.getTime())) {
+            throw invalidCookie('expires must be a valid Date')
+        }
+        cookie += `; Expires=${options.expires.toUTCString()}`
+    }
+    if (options.domain !== undefined) {
+        cookie += `; Domain=${attributeValue('domain', options.domain)}`
+    }
+    cookie += `; Path=${attributeValue('path', options.path === undefined ? '/' : options.path)}`
+
+    if (options.secure) cookie += '; Secure'
+    if (options.httpOnly) cookie += '; HttpOnly'
+
+    if (options.sameSite !== undefined && options.sameSite !== false) {
+        const sameSite = options.sameSite === true ? 'Strict' : SAME_SITE[String(options.sameSite).toLowerCase()]
+        if (!sameSite) {
+            throw invalidCookie(`sameSite must be 'strict', 'lax' or 'none', got ${options.sameSite}`)
+        }
+        if (sameSite === 'None' && !options.secure) {
+            throw invalidCookie("sameSite: 'none' needs secure: true, or browsers will drop the cookie")
+        }
+        cookie += `; SameSite=${sameSite}`
+    }
+
+    if (options.partitioned) {
+        if (!options.secure) {
+            throw invalidCookie('partitioned cookies need secure: true, or browsers will drop them')
+        }
+        cookie += '; Partitioned'
+    }
+
+    return cookie
+}
+
+/**
+ * @description Sign a cookie value with the first secret.
+ *
+ * @param {string} value - The value to sign
+ * @param {string[]} secrets - Signing secrets, newest first
+ * @returns {string} The signed value, `s:<value>.<signature>`
+ * @throws {RoachError} If no secret is configured
+ *
+ * @example
+ * signCookie('user-42', ['s3cret']) // => 's:user-42.Xk5...'
+ */
+export function signCookie(value, secrets) {
+    if (!secrets || secrets.length === 0) {
+        throw new RoachError(
+            'Signed cookies need a secret. Pass one to roach({ cookieSecret }).',
+            500,
+            'COOKIE_SECRET_MISSING'
+        )
+    }
+    return `s:${value}.${signature(value, secrets[0])}`
+}
+
+/**
+ * @description Verify a signed cookie value against every secret.
+ *
+ * @param {string} signed - The cookie value, `s:<value>.<signature>`
+ * @param {string[]} secrets - Secrets to try
+ * @returns {string|false} The original value, or false if the signature doesn't match
+ *
+ * @example
+ * unsignCookie(signCookie('user-42', ['new']), ['new', 'old']) // => 'user-42'
+ * unsignCookie('s:user-42.forged', ['new'])                   // => false
+ */
+export function unsignCookie(signed, secrets) {
+    const dot = signed.lastIndexOf('.')
+    if (!signed.startsWith('s:') || dot === -1) return false
+
+    const value = signed.slice(2, dot)
+    const given = Buffer.from(signed.slice(dot + 1))
+    for (const secret of secrets) {
+        const expected = Buffer.from(signature(value, secret))
+        if (expected.length === given.length && timingSafeEqual(expected, given)) return value
+    }
+    return false
+}
+
+/**
+ * @description Split parsed cookies into plain and signed ones. Values that
+ * look signed (`s:` prefix) are verified and moved to the signed set; a bad
+ * signature leaves `false` there, so tampering is visible. Without secrets,
+ * nothing is treated as signed.
+ *
+ * @param {Object<string, string>} parsed - Cookies from parseCookies()
+ * @param {string[]} secrets - Secrets to verify with
+ * @returns {{ cookies: Object<string, string>, signedCookies: Object<string, string|false> }} Both sets, with null prototypes
+ */
+export function splitSignedCookies(parsed, secrets) {
+    const cookies = Object.create(null)
+    const signedCookies = Object.create(null)
+
+    for (const name in parsed) {
+        const value = parsed[name]
+        if (secrets.length > 0 && value.startsWith('s:')) {
+            signedCookies[name] = unsignCookie(value, secrets)
+        } else {
+            cookies[name] = value
+        }
+    }
+
+    return { cookies, signedCookies }
+}
+
+/**
+ * @description Compute the HMAC-SHA256 signature of a value.
+ *
+ * @param {string} value - Value to sign
+ * @param {string} secret - Secret key
+ * @returns {string} Base64 signature without padding (the cookie-parser format)
+ */
+function signature(value, secret) {
+    return createHmac('sha256', secret).update(value).digest('base64').replace(/=+$/, '')
+}
+
+/**
+ * @description Percent-decode a cookie value, keeping it as sent if it
+ * doesn't decode cleanly.
+ *
+ * @param {string} value - Raw cookie value
+ * @returns {string} Decoded value
+ */
+function decodeValue(value) {
+    if (!value.includes('%')) return value
+    try {
+        return decodeURIComponent(value)
+    } catch {
+        return value
+    }
+}
+
+/**
+ * @description Validate a Domain or Path attribute value.
+ *
+ * @param {string} name - Option name (for the error)
+ * @param {string} value - Attribute value
+ * @returns {string} The value
+ * @throws {RoachError} If the value could break out of its attribute
+ */
+function attributeValue(name, value) {
+    if (typeof value !== 'string' || !ATTRIBUTE_VALUE.test(value)) {
+        throw invalidCookie(`${name} "${value}" contains characters that aren't allowed in a cookie`)
+    }
+    return value
+}
+
+/**
+ * @description Build the error for an invalid cookie.
+ *
+ * @param {string} detail - What is wrong
+ * @returns {RoachError} The error
+ */
+function invalidCookie(detail) {
+    return new RoachError(`Invalid cookie: ${detail}.`, 500, 'INVALID_COOKIE')
+}
+
+/**
+ * @typedef {Object} CookieOptions
+ * @property {number} [maxAge] - Lifetime in milliseconds (sent as Max-Age in seconds)
+ * @property {Date} [expires] - Expiry date
+ * @property {string} [domain] - Domain the cookie is sent to
+ * @property {string} [path='/'] - Path the cookie is sent for
+ * @property {boolean} [secure=false] - Only send over HTTPS
+ * @property {boolean} [httpOnly=false] - Hide from JavaScript in the browser
+ * @property {boolean|'strict'|'lax'|'none'} [sameSite] - SameSite policy (true means 'strict')
+ * @property {boolean} [partitioned=false] - Partitioned (CHIPS) cookie; needs secure
+ * @property {boolean} [signed=false] - Sign the value with roach({ cookieSecret })
+ */
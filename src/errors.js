@@ -80,6 +80,27 @@ export class NotFoundError extends RoachError {
   }
 }
 
+/**
+ * @description Thrown when a path exists but not for the requested method.
+ * @extends RoachError
+ */
+export class MethodNotAllowedError extends RoachError {
+  /**
+   * @param {string} method - HTTP method that was requested
+   * @param {string} path - Path that was requested
+   * @param {string[]} allowed - Methods that are registered for the path
+   */
+  constructor(method, path, allowed) {
+    super(
+      `Method not allowed: ${method.toUpperCase()} ${path}. This path only answers to ${allowed.join(', ')}.`,
+      405,
+      'METHOD_NOT_ALLOWED'
+    )
+    this.name = 'MethodNotAllowedError'
+    this.allowed = allowed
+  }
+}
+
 /**
  * @description Thrown when a route parameter is invalid or missing.
  * @extends RoachError
@@ -109,7 +130,7 @@ export class BodyParseError extends RoachError {
    */
   constructor(detail) {
     super(
-      `Failed to parse request body: ${detail}. Make sure you're sending valid JSON with the correct Content-Type header.`,
+      `Failed to parse request body: ${detail}. Make sure the body matches its Content-Type header.`,
       400,
       'BODY_PARSE_ERROR'
     )
@@ -117,6 +138,112 @@ export class BodyParseError extends RoachError {
   }
 }
 
+/**
+ * @description Thrown when a request can't be understood — a malformed
+ * percent-encoding in the URL, for example. Answered with 400.
+ * @extends RoachError
+ */
+export class BadRequestError extends RoachError {
+  /**
+   * @param {string} detail - What was wrong with the request
+   * @param {string} [code='BAD_REQUEST'] - Machine-readable error code
+   */
+  constructor(detail, code = 'BAD_REQUEST') {
+    super(`Bad request: ${detail}. The roaches couldn't make sense of it.`, 400, code)
+    this.name = 'BadRequestError'
+  }
+}
+
+/**
+ * @description Thrown when req.body is read and no body parser handles the
+ * request's Content-Type (or its charset).
+ * @extends RoachError
+ */
+export class UnsupportedMediaTypeError extends RoachError {
+  /**
+   * @param {string} contentType - The Content-Type header that has no parser
+   */
+  constructor(contentType) {
+    super(
+      `Unsupported Content-Type "${contentType}". The roaches don't know how to read this body — ` +
+      `register a parser with app.addContentTypeParser().`,
+      415,
+      'UNSUPPORTED_MEDIA_TYPE'
+    )
+    this.name = 'UnsupportedMediaTypeError'
+    this.contentType = contentType
+  }
+}
+
+/**
+ * @description Thrown when a request body is larger than the configured bodyLimit,
+ * either up front (Content-Length) or while the body is still arriving.
+ * @extends RoachError
+ */
+export class PayloadTooLargeError extends RoachError {
+  /**
+   * @param {number} limit - The body limit in bytes that was exceeded
+   */
+  constructor(limit) {
+    super(
+      `Request body is larger than the ${limit}-byte limit. Send a smaller payload, ` +
+      `or raise bodyLimit on roach() or on this route.`,
+      413,
+      'PAYLOAD_TOO_LARGE'
+    )
+    this.name = 'PayloadTooLargeError'
+    this.limit = limit
+  }
+}
+
+/**
+ * @description Thrown when a multipart/form-data upload goes over one of its
+ * limits (file count, file size or field size).
+ * @extends RoachError
+ */
+export class MultipartLimitError extends RoachError {
+  /**
+   * @param {string} limitName - The limit that was exceeded ('maxFiles', 'maxFileSize' or 'maxFieldSize')
+   * @param {number} limit - The configured value of that limit
+   */
+  constructor(limitName, limit) {
+    super(
+      `Multipart upload is over its ${limitName} limit of ${limit}. Send fewer or smaller parts, ` +
+      `or raise multipart.${limitName} on roach() or on this route.`,
+      413,
+      'MULTIPART_LIMIT'
+    )
+    this.name = 'MultipartLimitError'
+    this.limitName = limitName
+    this.limit = limit
+  }
+}
+
+/**
+ * @description Thrown when a request asks for a route version that isn't
+ * registered for its method and path. Answered with 400 when the version came
+ * from a version header, or 406 when it came from the Accept media type.
+ * @extends RoachError
+ */
+export class UnsupportedVersionError extends RoachError {
+  /**
+   * @param {string} version - The version that was requested
+   * @param {string[]} available - Versions registered for the method and path
+   * @param {number} [statusCode=400] - 400 for a version header, 406 for an Accept media type
+   */
+  constructor(version, available, statusCode = 400) {
+    super(
+      `Unsupported version "${version}". This route is only available in version ${available.join(', ')}. ` +
+      `The roaches can't serve what was never built.`,
+      statusCode,
+      'UNSUPPORTED_VERSION'
+    )
+    this.name = 'UnsupportedVersionError'
+    this.version = version
+    this.available = available
+  }
+}
+
 /**
  * @description Thrown when response has already been sent and something tries
  * to write to it again. You can't send a response twice — the roaches already delivered it.
@@ -0,0 +1,204 @@
+/**
+ * @module host
+ * @description Host-based routing for RoachJS. Matches the request's Host header
+ * against registered host patterns, so one process can serve several domains or
+ * tenants. Patterns are dot-separated labels: plain labels match exactly
+ * (case-insensitively, like DNS) and `:name` labels capture one label into
+ * `req.hostParams`.
+ *
+ * Exact hosts are found with a single Map lookup. Patterns with params are
+ * tried in registration order and only against hosts with the same number of
+ * labels.
+ */
+
+import { InvalidRouteError, debug } from './errors.js'
+
+/** @type {RegExp} Characters allowed in a plain host label */
+const LABEL = /^[a-z0-9_-]+$/
+
+/** @type {RegExp} A `:name` host param label */
+const PARAM_LABEL = /^:([A-Za-z_$][\w$]*)$/
+
+/**
+ * @description Registry of host patterns, each carrying a value chosen by the
+ * caller (the app stores the routers mounted for that host).
+ *
+ * @example
+ * const hosts = new HostRouter()
+ * hosts.add('api.example.com', apiRoutes)
+ * hosts.add(':tenant.example.com', tenantRoutes)
+ *
+ * hosts.match('acme.example.com:8080')
+ * // => { entry: { pattern: ':tenant.example.com', ... }, params: { tenant: 'acme' } }
+ */
+export class HostRouter {
+    constructor() {
+        /** @type {Map<string, HostEntry>} Hosts without params, keyed by hostname */
+        this.exact = new Map()
+
+        /** @type {HostEntry[]} Hosts with params, in registration order */
+        this.patterns = []
+
+        /** @type {HostEntry[]} Every host, in registration order */
+        this.entries = []
+    }
+
+    /**
+     * @description Register a host pattern.
+     *
+     * @param {string} pattern - Host pattern (e.g., 'api.example.com' or ':tenant.example.com')
+     * @param {*} value - Value returned with matches of this host
+     * @returns {HostEntry} The new entry
+     * @throws {InvalidRouteError} If the pattern is malformed or already registered
+     *
+     * @example
+     * hosts.add(':tenant.example.com', { mounts: [] })
+     */
+    add(pattern, value) {
+        const labels = parseHostPattern(pattern)
+        if (this.get(pattern)) {
+            throw new InvalidRouteError(pattern, 'this host pattern is already registered')
+        }
+
+        const params = labels.filter((label) => label.param !== null)
+        const entry = { pattern, labels, value }
+
+        if (params.length === 0) {
+            this.exact.set(labels.map((label) => label.text).join('.'), entry)
+        } else {
+            const names = params.map((label) => label.param)
+            const duplicate = names.find((name, i) => names.indexOf(name) !== i)
+            if (duplicate) {
+                throw new InvalidRouteError(pattern, `host param ":${duplicate}" is used twice`)
+            }
+            this.patterns.push(entry)
+        }
+
+        this.entries.push(entry)
+        debug('host', `Registered host ${pattern}`)
+        return entry
+    }
+
+    /**
+     * @description Look up a registered host by its pattern.
+     *
+     * @param {string} pattern - Host pattern as passed to add()
+     * @returns {HostEntry|null} The entry, or null
+     */
+    get(pattern) {
+        const wanted = pattern.toLowerCase()
+        return this.entries.find((entry) => entry.pattern.toLowerCase() === wanted) || null
+    }
+
+    /**
+     * @description Find the host entry for a Host header. Exact hosts win over
+     * patterns; patterns are tried in registration order.
+     *
+     * @param {string} header - Raw Host header value (a port is ignored)
+     * @returns {{ entry: HostEntry, params: Object<string, string> }|null} The match, or null
+     *
+     * @example
+     * hosts.match('API.example.com') // => { entry, params: {} }
+     */
+    match(header) {
+        if (this.entries.length === 0) return null
+
+        const name = hostname(header)
+        if (!name) return null
+
+        const exact = this.exact.get(name)
+        if (exact) return { entry: exact, params: {} }
+
+        const parts = name.split('.')
+        for (const entry of this.patterns) {
+            const params = matchLabels(entry.labels, parts)
+            if (params) return { entry, params }
+        }
+        return null
+    }
+}
+
+/**
+ * @description Extract the hostname from a Host header: lowercased, without
+ * the port or a trailing dot. IPv6 literals keep their brackets.
+ *
+ * @param {string} header - Raw Host header value
+ * @returns {string} The hostname, or '' if the header is empty
+ *
+ * @example
+ * hostname('API.Example.com:8080') // => 'api.example.com'
+ * hostname('[::1]:3000')           // => '[::1]'
+ */
+export function hostname(header) {
+    if (!header) return ''
+
+    let name = header.trim().toLowerCase()
+    if (name.startsWith('[')) {
+        const end = name.indexOf(']')
+        return end === -1 ? name : name.slice(0, end + 1)
+    }
+
+    const colon = name.indexOf(':')
+    if (colon !== -1) name = name.slice(0, colon)
+    if (name.endsWith('.')) name = name.slice(0, -1)
+    return name
+}
+
+/**
+ * @description Split a host pattern into labels and validate each one.
+ *
+ * @param {string} pattern - Host pattern
+ * @returns {HostLabel[]} The labels, left to right
+ * @throws {InvalidRouteError} If the pattern is empty or a label is malformed
+ */
+function parseHostPattern(pattern) {
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+        throw new InvalidRouteError(String(pattern), 'host patterns must be non-empty strings like "api.example.com"')
+    }
+
+    return pattern.split('.').map((label) => {
+        const param = PARAM_LABEL.exec(label)
+        if (param) return { text: label, param: param[1] }
+
+        const text = label.toLowerCase()
+        if (!LABEL.test(text)) {
+            throw new InvalidRouteError(pattern, `host label "${label}" must be letters, digits and dashes, or a whole-label ":param"`)
+        }
+        return { text, param: null }
+    })
+}
+
+/**
+ * @description Match hostname labels against a pattern's labels.
+ *
+ * @param {HostLabel[]} labels - Pattern labels
+ * @param {string[]} parts - Hostname labels
+ * @returns {Object<string, string>|null} Captured params, or null if the host doesn't match
+ */
+function matchLabels(labels, parts) {
+    if (labels.length !== parts.length) return null
+
+    const params = {}
+    for (let i = 0; i < labels.length; i++) {
+        const label = labels[i]
+        if (label.param !== null) {
+            params[label.param] = parts[i]
+        } else if (label.text !== parts[i]) {
+            return null
+        }
+    }
+    return params
+}
+
+/**
+ * @typedef {Object} HostEntry
+ * @property {string} pattern - Host pattern as registered
+ * @property {HostLabel[]} labels - Parsed labels
+ * @property {*} value - Value stored with the host
+ */
+
+/**
+ * @typedef {Object} HostLabel
+ * @property {string} text - Label text (lowercased for plain labels)
+ * @property {string|null} param - Param name for `:name` labels, null otherwise
+ */
@@ -4,9 +4,12 @@
  * into an execution chain that runs sequentially. Supports global, path-scoped,
  * and route-level middleware. Calling next() advances the chain. Calling next(err)
  * skips to the error handler. Lean and mean — minimal overhead per request.
+ *
+ * Also home to the first-party middleware that ships with RoachJS, like cors().
  */
 
-import { debug } from './errors.js'
+import { RoachError, debug } from './errors.js'
+import { escapeLiteral } from './router.js'
 
 /**
  * @description A middleware layer — a function with an optional path scope.
@@ -23,11 +26,21 @@ import { debug } from './errors.js'
  * const mw = new MiddlewareChain()
  * mw.add(null, (req, res, next) => { console.log('global'); next() })
  * mw.add('/api', (req, res, next) => { console.log('api only'); next() })
+ *
+ * // '/API/users' also runs middleware scoped to '/api'
+ * const loose = new MiddlewareChain({ caseSensitive: false })
  */
 export class MiddlewareChain {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.caseSensitive=true] - Match path scopes case-sensitively
+     */
+    constructor(options = {}) {
         /** @type {MiddlewareLayer[]} */
         this.layers = []
+
+        /** @type {boolean} Whether path scopes match case-sensitively */
+        this.caseSensitive = options.caseSensitive !== false
     }
 
     /**
@@ -51,6 +64,7 @@ export class MiddlewareChain {
         if (path && path.endsWith('/') && path.length > 1) {
             path = path.slice(0, -1)
         }
+        if (path) path = escapeLiteral(path)
         this.layers.push({ path, fn })
         debug('middleware', `Added ${path ? `scoped [${path}]` : 'global'} middleware`)
     }
@@ -70,13 +84,18 @@ export class MiddlewareChain {
      */
     resolve(requestPath, routeMiddleware = []) {
         const applicable = []
+        if (!this.caseSensitive) requestPath = requestPath.toLowerCase()
 
         for (let i = 0; i < this.layers.length; i++) {
             const layer = this.layers[i]
 
             if (layer.path === null) {
                 applicable.push(layer.fn)
-            } else if (requestPath === layer.path || requestPath.startsWith(layer.path + '/')) {
+                continue
+            }
+
+            const scope = this.caseSensitive ? layer.path : layer.path.toLowerCase()
+            if (requestPath === scope || requestPath.startsWith(scope + '/')) {
                 applicable.push(layer.fn)
             }
         }
@@ -149,3 +168,156 @@ export class MiddlewareChain {
         next()
     }
 }
+
+/** @type {string[]} Methods allowed cross-origin unless configured otherwise */
+const DEFAULT_CORS_METHODS = ['GET', 'HEAD', 'PUT', 'PATCH', 'POST', 'DELETE']
+
+/**
+ * @description Create CORS middleware. Sets the Access-Control-* headers on every
+ * response and answers preflight requests (OPTIONS with an
+ * Access-Control-Request-Method header) with 204 straight away, without running
+ * the rest of the chain. Works globally or scoped with app.use('/api', cors()).
+ *
+ * Origins can be '*', a fixed string, an array of strings/RegExps, a RegExp, true
+ * (reflect the request origin), or a function (origin, req) returning any of
+ * true/false/a string — or a promise of one. Whenever the answer depends on the
+ * request, `Vary: Origin` is added so caches keep responses apart.
+ *
+ * credentials: true can't be combined with origin '*' (the default): that would
+ * let any site make credentialed requests. Name the allowed origins instead, or
+ * pass origin: true to reflect every origin on purpose.
+ *
+ * @param {CorsOptions} [options] - CORS configuration
+ * @returns {Function} Middleware (req, res, next)
+ * @throws {RoachError} If credentials is true and origin is '*'
+ *
+ * @example
+ * app.use(cors())
+ *
+ * app.use('/api', cors({
+ *   origin: ['https://app.example.com', /\.example\.dev$/],
+ *   credentials: true,
+ *   exposedHeaders: ['X-Request-Id'],
+ *   maxAge: 600
+ * }))
+ */
+export function cors(options = {}) {
+    const origin = options.origin === undefined ? '*' : options.origin
+    const methods = joinList(options.methods || DEFAULT_CORS_METHODS)
+    const allowedHeaders = options.allowedHeaders ? joinList(options.allowedHeaders) : null
+    const exposedHeaders = options.exposedHeaders ? joinList(options.exposedHeaders) : null
+    const credentials = options.credentials === true
+    const maxAge = options.maxAge
+
+    if (credentials && origin === '*') {
+        throw new RoachError(
+            "cors() can't allow credentials for every origin ('*'). " +
+            'List the allowed origins, or pass origin: true to reflect any origin on purpose.',
+            500,
+            'CORS_CONFIG_INVALID'
+        )
+    }
+
+    return async function corsMiddleware(req, res, next) {
+        const requestOrigin = req.headers.origin
+        const allowOrigin = await resolveOrigin(origin, requestOrigin, req)
+
+        if (allowOrigin !== '*') {
+            appendVary(res, 'Origin')
+        }
+
+        if (!allowOrigin) {
+            debug('middleware', `CORS: origin ${requestOrigin} not allowed`)
+            return next()
+        }
+
+        res.set('Access-Control-Allow-Origin', allowOrigin)
+        if (credentials) res.set('Access-Control-Allow-Credentials', 'true')
+
+        const isPreflight = req.method === 'OPTIONS' && req.headers['access-control-request-method'] !== undefined
+        if (!isPreflight) {
+            if (exposedHeaders) res.set('Access-Control-Expose-Headers', exposedHeaders)
+            return next()
+        }
+
+        res.set('Access-Control-Allow-Methods', methods)
+        if (allowedHeaders) {
+            res.set('Access-Control-Allow-Headers', allowedHeaders)
+        } else if (req.headers['access-control-request-headers']) {
+            res.set('Access-Control-Allow-Headers', req.headers['access-control-request-headers'])
+            appendVary(res, 'Access-Control-Request-Headers')
+        }
+        if (maxAge !== undefined) res.set('Access-Control-Max-Age', String(maxAge))
+
+        debug('middleware', `CORS: answered preflight for ${req.path}`)
+        res.status(204).end()
+    }
+}
+
+/**
+ * @description Work out the Access-Control-Allow-Origin value for a request.
+ *
+ * @param {CorsOptions['origin']} option - The configured origin option
+ * @param {string|undefined} requestOrigin - The request's Origin header
+ * @param {import('./request.js').RoachRequest} req - Request object
+ * @returns {Promise<string|false>} The origin to allow, or false for none
+ */
+async function resolveOrigin(option, requestOrigin, req) {
+    if (option === '*') return '*'
+    if (option === false) return false
+    if (typeof option === 'string') return option
+    if (!requestOrigin) return false
+    if (option === true) return requestOrigin
+
+    if (typeof option === 'function') {
+        const result = await option(requestOrigin, req)
+        if (result === true) return requestOrigin
+        return typeof result === 'string' ? result : false
+    }
+
+    const candidates = Array.isArray(option) ? option : [option]
+    for (const candidate of candidates) {
+        if (candidate instanceof RegExp ? candidate.test(requestOrigin) : candidate === requestOrigin) {
+            return requestOrigin
+        }
+    }
+    return false
+}
+
+/**
+ * @description Add a field to the Vary response header without duplicating it.
+ *
+ * @param {import('./response.js').RoachResponse} res - Response object
+ * @param {string} field - Header name to vary on
+ * @returns {void}
+ */
+export function appendVary(res, field) {
+    const current = res.get('vary')
+    if (!current) {
+        res.set('Vary', field)
+        return
+    }
+    const fields = current.split(',').map(f => f.trim().toLowerCase())
+    if (!fields.includes('*') && !fields.includes(field.toLowerCase())) {
+        res.set('Vary', `${current}, ${field}`)
+    }
+}
+
+/**
+ * @description Join a header list option given as an array or a string.
+ * @param {string|string[]} list
+ * @returns {string}
+ */
+function joinList(list) {
+    return Array.isArray(list) ? list.join(', ') : String(list)
+}
+
+/**
+ * @typedef {Object} CorsOptions
+ * @property {string|boolean|RegExp|Array<string|RegExp>|function(string, import('./request.js').RoachRequest): (boolean|string|Promise<boolean|string>)} [origin='*'] - Allowed origins
+ * @property {string|string[]} [methods] - Methods allowed in preflights (default GET, HEAD, PUT, PATCH, POST, DELETE)
+ * @property {string|string[]} [allowedHeaders] - Request headers allowed in preflights (default: reflect Access-Control-Request-Headers)
+ * @property {string|string[]} [exposedHeaders] - Response headers exposed to the browser
+ * @property {boolean} [credentials=false] - Allow cookies and auth headers (not with origin '*')
+ * @property {number} [maxAge] - Seconds browsers may cache a preflight
+ */
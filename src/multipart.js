@@ -0,0 +1,362 @@
+/**
+ * @module multipart
+ * @description multipart/form-data support for RoachJS. Forms are parsed by a
+ * small streaming parser as the body arrives, so every limit (file count, file
+ * size, field size) is enforced while reading rather than after the whole body
+ * has been buffered. Files are kept in memory, or written to temp files as they
+ * arrive for routes that store uploads on disk.
+ *
+ * Going over a limit raises MultipartLimitError, which answers 413.
+ */
+
+import { createWriteStream } from 'node:fs'
+import { unlink } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { randomUUID } from 'node:crypto'
+import { once } from 'node:events'
+import { BodyParseError, MultipartLimitError, debug } from './errors.js'
+
+/** @type {MultipartLimits} Limits used when none are configured */
+export const DEFAULT_LIMITS = {
+    maxFiles: Infinity,
+    maxFileSize: Infinity,
+    maxFieldSize: 1024 * 1024
+}
+
+/** @type {number} Largest header block a part may have, in bytes */
+const MAX_HEADER_SIZE = 16 * 1024
+
+/** @type {Buffer} Separates a part's headers from its content */
+const HEADER_END = Buffer.from('\r\n\r\n')
+
+/**
+ * @description Check whether a Content-Type header is multipart/form-data.
+ *
+ * @param {string|undefined} contentType - Content-Type header value
+ * @returns {boolean} Whether the body is a multipart form
+ *
+ * @example
+ * isMultipart('multipart/form-data; boundary=x') // => true
+ */
+export function isMultipart(contentType) {
+    return typeof contentType === 'string' && /^multipart\/form-data\b/i.test(contentType.trim())
+}
+
+/**
+ * @description Parse a multipart body as it streams in. Fields are collected
+ * in memory, and so are files, unless options.storage is 'disk': then each
+ * file is written to its own temp file while the body arrives, with
+ * backpressure. Limits are checked on every chunk, so an oversized form is
+ * rejected as soon as it crosses one. If anything goes wrong — a limit, a
+ * malformed body, an aborted upload — the files written so far are deleted.
+ *
+ * @param {AsyncIterable<Buffer>} stream - The request body
+ * @param {string} contentType - Content-Type header, including the boundary
+ * @param {MultipartOptions} [options] - Upload limits, storage and the target directory
+ * @returns {Promise<MultipartUpload>} The form, with a `buffer` (memory) or `path` (disk) on every file
+ * @throws {BodyParseError} (as a rejection) If the body isn't a valid multipart form
+ * @throws {MultipartLimitError} (as a rejection) If the form is over a limit
+ *
+ * @example
+ * const { fields, files } = await readMultipart(req.stream, req.get('content-type'), { storage: 'disk', dir: '/var/uploads' })
+ * // files[0].path => '/var/uploads/roach-3f2504e0-...'
+ */
+export async function readMultipart(stream, contentType, options = {}) {
+    const boundary = multipartBoundary(contentType)
+    if (!boundary) {
+        throw new BodyParseError('multipart/form-data body without a boundary')
+    }
+
+    const limits = { ...DEFAULT_LIMITS, ...options }
+    const dir = options.storage === 'disk' ? options.dir || tmpdir() : null
+    const delimiter = Buffer.from(`\r\n--${boundary}`)
+    const upload = { fields: Object.create(null), files: [] }
+    const written = []
+
+    let pending = Buffer.from('\r\n')
+    let state = 'preamble'
+    let part = null
+    let received = 0
+
+    /**
+     * @description Send part content to the current part.
+     * @param {Buffer} data - Content bytes
+     * @returns {Promise<void>}
+     */
+    const emit = async (data) => {
+        if (data.length === 0 || !part) return
+        part.size += data.length
+
+        if (!part.isFile) {
+            checkLimit(part.size, limits.maxFieldSize, 'maxFieldSize')
+            part.chunks.push(data)
+            return
+        }
+        checkLimit(part.size, limits.maxFileSize, 'maxFileSize')
+        if (!part.file) {
+            part.chunks.push(data)
+        } else if (!part.file.write(data)) {
+            await once(part.file, 'drain')
+        }
+    }
+
+    /**
+     * @description Finish the current part and record it.
+     * @returns {Promise<void>}
+     */
+    const finish = async () => {
+        if (!part) return
+        const done = part
+        part = null
+
+        if (!done.isFile) {
+            addField(upload.fields, done.name, Buffer.concat(done.chunks).toString('utf-8'))
+            return
+        }
+
+        const file = {
+            name: done.name,
+            filename: done.filename,
+            mimetype: done.mimetype,
+            size: done.size
+        }
+        if (done.file) {
+            done.file.end()
+            await once(done.file, 'finish')
+            file.path = done.path
+        } else {
+            file.buffer = Buffer.concat(done.chunks, done.size)
+        }
+        upload.files.push(file)
+    }
+
+    try {
+        for await (const chunk of stream) {
+            received += chunk.length
+            // Anything after the closing boundary is an epilogue: drain it without keeping it
+            if (state === 'done') continue
+            pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk
+
+            while (state !== 'done') {
+                if (state === 'preamble' || state === 'body') {
+                    const idx = pending.indexOf(delimiter)
+                    if (idx === -1) {
+                        const safe = Math.max(0, pending.length - delimiter.length + 1)
+                        if (state === 'body') await emit(pending.subarray(0, safe))
+                        pending = pending.subarray(safe)
+                        break
+                    }
+                    if (state === 'body') {
+                        await emit(pending.subarray(0, idx))
+                        await finish()
+                    }
+                    pending = pending.subarray(idx + delimiter.length)
+                    state = 'delimiter'
+                } else if (state === 'delimiter') {
+                    if (pending.length < 2) break
+                    const marker = pending.toString('latin1', 0, 2)
+                    if (marker === '--') {
+                        state = 'done'
+                    } else if (marker === '\r\n') {
+                        pending = pending.subarray(2)
+                        state = 'headers'
+                    } else {
+                        throw new BodyParseError('malformed multipart/form-data boundary')
+                    }
+                } else {
+                    const idx = pending.indexOf(HEADER_END)
+                    if (idx === -1) {
+                        if (pending.length > MAX_HEADER_SIZE) {
+                            throw new BodyParseError('multipart/form-data part headers are too large')
+                        }
+                        break
+                    }
+                    part = startPart(parsePartHeaders(pending.toString('utf-8', 0, idx)), upload, limits, dir)
+                    if (part && part.file) written.push(part.path)
+                    pending = pending.subarray(idx + HEADER_END.length)
+                    state = 'body'
+                }
+            }
+        }
+
+        if (state !== 'done' && received > 0) {
+            throw new BodyParseError('multipart/form-data body ended before its closing boundary')
+        }
+    } catch (err) {
+        if (part && part.file) {
+            part.file.destroy()
+            if (!part.file.closed) await once(part.file, 'close').catch(() => { })
+        }
+        if (typeof stream.destroy === 'function') stream.destroy()
+        await Promise.all(written.map((path) => unlink(path).catch(() => { })))
+        debug('multipart', `Discarded ${written.length} uploaded file(s): ${err.message}`)
+        throw err
+    }
+
+    debug('multipart', `Read ${upload.files.length} file(s)${dir ? ` into ${dir}` : ''}`)
+    return upload
+}
+
+/**
+ * @description Delete the temp files of an upload stored on disk. Files the
+ * handler has already moved away are skipped.
+ *
+ * @param {MultipartUpload} upload - An upload from readMultipart() with storage: 'disk'
+ * @returns {Promise<void>} Resolves once every file is gone
+ *
+ * @example
+ * const upload = await readMultipart(req.stream, req.get('content-type'), { storage: 'disk' })
+ * await removeUploads(upload)
+ */
+export async function removeUploads(upload) {
+    const removed = await Promise.all(upload.files.map((file) => unlink(file.path).then(() => true, () => false)))
+    const count = removed.filter(Boolean).length
+    if (count > 0) debug('multipart', `Removed ${count} unclaimed upload(s)`)
+}
+
+/**
+ * @description Extract the boundary from a multipart Content-Type header.
+ *
+ * @param {string} contentType - Content-Type header value
+ * @returns {string|null} The boundary, or null if there is none
+ */
+function multipartBoundary(contentType) {
+    const match = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '')
+    return match ? match[1] || match[2] : null
+}
+
+/**
+ * @description Parse the header block of one part.
+ *
+ * @param {string} block - Raw header lines
+ * @returns {{ name: string|undefined, filename: string|undefined, mimetype: string }} What the part is
+ * @throws {BodyParseError} If the part has no form-data Content-Disposition
+ */
+function parsePartHeaders(block) {
+    let disposition = null
+    let mimetype = 'application/octet-stream'
+
+    for (const line of block.split('\r\n')) {
+        const colon = line.indexOf(':')
+        if (colon === -1) continue
+        const key = line.slice(0, colon).trim().toLowerCase()
+        const value = line.slice(colon + 1).trim()
+        if (key === 'content-disposition') disposition = value
+        else if (key === 'content-type') mimetype = value
+    }
+
+    if (!disposition || !/^form-data\b/i.test(disposition)) {
+        throw new BodyParseError('multipart/form-data part without a form-data Content-Disposition')
+    }
+
+    const params = {}
+    const pattern = /;\s*([^=;\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g
+    let match
+    while ((match = pattern.exec(disposition)) !== null) {
+        const raw = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim()
+        params[match[1].toLowerCase()] = raw
+    }
+
+    return { name: params.name, filename: params.filename, mimetype }
+}
+
+/**
+ * @description Set up the state for a new part: a chunk list for fields and
+ * in-memory files, a temp file for files stored on disk. Empty file inputs (no
+ * filename) are skipped.
+ *
+ * @param {{ name: string|undefined, filename: string|undefined, mimetype: string }} headers - Parsed part headers
+ * @param {MultipartUpload} upload - The form so far
+ * @param {MultipartLimits} limits - Upload limits
+ * @param {string|null} dir - Directory for temp files, or null to keep files in memory
+ * @returns {Object|null} The part state, or null to skip the part
+ * @throws {BodyParseError} If the part has no name
+ * @throws {MultipartLimitError} If the part would be one file too many
+ */
+function startPart(headers, upload, limits, dir) {
+    if (headers.name === undefined) {
+        throw new BodyParseError('multipart/form-data part without a name')
+    }
+    if (headers.filename === undefined) {
+        return { name: headers.name, isFile: false, file: null, chunks: [], size: 0 }
+    }
+    if (headers.filename === '') return null
+
+    const pendingFiles = upload.files.length + 1
+    checkLimit(pendingFiles, limits.maxFiles, 'maxFiles')
+
+    const path = dir ? join(dir, `roach-${randomUUID()}`) : null
+    return {
+        name: headers.name,
+        filename: headers.filename,
+        mimetype: headers.mimetype,
+        isFile: true,
+        file: path ? createWriteStream(path) : null,
+        path,
+        chunks: [],
+        size: 0
+    }
+}
+
+/**
+ * @description Store a field value, turning repeated names into arrays.
+ *
+ * @param {Object<string, string|string[]>} fields - Fields so far
+ * @param {string} name - Field name
+ * @param {string} value - Field value
+ * @returns {void}
+ */
+function addField(fields, name, value) {
+    const existing = fields[name]
+    if (existing === undefined) fields[name] = value
+    else if (Array.isArray(existing)) existing.push(value)
+    else fields[name] = [existing, value]
+}
+
+/**
+ * @description Throw if a count or size is over its limit.
+ *
+ * @param {number} value - The count or size so far
+ * @param {number} max - The limit
+ * @param {string} limitName - Which limit it is (for the error)
+ * @returns {void}
+ * @throws {MultipartLimitError} If value is over max
+ */
+function checkLimit(value, max, limitName) {
+    if (value > max) {
+        throw new MultipartLimitError(limitName, max)
+    }
+}
+
+/**
+ * @typedef {Object} MultipartLimits
+ * @property {number} [maxFiles=Infinity] - Most files one form may carry
+ * @property {number} [maxFileSize=Infinity] - Largest file, in bytes
+ * @property {number} [maxFieldSize=1048576] - Largest text field, in bytes
+ */
+
+/**
+ * @typedef {Object} MultipartOptions
+ * @property {number} [maxFiles=Infinity] - Most files one form may carry
+ * @property {number} [maxFileSize=Infinity] - Largest file, in bytes
+ * @property {number} [maxFieldSize=1048576] - Largest text field, in bytes
+ * @property {'memory'|'disk'} [storage='memory'] - Buffer files in memory, or stream them to temp files
+ * @property {string} [dir] - Directory for temp files with storage: 'disk' (defaults to the OS temp dir)
+ */
+
+/**
+ * @typedef {Object} UploadedFile
+ * @property {string} name - Form field name
+ * @property {string} filename - File name sent by the client
+ * @property {string} mimetype - Content-Type of the part
+ * @property {number} size - Size in bytes
+ * @property {Buffer} [buffer] - File contents (storage: 'memory')
+ * @property {string} [path] - Temp file holding the contents (storage: 'disk')
+ */
+
+/**
+ * @typedef {Object} MultipartUpload
+ * @property {Object<string, string|string[]>} fields - Text fields; repeated names become arrays
+ * @property {UploadedFile[]} files - Uploaded files, in the order they were sent
+ */
@@ -0,0 +1,169 @@
+/**
+ * @module querystring
+ * @description application/x-www-form-urlencoded parsing for RoachJS, used for
+ * both query strings and form bodies. Repeated keys collect into arrays,
+ * bracketed keys like `user[name]` and `tags[]` build nested objects and
+ * arrays, and `+` decodes to a space. Every object it creates has a null
+ * prototype, so keys like `__proto__` are plain data.
+ */
+
+/** @type {Required<QueryOptions>} Options used when none are configured */
+export const DEFAULT_QUERY_OPTIONS = {
+    nested: true,
+    depth: 5,
+    parameterLimit: 1000
+}
+
+/**
+ * @description Parse a urlencoded string into a null-prototype object.
+ *
+ * @param {string} input - Urlencoded text, without a leading '?'
+ * @param {QueryOptions} [options] - Nesting and limits
+ * @returns {Object<string, *>} The parsed pairs
+ * @throws {URIError} If a key or value has a malformed percent-encoding
+ * @throws {TypeError} If a key is used both as a value and as a nested object
+ * @throws {RangeError} If there are more pairs than options.parameterLimit
+ *
+ * @example
+ * parseUrlEncoded('name=Joey&tags[]=fast&tags[]=small&owner[name]=Oggy')
+ * // => { name: 'Joey', tags: ['fast', 'small'], owner: { name: 'Oggy' } }
+ *
+ * parseUrlEncoded('owner[name]=Oggy', { nested: false })
+ * // => { 'owner[name]': 'Oggy' }
+ */
+export function parseUrlEncoded(input, options = {}) {
+    const { nested, depth, parameterLimit } = { ...DEFAULT_QUERY_OPTIONS, ...options }
+    const result = Object.create(null)
+    if (!input) return result
+
+    let count = 0
+    for (const pair of input.split('&')) {
+        if (pair === '') continue
+        if (++count > parameterLimit) {
+            throw new RangeError(`more than ${parameterLimit} parameters`)
+        }
+
+        const eqIdx = pair.indexOf('=')
+        const key = decodeComponent(eqIdx === -1 ? pair : pair.slice(0, eqIdx))
+        const value = eqIdx === -1 ? '' : decodeComponent(pair.slice(eqIdx + 1))
+        assign(result, nested ? splitKey(key, depth) : [key], value)
+    }
+
+    return result
+}
+
+/**
+ * @description Decode one urlencoded component, treating '+' as a space.
+ *
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ * @throws {URIError} If the percent-encoding is malformed
+ */
+function decodeComponent(text) {
+    const spaced = text.includes('+') ? text.replace(/\+/g, ' ') : text
+    return spaced.includes('%') ? decodeURIComponent(spaced) : spaced
+}
+
+/**
+ * @description Split a key into its path: `a[b][]` becomes ['a', 'b', ''].
+ * Keys that don't follow the bracket syntax are kept whole, and brackets past
+ * the depth limit stay attached to the last segment.
+ *
+ * @param {string} key - Decoded key
+ * @param {number} depth - Bracket levels to expand
+ * @returns {string[]} The key path
+ */
+function splitKey(key, depth) {
+    const open = key.indexOf('[')
+    if (open <= 0 || depth <= 0 || !key.endsWith(']')) return [key]
+
+    const path = [key.slice(0, open)]
+    let pos = open
+    while (pos < key.length && path.length <= depth) {
+        const close = key.indexOf(']', pos)
+        if (key[pos] !== '[' || close === -1) return [key]
+        path.push(key.slice(pos + 1, close))
+        pos = close + 1
+    }
+    if (pos < key.length) path[path.length - 1] += key.slice(pos)
+    return path
+}
+
+/**
+ * @description Store a value at a key path, creating objects for named
+ * segments and arrays for empty (`[]`) ones.
+ *
+ * @param {Object<string, *>} target - Object to store into
+ * @param {string[]} path - Key path from splitKey()
+ * @param {string} value - Decoded value
+ * @returns {void}
+ * @throws {TypeError} If the path runs into a value of a different shape
+ */
+function assign(target, path, value) {
+    let node = target
+    for (let i = 0; i < path.length - 1; i++) {
+        node = child(node, path[i], path[i + 1] === '', path)
+    }
+
+    const last = path[path.length - 1]
+    if (Array.isArray(node)) {
+        if (last !== '') throw conflict(path)
+        node.push(value)
+        return
+    }
+
+    const existing = node[last]
+    if (existing === undefined) node[last] = value
+    else if (typeof existing === 'string') node[last] = [existing, value]
+    else if (Array.isArray(existing) && typeof existing[0] === 'string') existing.push(value)
+    else throw conflict(path)
+}
+
+/**
+ * @description Get or create the container under one path segment.
+ *
+ * @param {Object|Array} node - Current container
+ * @param {string} segment - Segment to descend into ('' appends to an array)
+ * @param {boolean} wantsArray - Whether the child should be an array
+ * @param {string[]} path - Full key path (for errors)
+ * @returns {Object|Array} The child container
+ * @throws {TypeError} If the existing child has a different shape
+ */
+function child(node, segment, wantsArray, path) {
+    if (Array.isArray(node)) {
+        if (segment !== '') throw conflict(path)
+        const created = wantsArray ? [] : Object.create(null)
+        node.push(created)
+        return created
+    }
+
+    const existing = node[segment]
+    if (existing === undefined) {
+        node[segment] = wantsArray ? [] : Object.create(null)
+        return node[segment]
+    }
+    if (wantsArray && typeof existing === 'string') {
+        node[segment] = [existing]
+        return node[segment]
+    }
+    if (Array.isArray(existing) !== wantsArray || typeof existing !== 'object') throw conflict(path)
+    return existing
+}
+
+/**
+ * @description Build the error for a key used with two different shapes.
+ *
+ * @param {string[]} path - The key path
+ * @returns {TypeError} The error
+ */
+function conflict(path) {
+    const key = path[0] + path.slice(1).map((segment) => `[${segment}]`).join('')
+    return new TypeError(`key "${key}" mixes a plain value with nested fields`)
+}
+
+/**
+ * @typedef {Object} QueryOptions
+ * @property {boolean} [nested=true] - Expand bracketed keys like `a[b]=c` into nested objects and arrays
+ * @property {number} [depth=5] - Bracket levels to expand; deeper brackets stay part of the last key
+ * @property {number} [parameterLimit=1000] - Most key/value pairs accepted
+ */
@@ -4,49 +4,112 @@
  * request object into a friendly, familiar API. Query strings and body are parsed
  * lazily — only when you actually access them. No wasted CPU cycles on data you
  * don't need. The roaches are efficient like that.
+ *
+ * A uWS HttpRequest is only valid during the synchronous request callback, so
+ * everything the wrapper needs from it is copied into a snapshot first. The
+ * wrapper itself only ever reads the snapshot, which keeps req usable after
+ * the body has been read and across awaits in middleware and handlers.
  */
 
-import { BodyParseError, debug } from './errors.js'
+import { Readable } from 'node:stream'
+import { BadRequestError, PayloadTooLargeError, debug } from './errors.js'
+import { BodyParsers } from './body.js'
+import { parseUrlEncoded } from './querystring.js'
+import { parseCookies, splitSignedCookies } from './cookies.js'
+
+/** @type {RegExp} Vendor media type carrying a version, like application/vnd.acme.v2+json */
+const VENDOR_VERSION = /^[\w.+-]+\/vnd\.[\w.-]+?\.v(\d[\w.-]*?)(?:\+[\w.-]+)?$/i
+
+/** @type {BodyParsers} Built-in parsers, for requests created without an app's registry */
+const DEFAULT_PARSERS = new BodyParsers()
 
 /**
- * @description Create a RoachJS request object from a uWebSockets.js request.
- * All expensive operations (query parsing, body parsing) are deferred until
- * the property is actually accessed via getters.
+ * @description Copy everything RoachJS needs out of a uWS request while it is
+ * still valid. Must be called synchronously inside the uWS request (or
+ * upgrade) callback, before any await or body read.
  *
  * @param {import('uWebSockets.js').HttpRequest} uReq - The raw uWS request
- * @param {import('uWebSockets.js').HttpResponse} uRes - The raw uWS response (needed for IP)
+ * @param {import('uWebSockets.js').HttpResponse} uRes - The raw uWS response (needed for the remote address)
+ * @returns {RequestSnapshot} Plain copies of the method, URL, query, headers and client IP
+ *
+ * @example
+ * uwsApp.any('/*', (uRes, uReq) => {
+ *   const snapshot = snapshotRequest(uReq, uRes)
+ *   readBody(uRes).then((body) => handle(createRequest(snapshot, {}, body)))
+ * })
+ */
+export function snapshotRequest(uReq, uRes) {
+    const headers = {}
+    uReq.forEach((key, value) => {
+        headers[key] = value
+    })
+
+    let ip
+    try {
+        ip = Buffer.from(uRes.getRemoteAddressAsText()).toString()
+    } catch {
+        ip = '0.0.0.0'
+    }
+
+    return {
+        method: uReq.getMethod().toUpperCase(),
+        url: uReq.getUrl(),
+        query: uReq.getQuery() || '',
+        headers,
+        ip
+    }
+}
+
+/**
+ * @description Create a RoachJS request object from a request snapshot.
+ * All expensive operations (query parsing, body parsing) are deferred until
+ * the property is actually accessed via getters. Nothing here touches uWS, so
+ * the request can be created after the body arrives and read at any time.
+ *
+ * @param {RequestSnapshot} snapshot - Request data copied by snapshotRequest()
  * @param {Object<string, string>} params - Route parameters extracted by the router
  * @param {Buffer|null} bodyBuffer - Raw request body buffer, or null if no body
+ * @param {import('node:stream').Readable|null} [bodyStream=null] - Body stream for routes registered with { body: 'stream' }
+ * @param {RequestContext} [context={}] - What routing learned about the request
  * @returns {RoachRequest} The wrapped request object
  *
  * @example
- * const req = createRequest(uReq, uRes, { id: '42' }, bodyBuf)
+ * const req = createRequest(snapshotRequest(uReq, uRes), { id: '42' }, bodyBuf)
  * req.method  // 'GET'
  * req.params  // { id: '42' }
  * req.query   // { page: '1' } (parsed lazily)
  */
-export function createRequest(uReq, uRes, params, bodyBuffer) {
-    const method = uReq.getMethod().toUpperCase()
-    const fullUrl = uReq.getUrl()
-    const queryString = uReq.getQuery() || ''
-
-    const headers = {}
-    uReq.forEach((key, value) => {
-        headers[key] = value
-    })
+export function createRequest(snapshot, params, bodyBuffer, bodyStream = null, context = {}) {
+    const { method, headers } = snapshot
+    const fullUrl = snapshot.url
+    const queryString = snapshot.query
 
     let parsedQuery = null
     let parsedBody = undefined
     let bodyParsed = false
+    const upload = context.upload || null
+    let parsedCookies = null
+
+    const path = context.path === undefined ? fullUrl.split('?')[0] : context.path
 
-    const path = fullUrl.split('?')[0]
+    /**
+     * @description The request's cookies, split into plain and signed sets.
+     * Parsed from the Cookie header on first access.
+     * @returns {{ cookies: Object<string, string>, signedCookies: Object<string, string|false> }}
+     */
+    const cookieJar = () => {
+        if (parsedCookies === null) {
+            parsedCookies = splitSignedCookies(parseCookies(headers.cookie), context.cookieSecrets || [])
+        }
+        return parsedCookies
+    }
 
     /** @type {RoachRequest} */
     const req = {
         /** @type {string} HTTP method (GET, POST, PUT, etc.) */
         method,
 
-        /** @type {string} URL path without query string */
+        /** @type {string} Decoded, normalized URL path without query string */
         path,
 
         /** @type {string} Full URL including query string */
@@ -55,6 +118,12 @@ export function createRequest(uReq, uRes, params, bodyBuffer) {
         /** @type {Object<string, string>} Route parameters from path matching */
         params: params || {},
 
+        /** @type {Object<string, string>} Params captured from the Host header by app.host() patterns */
+        hostParams: context.hostParams || {},
+
+        /** @type {string|null} Version of the matched route, or the version the client asked for */
+        version: context.version === undefined ? null : context.version,
+
         /** @type {Object<string, string>} Request headers */
         headers,
 
@@ -62,37 +131,41 @@ export function createRequest(uReq, uRes, params, bodyBuffer) {
         rawBody: bodyBuffer,
 
         /**
-         * @description Parsed query string parameters. Lazily parsed on first access.
-         * @type {Object<string, string>}
+         * @description Streaming request body. Only set for routes registered with
+         * { body: 'stream' } — those routes never buffer, so req.body is undefined.
+         * @type {import('node:stream').Readable|null}
+         */
+        stream: bodyStream,
+
+        /**
+         * @description Parsed query string parameters, in a null-prototype object.
+         * Repeated keys become arrays and `a[b]=c` nests unless the app turns
+         * nesting off. Lazily parsed on first access.
+         * @type {Object<string, *>}
+         * @throws {BadRequestError} If the query string is malformed or over its limits
          */
         get query() {
             if (parsedQuery === null) {
-                parsedQuery = parseQueryString(queryString)
+                parsedQuery = parseQueryString(queryString, context.queryOptions)
                 debug('request', `Parsed query string: ${JSON.stringify(parsedQuery)}`)
             }
             return parsedQuery
         },
 
         /**
-         * @description Parsed request body. JSON is auto-parsed if Content-Type is
-         * application/json. Lazily parsed on first access — no CPU wasted if you
-         * don't read the body.
+         * @description Parsed request body, using the parser registered for its
+         * Content-Type: JSON, urlencoded forms, text and raw Buffers are built in,
+         * and multipart/form-data becomes an object of its text fields. Lazily
+         * parsed on first access — no CPU wasted if you don't read the body.
          * @type {*}
          */
         get body() {
             if (!bodyParsed) {
                 bodyParsed = true
-                if (bodyBuffer && bodyBuffer.length > 0) {
-                    const contentType = headers['content-type'] || ''
-                    if (contentType.includes('application/json')) {
-                        try {
-                            parsedBody = JSON.parse(bodyBuffer.toString('utf-8'))
-                        } catch (err) {
-                            throw new BodyParseError(err.message)
-                        }
-                    } else {
-                        parsedBody = bodyBuffer.toString('utf-8')
-                    }
+                if (upload) {
+                    parsedBody = upload.fields
+                } else if (bodyBuffer && bodyBuffer.length > 0) {
+                    parsedBody = (context.parsers || DEFAULT_PARSERS).parse(bodyBuffer, req)
                 } else {
                     parsedBody = undefined
                 }
@@ -101,16 +174,45 @@ export function createRequest(uReq, uRes, params, bodyBuffer) {
         },
 
         /**
-         * @description Client IP address, extracted from the uWS response.
-         * @type {string}
+         * @description Files uploaded with a multipart/form-data body, in the order
+         * they were sent. Each has a `buffer`, or a temp file `path` for routes
+         * with { multipart: { storage: 'disk' } }. Empty for any other body.
+         * @type {import('./multipart.js').UploadedFile[]}
          */
-        get ip() {
-            try {
-                const ipBuf = uRes.getRemoteAddressAsText()
-                return Buffer.from(ipBuf).toString()
-            } catch {
-                return '0.0.0.0'
-            }
+        get files() {
+            return upload ? upload.files : []
+        },
+
+        /**
+         * @description Cookies sent with the request, in a null-prototype object.
+         * Signed cookies are left out; read them from req.signedCookies. Lazily
+         * parsed on first access.
+         * @type {Object<string, string>}
+         */
+        get cookies() {
+            return cookieJar().cookies
+        },
+
+        /**
+         * @description Signed cookies whose signature checks out against one of
+         * the roach({ cookieSecret }) secrets, unsigned. A cookie with a bad
+         * signature is `false`. Empty when no secret is configured.
+         * @type {Object<string, string|false>}
+         */
+        get signedCookies() {
+            return cookieJar().signedCookies
+        },
+
+        /** @type {string} Client IP address, captured when the request arrived */
+        ip: snapshot.ip,
+
+        /**
+         * @description The Last-Event-ID header an EventSource sends when it
+         * reconnects, so an SSE route can resume where the client left off.
+         * @type {string|undefined}
+         */
+        get lastEventId() {
+            return headers['last-event-id']
         },
 
         /**
@@ -131,48 +233,195 @@ export function createRequest(uReq, uRes, params, bodyBuffer) {
 }
 
 /**
- * @description Parse a URL query string into a key-value object.
- * Handles URL-encoded values and multiple parameters.
+ * @description Read the full request body from a uWS response stream into a
+ * single Buffer. Chunks are copied out of uWS's transient ArrayBuffers as they
+ * arrive. Rejects as soon as the running total crosses the limit, so an
+ * oversized chunked upload never finishes buffering.
  *
- * @param {string} queryString - Raw query string (without leading '?')
- * @returns {Object<string, string>} Parsed key-value pairs
+ * @param {import('uWebSockets.js').HttpResponse} uRes - The raw uWS response (which is also the readable side)
+ * @param {number} [limit=Infinity] - Maximum body size in bytes
+ * @returns {Promise<Buffer>} The complete request body
+ * @throws {PayloadTooLargeError} (as a rejection) If the body exceeds the limit
  *
  * @example
- * parseQueryString('page=1&limit=20&q=hello%20world')
- * // => { page: '1', limit: '20', q: 'hello world' }
+ * const body = await readBody(uRes, 1024 * 1024)
  */
-function parseQueryString(queryString) {
-    if (!queryString) return {}
-
-    const result = {}
-    const pairs = queryString.split('&')
-
-    for (let i = 0; i < pairs.length; i++) {
-        const pair = pairs[i]
-        const eqIdx = pair.indexOf('=')
-
-        if (eqIdx === -1) {
-            result[decodeURIComponent(pair)] = ''
-        } else {
-            const key = decodeURIComponent(pair.slice(0, eqIdx))
-            const value = decodeURIComponent(pair.slice(eqIdx + 1))
-            result[key] = value
+export function readBody(uRes, limit = Infinity) {
+    return new Promise((resolve, reject) => {
+        const chunks = []
+        let received = 0
+        let done = false
+
+        uRes.onData((chunk, isLast) => {
+            if (done) return
+
+            received += chunk.byteLength
+            if (received > limit) {
+                done = true
+                debug('request', `Body exceeded ${limit} bytes, rejecting`)
+                reject(new PayloadTooLargeError(limit))
+                return
+            }
+
+            chunks.push(Buffer.from(chunk.slice(0)))
+            if (isLast) {
+                done = true
+                resolve(Buffer.concat(chunks, received))
+            }
+        })
+    })
+}
+
+/**
+ * @description Create a Readable stream fed by a uWS response's incoming data.
+ * Chunks are copied out of uWS's transient ArrayBuffers as they arrive. When the
+ * consumer falls behind, the uWS socket is paused and resumed again on the next
+ * read, so a slow disk write never turns into an unbounded in-memory buffer.
+ * Crossing the limit destroys the stream with a PayloadTooLargeError and hands
+ * the error to onLimit, so the app can answer 413 even if nobody reads.
+ *
+ * Those errors, and client aborts, reach whoever is reading the stream. The
+ * stream also carries a no-op 'error' listener, so a handler that never reads
+ * it (or middleware that answers first) can't crash the process.
+ *
+ * @param {import('uWebSockets.js').HttpResponse} uRes - The raw uWS response (which is also the readable side)
+ * @param {number} [limit=Infinity] - Maximum body size in bytes
+ * @param {function(PayloadTooLargeError): void} [onLimit] - Called once the body crosses the limit
+ * @returns {import('node:stream').Readable} The request body as a stream
+ *
+ * @example
+ * const stream = createBodyStream(uRes)
+ * await pipeline(stream, fs.createWriteStream('/tmp/upload.bin'))
+ */
+export function createBodyStream(uRes, limit = Infinity, onLimit) {
+    let paused = false
+    let received = 0
+
+    const stream = new Readable({
+        read() {
+            if (paused) {
+                paused = false
+                uRes.resume()
+            }
+        }
+    })
+    stream.on('error', () => { })
+
+    uRes.onData((chunk, isLast) => {
+        if (stream.destroyed) return
+
+        received += chunk.byteLength
+        if (received > limit) {
+            debug('request', `Body stream exceeded ${limit} bytes, destroying`)
+            const err = new PayloadTooLargeError(limit)
+            stream.destroy(err)
+            if (onLimit) onLimit(err)
+            return
+        }
+
+        const wantsMore = stream.push(Buffer.from(chunk.slice(0)))
+        if (isLast) {
+            stream.push(null)
+        } else if (!wantsMore && !paused) {
+            paused = true
+            uRes.pause()
+            debug('request', 'Body stream paused for backpressure')
         }
+    })
+
+    return stream
+}
+
+/**
+ * @description Read a route version from an Accept header, either from a
+ * `version` parameter or from a vendor media type ending in `.v<version>`.
+ * The first media range that names a version wins.
+ *
+ * @param {string} accept - Raw Accept header value
+ * @returns {string|null} The version, or null if the header names none
+ *
+ * @example
+ * versionFromAccept('application/vnd.acme.v2+json')  // => '2'
+ * versionFromAccept('application/json; version=1.1') // => '1.1'
+ * versionFromAccept('application/json')              // => null
+ */
+export function versionFromAccept(accept) {
+    if (!accept) return null
+
+    for (const range of accept.split(',')) {
+        const [type, ...params] = range.split(';')
+        for (const param of params) {
+            const eqIdx = param.indexOf('=')
+            if (eqIdx === -1 || param.slice(0, eqIdx).trim().toLowerCase() !== 'version') continue
+            const value = param.slice(eqIdx + 1).trim().replace(/^"(.*)"$/, '$1')
+            if (value) return value
+        }
+
+        const vendor = VENDOR_VERSION.exec(type.trim())
+        if (vendor) return vendor[1]
     }
+    return null
+}
 
-    return result
+/**
+ * @description Parse a URL query string into a null-prototype object. Bad
+ * input — malformed escapes, keys used with two shapes, too many parameters —
+ * becomes a 400 instead of an exception from deep inside the parser.
+ *
+ * @param {string} queryString - Raw query string (without leading '?')
+ * @param {import('./querystring.js').QueryOptions} [options] - Nesting and limits
+ * @returns {Object<string, *>} Parsed parameters
+ * @throws {BadRequestError} If the query string can't be parsed
+ *
+ * @example
+ * parseQueryString('tag=a&tag=b&page[size]=20&q=hello+world')
+ * // => { tag: ['a', 'b'], page: { size: '20' }, q: 'hello world' }
+ */
+function parseQueryString(queryString, options) {
+    try {
+        return parseUrlEncoded(queryString, options)
+    } catch (err) {
+        throw new BadRequestError(`malformed query string (${err.message})`, 'MALFORMED_QUERY')
+    }
 }
 
 /**
  * @typedef {Object} RoachRequest
  * @property {string} method - HTTP method
- * @property {string} path - URL path without query string
+ * @property {string} path - Decoded, normalized URL path without query string
  * @property {string} url - Full URL including query string
  * @property {Object<string, string>} params - Route parameters
+ * @property {Object<string, string>} hostParams - Params captured from the Host header
+ * @property {string|null} version - Version of the matched route, or the version the client asked for
  * @property {Object<string, string>} headers - Request headers
- * @property {Object<string, string>} query - Parsed query parameters (lazy)
+ * @property {Object<string, *>} query - Parsed query parameters (lazy, null prototype)
  * @property {*} body - Parsed request body (lazy)
+ * @property {import('./multipart.js').UploadedFile[]} files - Files from a multipart/form-data body
  * @property {Buffer|null} rawBody - Raw body buffer
+ * @property {import('node:stream').Readable|null} stream - Streaming body (routes with { body: 'stream' } only)
+ * @property {Object<string, string>} cookies - Unsigned cookies (lazy, null prototype)
+ * @property {Object<string, string|false>} signedCookies - Verified signed cookies; false for a bad signature (lazy)
  * @property {string} ip - Client IP address
+ * @property {string|undefined} lastEventId - Last-Event-ID header from a reconnecting EventSource
  * @property {function(string): string|undefined} get - Get header by name
  */
+
+/**
+ * @typedef {Object} RequestContext
+ * @property {string} [path] - Decoded, normalized path the request was routed by (defaults to the raw URL path)
+ * @property {Object<string, string>} [hostParams] - Params captured from the Host header
+ * @property {string|null} [version] - Version of the matched route, or the requested version
+ * @property {import('./multipart.js').MultipartUpload} [upload] - The multipart form, already read from the body
+ * @property {BodyParsers} [parsers] - The app's body parsers (defaults to the built-ins)
+ * @property {import('./querystring.js').QueryOptions} [queryOptions] - How req.query is parsed
+ * @property {string[]} [cookieSecrets] - Secrets that verify signed cookies, newest first
+ */
+
+/**
+ * @typedef {Object} RequestSnapshot
+ * @property {string} method - Uppercase HTTP method
+ * @property {string} url - Raw URL path, as uWS reports it (no query string)
+ * @property {string} query - Raw query string, without the leading '?'
+ * @property {Object<string, string>} headers - Request headers, lowercase names
+ * @property {string} ip - Client IP address ('0.0.0.0' if uWS couldn't tell)
+ */
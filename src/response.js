@@ -2,12 +2,15 @@
  * @module response
  * @description Response wrapper for RoachJS. Wraps the raw uWebSockets.js
  * response with a clean, chainable API. Guards against double-sends, sets
- * sensible defaults, and makes JSON responses effortless.
+ * sensible defaults, and makes JSON responses effortless. Streaming responses
+ * respect uWS backpressure and stop cleanly when the client goes away.
  *
  * The roaches deliver your response fast — but only once.
  */
 
-import { ResponseAlreadySentError, debug } from './errors.js'
+import { Readable } from 'node:stream'
+import { RoachError, ResponseAlreadySentError, debug } from './errors.js'
+import { serializeCookie, signCookie } from './cookies.js'
 
 /**
  * @description Create a RoachJS response object wrapping a uWebSockets.js response.
@@ -15,15 +18,25 @@ import { ResponseAlreadySentError, debug } from './errors.js'
  * common mistakes like sending a response twice.
  *
  * @param {import('uWebSockets.js').HttpResponse} uRes - The raw uWS response
+ * @param {Object} [options]
+ * @param {boolean} [options.head=false] - Answering a HEAD request: headers (with the
+ *   Content-Length the body would have had) are sent, the body never is
+ * @param {string[]} [options.cookieSecrets=[]] - Secrets for res.cookie(..., { signed: true }), newest first
  * @returns {RoachResponse} The wrapped response object
  *
  * @example
  * const res = createResponse(uRes)
  * res.status(200).json({ hello: 'world' })
  */
-export function createResponse(uRes) {
+export function createResponse(uRes, options = {}) {
+    const head = options.head === true
+    const cookieSecrets = options.cookieSecrets || []
     let statusCode = 200
     let sent = false
+    let headersSent = false
+    let aborted = false
+    const abortListeners = []
+    let doneListeners = []
     const responseHeaders = {}
 
     /**
@@ -32,21 +45,108 @@ export function createResponse(uRes) {
      * @throws {ResponseAlreadySentError}
      */
     function assertNotSent() {
-        if (sent) {
+        if (sent || headersSent) {
             throw new ResponseAlreadySentError()
         }
     }
 
     /**
-     * @description Write all queued headers to the uWS response.
+     * @description Write the status line and queued headers, once. Must run
+     * inside a cork.
+     */
+    function writeHead() {
+        if (headersSent) return
+        headersSent = true
+        uRes.writeStatus(statusString(statusCode))
+        writeHeaders(uRes)
+    }
+
+    /**
+     * @description Write a body chunk to uWS — or nothing, for HEAD responses.
+     * @param {string|Buffer} chunk
+     * @returns {boolean} false on backpressure
+     */
+    function writeBody(chunk) {
+        return head ? true : uRes.write(chunk)
+    }
+
+    /**
+     * @description End the uWS response. HEAD responses report the length the
+     * body would have had instead of sending it.
+     * @param {string|Buffer} [body]
+     */
+    function endBody(body) {
+        if (head) {
+            if (body === undefined) {
+                uRes.endWithoutBody()
+            } else {
+                uRes.endWithoutBody(Buffer.byteLength(body))
+            }
+        } else if (body === undefined) {
+            uRes.end()
+        } else {
+            uRes.end(body)
+        }
+    }
+
+    /**
+     * @description Mark the response finished and run the final write in a
+     * cork — unless the client already aborted, in which case uWS must not be
+     * touched at all.
+     * @param {Function} write - Performs the final uWS writes
+     */
+    function finish(write) {
+        markSent()
+        if (aborted) {
+            debug('response', 'Client aborted, dropping response')
+            return
+        }
+        uRes.cork(write)
+    }
+
+    /**
+     * @description Mark the response finished and notify the done listeners.
+     */
+    function markSent() {
+        sent = true
+        notifyDone()
+    }
+
+    /**
+     * @description Run the done listeners, once: when the response finishes
+     * or the client aborts, whichever comes first.
+     */
+    function notifyDone() {
+        if (doneListeners === null) return
+        const listeners = doneListeners
+        doneListeners = null
+        for (const fn of listeners) fn()
+    }
+
+    /**
+     * @description Write all queued headers to the uWS response. Array values
+     * (like several Set-Cookie headers) are written as one header line each.
      * @param {import('uWebSockets.js').HttpResponse} uRes
      */
     function writeHeaders(uRes) {
         for (const [key, value] of Object.entries(responseHeaders)) {
-            uRes.writeHeader(key, String(value))
+            if (Array.isArray(value)) {
+                for (const item of value) uRes.writeHeader(key, String(item))
+            } else {
+                uRes.writeHeader(key, String(value))
+            }
         }
     }
 
+    /**
+     * @description Queue a Set-Cookie header alongside any already queued.
+     * @param {string} cookie - Serialized Set-Cookie value
+     */
+    function appendSetCookie(cookie) {
+        const existing = responseHeaders['set-cookie']
+        responseHeaders['set-cookie'] = existing === undefined ? [cookie] : [].concat(existing, cookie)
+    }
+
     /**
      * @description Convert a numeric HTTP status code to its uWS status string.
      * uWS expects the full status line like "200 OK".
@@ -64,7 +164,64 @@ export function createResponse(uRes) {
          * @type {boolean}
          */
         get sent() {
-            return sent
+            return sent || headersSent
+        },
+
+        /**
+         * @description Whether the client aborted the request. Once true, writes
+         * are silently dropped.
+         * @type {boolean}
+         */
+        get aborted() {
+            return aborted
+        },
+
+        /**
+         * @description Register a callback for when the client aborts the request
+         * before the response is finished. Called immediately if it already has.
+         *
+         * @param {Function} fn - Callback with no arguments
+         * @returns {RoachResponse} This response object for chaining
+         *
+         * @example
+         * const timer = setInterval(poll, 1000)
+         * res.onAborted(() => clearInterval(timer))
+         */
+        onAborted(fn) {
+            if (aborted) {
+                fn()
+            } else {
+                abortListeners.push(fn)
+            }
+            return res
+        },
+
+        /**
+         * @description Internal. Called by the app when uWS reports the client
+         * aborted; notifies every onAborted listener.
+         * @returns {void}
+         */
+        _abort() {
+            if (aborted) return
+            aborted = true
+            debug('response', 'Client aborted the request')
+            for (const fn of abortListeners) fn()
+            notifyDone()
+        },
+
+        /**
+         * @description Internal. Register a callback for when the response is
+         * finished or the client aborted, whichever comes first. Called
+         * immediately if that already happened.
+         * @param {Function} fn - Callback with no arguments
+         * @returns {void}
+         */
+        _onDone(fn) {
+            if (doneListeners === null) {
+                fn()
+            } else {
+                doneListeners.push(fn)
+            }
         },
 
         /**
@@ -83,10 +240,11 @@ export function createResponse(uRes) {
         },
 
         /**
-         * @description Set a response header. Chainable.
+         * @description Set a response header. Chainable. An array value sends
+         * the header once per item.
          *
          * @param {string} name - Header name
-         * @param {string} value - Header value
+         * @param {string|string[]} value - Header value, or values
          * @returns {RoachResponse} This response object for chaining
          *
          * @example
@@ -97,6 +255,58 @@ export function createResponse(uRes) {
             return res
         },
 
+        /**
+         * @description Get a response header that has been set but not yet sent
+         * (case-insensitive).
+         *
+         * @param {string} name - Header name
+         * @returns {string|string[]|undefined} Header value (an array for repeated headers like Set-Cookie), or undefined if not set
+         *
+         * @example
+         * const vary = res.get('vary')
+         */
+        get(name) {
+            return responseHeaders[name.toLowerCase()]
+        },
+
+        /**
+         * @description Set a cookie. Chainable, and can be called once per cookie —
+         * each becomes its own Set-Cookie header. Cookies default to Path=/.
+         * With `signed: true` the value is HMAC-signed with the first secret
+         * from roach({ cookieSecret }) and comes back in req.signedCookies.
+         *
+         * @param {string} name - Cookie name
+         * @param {string} value - Cookie value
+         * @param {import('./cookies.js').CookieOptions} [options] - Cookie attributes
+         * @returns {RoachResponse} This response object for chaining
+         * @throws {RoachError} If the cookie is invalid, or it is signed and no secret is configured
+         *
+         * @example
+         * res.cookie('session', id, { httpOnly: true, secure: true, sameSite: 'lax', signed: true, maxAge: 3600000 })
+         */
+        cookie(name, value, options = {}) {
+            const text = String(value)
+            appendSetCookie(serializeCookie(name, options.signed ? signCookie(text, cookieSecrets) : text, options))
+            return res
+        },
+
+        /**
+         * @description Clear a cookie by sending it again, empty and already
+         * expired. Chainable. Pass the same path and domain it was set with,
+         * or the browser keeps the original.
+         *
+         * @param {string} name - Cookie name
+         * @param {import('./cookies.js').CookieOptions} [options] - Attributes the cookie was set with
+         * @returns {RoachResponse} This response object for chaining
+         *
+         * @example
+         * res.clearCookie('session').redirect('/login')
+         */
+        clearCookie(name, options = {}) {
+            appendSetCookie(serializeCookie(name, '', { ...options, maxAge: undefined, expires: new Date(0) }))
+            return res
+        },
+
         /**
          * @description Set the Content-Type header. Chainable.
          *
@@ -125,16 +335,14 @@ export function createResponse(uRes) {
          */
         send(data) {
             assertNotSent()
-            sent = true
 
             if (!responseHeaders['content-type']) {
                 responseHeaders['content-type'] = 'text/plain; charset=utf-8'
             }
 
-            uRes.cork(() => {
-                uRes.writeStatus(statusString(statusCode))
-                writeHeaders(uRes)
-                uRes.end(typeof data === 'string' ? data : data)
+            finish(() => {
+                writeHead()
+                endBody(data)
             })
         },
 
@@ -152,15 +360,13 @@ export function createResponse(uRes) {
          */
         json(data) {
             assertNotSent()
-            sent = true
 
             responseHeaders['content-type'] = 'application/json; charset=utf-8'
             const body = JSON.stringify(data)
 
-            uRes.cork(() => {
-                uRes.writeStatus(statusString(statusCode))
-                writeHeaders(uRes)
-                uRes.end(body)
+            finish(() => {
+                writeHead()
+                endBody(body)
             })
         },
 
@@ -179,19 +385,322 @@ export function createResponse(uRes) {
          */
         redirect(url, code = 302) {
             assertNotSent()
-            sent = true
+            headersSent = true
 
-            uRes.cork(() => {
+            finish(() => {
                 uRes.writeStatus(statusString(code))
                 uRes.writeHeader('location', url)
                 writeHeaders(uRes)
-                uRes.end()
+                endBody()
+            })
+        },
+
+        /**
+         * @description Write a chunk of the body without ending the response. The
+         * status and headers go out with the first chunk and the body is sent with
+         * chunked transfer encoding. Finish with res.end().
+         *
+         * @param {string|Buffer} chunk - Body chunk
+         * @returns {boolean} false when uWS is buffering (backpressure) — slow down
+         *   or use res.stream(), which handles it for you
+         * @throws {ResponseAlreadySentError} If the response was already ended
+         *
+         * @example
+         * res.type('text/csv')
+         * res.write('id,name\n')
+         * for (const user of users) res.write(`${user.id},${user.name}\n`)
+         * res.end()
+         */
+        write(chunk) {
+            if (sent) {
+                throw new ResponseAlreadySentError()
+            }
+            if (aborted) return false
+
+            let ok = true
+            uRes.cork(() => {
+                writeHead()
+                ok = writeBody(chunk)
             })
+            return ok
         },
 
         /**
-         * @description End the response with no body. Use this when you've set
-         * headers/status but don't need to send any data.
+         * @description Pipe a Node Readable or async iterable into the response,
+         * honouring uWS backpressure. When `size` is known the body is sent with a
+         * Content-Length via uWS tryEnd; otherwise it is sent chunked. If the client
+         * aborts, the source is destroyed and the returned promise resolves. HEAD
+         * responses never read the source.
+         *
+         * @param {import('node:stream').Readable|AsyncIterable<string|Buffer>} source - Body source
+         * @param {Object} [options]
+         * @param {number} [options.size] - Total body size in bytes, if known
+         * @returns {Promise<void>} Resolves when the body is sent (or the client went away),
+         *   rejects if the source errors or ends short of `size`
+         * @throws {ResponseAlreadySentError} If headers or the body were already sent
+         *
+         * @example
+         * app.get('/export.csv', async (req, res) => {
+         *   res.type('text/csv')
+         *   await res.stream(db.exportRows())
+         * })
+         *
+         * app.get('/download', async (req, res) => {
+         *   const { size } = await stat(file)
+         *   await res.stream(createReadStream(file), { size })
+         * })
+         */
+        stream(source, options = {}) {
+            assertNotSent()
+
+            const readable = typeof source.pipe === 'function' ? source : Readable.from(source)
+            const size = options.size
+
+            if (head) {
+                readable.destroy()
+                finish(() => {
+                    writeHead()
+                    if (size === undefined) {
+                        uRes.endWithoutBody()
+                    } else {
+                        uRes.endWithoutBody(size)
+                    }
+                })
+                return Promise.resolve()
+            }
+
+            return new Promise((resolve, reject) => {
+                let settled = false
+
+                const settle = (err) => {
+                    if (settled) return
+                    settled = true
+                    if (err) {
+                        readable.destroy()
+                        if (headersSent && !aborted) {
+                            markSent()
+                            uRes.close()
+                        }
+                        reject(err)
+                    } else {
+                        resolve()
+                    }
+                }
+
+                abortListeners.push(() => {
+                    readable.destroy()
+                    settle()
+                })
+
+                const onChunk = size === undefined ? writeChunk : tryEndChunk
+
+                readable.on('data', (chunk) => {
+                    if (aborted || settled) return
+                    onChunk(typeof chunk === 'string' ? Buffer.from(chunk) : chunk)
+                })
+
+                readable.on('end', () => {
+                    if (aborted || settled) return
+                    if (size !== undefined) {
+                        if (!sent) {
+                            settle(new RoachError(`Stream ended before the declared size of ${size} bytes was sent`, 500, 'STREAM_SIZE_MISMATCH'))
+                        }
+                        return
+                    }
+                    finish(() => {
+                        writeHead()
+                        endBody()
+                    })
+                    settle()
+                })
+
+                readable.on('error', (err) => settle(err))
+
+                /**
+                 * @description Chunked mode: write, and pause the source until
+                 * uWS drains when write() reports backpressure.
+                 * @param {Buffer} chunk
+                 */
+                function writeChunk(chunk) {
+                    let ok = true
+                    uRes.cork(() => {
+                        writeHead()
+                        ok = writeBody(chunk)
+                    })
+                    if (!ok) {
+                        readable.pause()
+                        uRes.onWritable(() => {
+                            readable.resume()
+                            return true
+                        })
+                    }
+                }
+
+                /**
+                 * @description Sized mode: tryEnd each chunk. On backpressure,
+                 * keep the unsent remainder and retry it from uWS's write offset
+                 * once the socket is writable again.
+                 * @param {Buffer} chunk
+                 */
+                function tryEndChunk(chunk) {
+                    let offset = 0
+                    let result
+                    uRes.cork(() => {
+                        writeHead()
+                        offset = uRes.getWriteOffset()
+                        result = uRes.tryEnd(chunk, size)
+                    })
+
+                    if (result[1]) {
+                        markSent()
+                        settle()
+                        return
+                    }
+                    if (result[0]) return
+
+                    readable.pause()
+                    uRes.onWritable((writeOffset) => {
+                        const [ok, done] = uRes.tryEnd(chunk.subarray(writeOffset - offset), size)
+                        if (done) {
+                            markSent()
+                            settle()
+                        } else if (ok) {
+                            readable.resume()
+                        }
+                        return ok
+                    })
+                }
+            })
+        },
+
+        /**
+         * @description Turn the response into a Server-Sent Events stream. Sends
+         * the text/event-stream headers right away and returns a small event
+         * writer. A comment heartbeat keeps proxies from timing out idle streams.
+         * The stream's onClose callbacks run when the client disconnects or the
+         * server calls close(). On reconnect, browsers send the last id they saw —
+         * read it from req.lastEventId to resume.
+         *
+         * @param {Object} [options]
+         * @param {number} [options.retry] - Reconnection delay (ms) to suggest to the client
+         * @param {number} [options.heartbeat=15000] - Heartbeat interval in ms (0 disables it)
+         * @returns {SSEStream} The event writer
+         * @throws {ResponseAlreadySentError} If the response was already sent
+         *
+         * @example
+         * app.get('/notifications', (req, res) => {
+         *   const sse = res.sse({ retry: 5000 })
+         *   const unsubscribe = feed.subscribe(req.lastEventId, (n) => {
+         *     sse.send({ event: 'notification', id: n.id, data: n })
+         *   })
+         *   sse.onClose(unsubscribe)
+         * })
+         */
+        sse(options = {}) {
+            assertNotSent()
+
+            const heartbeat = options.heartbeat === undefined ? 15000 : options.heartbeat
+            const closeListeners = []
+            let open = true
+            let timer = null
+
+            responseHeaders['content-type'] = 'text/event-stream; charset=utf-8'
+            responseHeaders['cache-control'] = 'no-cache'
+            responseHeaders['x-accel-buffering'] = 'no'
+
+            const push = (text) => {
+                if (!open || aborted) return false
+                let ok = true
+                uRes.cork(() => {
+                    writeHead()
+                    ok = writeBody(text)
+                })
+                return ok
+            }
+
+            const shutdown = () => {
+                if (!open) return
+                open = false
+                if (timer) clearInterval(timer)
+                debug('response', 'SSE stream closed')
+                for (const fn of closeListeners) fn()
+            }
+
+            abortListeners.push(shutdown)
+
+            push(options.retry === undefined ? ': connected\n\n' : `retry: ${Math.floor(options.retry)}\n\n`)
+
+            if (heartbeat > 0) {
+                timer = setInterval(() => push(': ping\n\n'), heartbeat)
+                if (timer.unref) timer.unref()
+            }
+
+            /** @type {SSEStream} */
+            const stream = {
+                /**
+                 * @description Whether the stream is still open.
+                 * @type {boolean}
+                 */
+                get open() {
+                    return open
+                },
+
+                /**
+                 * @description Send an event. Objects are serialized as JSON and
+                 * multi-line strings are split across data lines.
+                 * @param {{ event?: string, data?: *, id?: string|number }} message
+                 * @returns {boolean} false on backpressure or once the stream is closed
+                 */
+                send(message) {
+                    return push(formatEvent(message))
+                },
+
+                /**
+                 * @description Send a comment line, ignored by EventSource clients.
+                 * @param {string} [text='']
+                 * @returns {boolean} false on backpressure or once the stream is closed
+                 */
+                comment(text = '') {
+                    return push(`: ${stripNewlines(String(text))}\n\n`)
+                },
+
+                /**
+                 * @description Register a callback for when the stream closes,
+                 * whether the client disconnected or close() was called.
+                 * @param {Function} fn - Callback with no arguments
+                 * @returns {SSEStream} This stream for chaining
+                 */
+                onClose(fn) {
+                    if (open) {
+                        closeListeners.push(fn)
+                    } else {
+                        fn()
+                    }
+                    return stream
+                },
+
+                /**
+                 * @description End the stream from the server side.
+                 * @returns {void}
+                 */
+                close() {
+                    if (!open) return
+                    shutdown()
+                    finish(() => {
+                        writeHead()
+                        endBody()
+                    })
+                }
+            }
+
+            if (head) stream.close()
+
+            return stream
+        },
+
+        /**
+         * @description End the response. With no prior res.write() this sends an
+         * empty body; after res.write() it finishes the chunked body.
          *
          * @returns {void}
          * @throws {ResponseAlreadySentError} If response was already sent
@@ -200,13 +709,13 @@ export function createResponse(uRes) {
          * res.status(204).end()
          */
         end() {
-            assertNotSent()
-            sent = true
+            if (sent) {
+                throw new ResponseAlreadySentError()
+            }
 
-            uRes.cork(() => {
-                uRes.writeStatus(statusString(statusCode))
-                writeHeaders(uRes)
-                uRes.end()
+            finish(() => {
+                writeHead()
+                endBody()
             })
         }
     }
@@ -214,6 +723,38 @@ export function createResponse(uRes) {
     return res
 }
 
+/**
+ * @description Serialize an SSE event into its wire format.
+ *
+ * @param {{ event?: string, data?: *, id?: string|number }} message - The event
+ * @returns {string} The event block, terminated by a blank line
+ *
+ * @example
+ * formatEvent({ event: 'tick', id: 7, data: 'a\nb' })
+ * // => 'id: 7\nevent: tick\ndata: a\ndata: b\n\n'
+ */
+function formatEvent({ event, data, id }) {
+    let out = ''
+    if (id !== undefined) out += `id: ${stripNewlines(String(id))}\n`
+    if (event !== undefined) out += `event: ${stripNewlines(String(event))}\n`
+
+    const text = data === undefined ? '' : typeof data === 'string' ? data : JSON.stringify(data)
+    for (const line of text.split(/\r\n|\r|\n/)) {
+        out += `data: ${line}\n`
+    }
+
+    return out + '\n'
+}
+
+/**
+ * @description Remove CR/LF so a value can't break out of its SSE field.
+ * @param {string} value
+ * @returns {string}
+ */
+function stripNewlines(value) {
+    return value.replace(/[\r\n]/g, '')
+}
+
 /**
  * @description Standard HTTP status code to reason phrase mapping.
  * Used to construct the full status line that uWS expects.
@@ -237,6 +778,7 @@ const STATUS_CODES = {
     403: 'Forbidden',
     404: 'Not Found',
     405: 'Method Not Allowed',
+    406: 'Not Acceptable',
     408: 'Request Timeout',
     409: 'Conflict',
     410: 'Gone',
@@ -253,12 +795,29 @@ const STATUS_CODES = {
 
 /**
  * @typedef {Object} RoachResponse
- * @property {boolean} sent - Whether the response has been sent
+ * @property {boolean} sent - Whether the response has been sent (or its headers have, for streamed responses)
+ * @property {boolean} aborted - Whether the client aborted the request
+ * @property {function(Function): RoachResponse} onAborted - Register a client-abort callback
  * @property {function(number): RoachResponse} status - Set HTTP status code
- * @property {function(string, string): RoachResponse} set - Set response header
+ * @property {function(string, (string|string[])): RoachResponse} set - Set response header
+ * @property {function(string): (string|string[]|undefined)} get - Get a queued response header
+ * @property {function(string, string, import('./cookies.js').CookieOptions=): RoachResponse} cookie - Set a cookie
+ * @property {function(string, import('./cookies.js').CookieOptions=): RoachResponse} clearCookie - Clear a cookie
  * @property {function(string): RoachResponse} type - Set Content-Type
  * @property {function(string|Buffer): void} send - Send string/Buffer response
  * @property {function(*): void} json - Send JSON response
  * @property {function(string, number=): void} redirect - Redirect client
- * @property {function(): void} end - End response with no body
+ * @property {function((string|Buffer)): boolean} write - Write a body chunk (chunked transfer)
+ * @property {function((import('node:stream').Readable|AsyncIterable), Object=): Promise<void>} stream - Pipe a stream with backpressure
+ * @property {function(Object=): SSEStream} sse - Start a Server-Sent Events stream
+ * @property {function(): void} end - End response (with no body, or after write())
+ */
+
+/**
+ * @typedef {Object} SSEStream
+ * @property {boolean} open - Whether the stream is still open
+ * @property {function({ event?: string, data?: *, id?: (string|number) }): boolean} send - Send an event
+ * @property {function(string=): boolean} comment - Send a comment line
+ * @property {function(Function): SSEStream} onClose - Register a close callback
+ * @property {function(): void} close - End the stream
  */
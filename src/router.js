@@ -1,23 +1,51 @@
 /**
  * @module router
- * @description Radix Tree (Patricia Trie) router for RoachJS. Hand-written,
- * zero dependencies, zero compromises. Static routes resolve in O(1),
- * parametric routes in O(log n). Supports static segments, named parameters
- * (:param), and wildcards (*).
+ * @description Segment trie router for RoachJS. Hand-written, zero
+ * dependencies, zero compromises. Static routes resolve in O(1) from a cache,
+ * other routes in one step per path segment. Supports static segments, named
+ * parameters (:param), constrained parameters (:id(\\d+) or :id<int>), optional
+ * trailing parameters (:id?), several parameters in one segment (:name.:ext),
+ * and wildcards (* or the named *path).
  *
- * The tree compresses common prefixes into shared edges, splitting nodes only
- * when a new route diverges from an existing one. This gives us minimal memory
- * usage and maximum lookup speed.
+ * When several branches could match a segment, the order is always the same:
+ * static segments first, then constrained parameters in registration order,
+ * then the unconstrained parameter, then the wildcard. A branch that fails
+ * further down falls through to the next candidate.
+ *
+ * Routes share a node for every leading path segment they have in common, and
+ * a tree only branches where routes diverge. A lookup walks one node per
+ * request segment, comparing whole segments.
+ *
+ * A method and path can also be registered once per version ({ version: '2' }).
+ * Lookups pick the requested version, then the unversioned route; without a
+ * requested version, the unversioned route wins, then the highest version.
  */
 
-import { RouteConflictError, InvalidRouteError, NotFoundError, debug } from './errors.js'
+import { RoachError, RouteConflictError, InvalidRouteError, NotFoundError, BadRequestError, debug } from './errors.js'
+
+/** @type {string} Segment standing for a trailing slash when trailing slashes are strict */
+const TRAILING_SLASH = '/'
+
+/**
+ * @type {Object<string, {pattern: string, coerce: Function|null}>} Built-in
+ * parameter types for the :name<type> shorthand. Types with a coerce function
+ * convert the matched value before it reaches req.params; a coerce function
+ * returning undefined rejects the segment.
+ */
+const PARAM_TYPES = {
+    int: { pattern: '-?\\d+', coerce: toSafeInteger },
+    number: { pattern: '-?\\d+(?:\\.\\d+)?', coerce: Number },
+    uuid: { pattern: '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}', coerce: null },
+    slug: { pattern: '[a-z0-9]+(?:-[a-z0-9]+)*', coerce: null },
+    alpha: { pattern: '[a-zA-Z]+', coerce: null }
+}
 
 /**
- * @description A single node in the radix tree. Each node holds an edge label
- * (the compressed path segment), child nodes, parameter/wildcard metadata,
- * and a map of HTTP method → handler for terminal nodes.
+ * @description A single node in the segment trie. Each node stands for one
+ * whole path segment and holds its static, parametric and wildcard children,
+ * parameter metadata, and the routes that end at it, by method.
  */
-class RadixNode {
+class SegmentNode {
     /**
      * @param {string} label - The path segment this node represents
      */
@@ -25,47 +53,83 @@ class RadixNode {
         /** @type {string} */
         this.label = label
 
-        /** @type {RadixNode[]} */
+        /** @type {SegmentNode[]} */
         this.children = []
 
-        /** @type {Map<string, {handler: Function, middleware: Function[]}>} */
+        /** @type {Map<string, RouteRecord>} Unversioned routes by method */
         this.handlers = new Map()
 
-        /** @type {string|null} Parameter name if this is a parametric node */
+        /** @type {Map<string, VersionSet>} Versioned routes by method */
+        this.versions = new Map()
+
+        /** @type {string|null} Parameter name if this is a parametric or wildcard node */
         this.paramName = null
 
+        /** @type {string} Identifies the segment's shape ('' for a plain :param) */
+        this.paramKey = ''
+
+        /** @type {RegExp|null} Anchored pattern the segment must match, if constrained */
+        this.constraint = null
+
+        /** @type {Function|null} Converts the matched value (typed params only) */
+        this.coerce = null
+
+        /** @type {{name: string, coerce: Function|null}[]|null} Params captured by a multi-param segment, in order */
+        this.segmentParams = null
+
         /** @type {boolean} Whether this is a wildcard node */
         this.isWildcard = false
 
-        /** @type {RadixNode|null} Parametric child (only one allowed per level) */
-        this.paramChild = null
+        /** @type {SegmentNode[]} Parametric children: constrained ones in registration order, the unconstrained one last */
+        this.paramChildren = []
 
-        /** @type {RadixNode|null} Wildcard child (only one allowed per level) */
+        /** @type {SegmentNode|null} Wildcard child (only one allowed per level) */
         this.wildcardChild = null
     }
 }
 
 /**
- * @description High-performance radix tree router. Routes are stored in a
- * compressed trie structure where common path prefixes share tree edges.
+ * @description High-performance segment trie router. Routes that share
+ * leading path segments share nodes, and static routes are also cached by
+ * path for O(1) lookups.
  *
  * @example
  * const router = new Router()
  * router.add('GET', '/users/:id', [], (req, res) => res.json({ id: req.params.id }))
  * const match = router.find('GET', '/users/42')
  * // match.handler is the function, match.params is { id: '42' }
+ *
+ * const strict = new Router({ caseSensitive: false, strictTrailingSlash: true })
  */
 export class Router {
-    constructor() {
-        /** @type {RadixNode} The root of the radix tree */
-        this.root = new RadixNode()
+    /**
+     * @param {RouterOptions} [options] - Matching policies
+     */
+    constructor(options = {}) {
+        /** @type {boolean} Whether static segments match case-sensitively (params keep their case either way) */
+        this.caseSensitive = options.caseSensitive !== false
+
+        /** @type {boolean} Whether '/users/' and '/users' are different paths */
+        this.strictTrailingSlash = options.strictTrailingSlash === true
 
-        /** @type {Map<string, Function>} Fast lookup cache for static routes */
+        /** @type {SegmentNode} The root of the segment trie */
+        this.root = new SegmentNode()
+
+        /** @type {Map<string, SegmentNode>} Fast lookup cache for the nodes of static routes */
         this.staticRoutes = new Map()
+
+        /** @type {boolean} Whether any route was registered with a version */
+        this.hasVersions = false
+
+        /** @type {RouteRecord[]} Every registered route, in registration order */
+        this.routes = []
+
+        /** @type {Map<string, RouteRecord>} Named routes registered directly on this router */
+        this.names = new Map()
     }
 
     /**
-     * @description Register a route in the radix tree. Parses the path into
+     * @description Register a route in the segment trie. Parses the path into
      * segments, builds or extends tree nodes as needed, and stores the handler
      * at the terminal node.
      *
@@ -73,14 +137,44 @@ export class Router {
      * @param {string} path - Route path pattern (e.g., '/users/:id')
      * @param {Function[]} middleware - Array of middleware functions for this route
      * @param {Function} handler - The route handler function
-     * @returns {void}
-     * @throws {InvalidRouteError} If the path is malformed
-     * @throws {RouteConflictError} If the exact method+path already exists
+     * @param {RouteOptions} [options={}] - Per-route options, returned with every match
+     * @param {Array} [scopes=[]] - Opaque scope data (e.g. the sub-routers a route came from), returned with every match
+     * @returns {RouteRecord} The stored route
+     * @throws {InvalidRouteError} If the path is malformed or the route name is taken by another path
+     * @throws {RouteConflictError} If the exact method+path (and version) already exists
      *
      * @example
      * router.add('GET', '/api/users/:id', [authMiddleware], handler)
+     * router.add('POST', '/upload', [], handler, { body: 'stream' })
+     * router.add('GET', '/users/:id', [], handler, { name: 'user.show' })
+     * router.add('GET', '/users', [], listUsersV2, { version: '2' })
      */
-    add(method, path, middleware, handler) {
+    add(method, path, middleware, handler, options = {}, scopes = []) {
+        const named = options.name !== undefined ? this.names.get(options.name) : undefined
+        if (named && named.path !== path) {
+            throw new InvalidRouteError(path, `Route name "${options.name}" is already used by ${named.path}`)
+        }
+
+        const route = this._add(method, path, middleware, handler, options, scopes)
+        if (options.name !== undefined && !named) {
+            this.names.set(options.name, route)
+        }
+        return route
+    }
+
+    /**
+     * @description Register a route without claiming its name, so routes copied
+     * in by mount() keep their names local to the router they came from.
+     *
+     * @param {string} method - HTTP method (GET, POST, etc.)
+     * @param {string} path - Route path pattern
+     * @param {Function[]} middleware - Route-level middleware
+     * @param {Function} handler - The route handler function
+     * @param {RouteOptions} options - Per-route options
+     * @param {Array} scopes - Opaque scope data returned with every match
+     * @returns {RouteRecord} The stored route
+     */
+    _add(method, path, middleware, handler, options, scopes) {
         method = method.toUpperCase()
 
         if (!path.startsWith('/')) {
@@ -89,150 +183,393 @@ export class Router {
 
         debug('router', `Registering ${method} ${path}`)
 
-        const isStatic = !path.includes(':') && !path.includes('*')
-        if (isStatic) {
-            const key = `${method}:${path}`
-            if (this.staticRoutes.has(key)) {
-                throw new RouteConflictError(method, path)
+        const route = { method, path, handler, middleware, options, scopes }
+        const variants = expandOptional(path)
+
+        // Check every concrete path first, so a conflict on a later one
+        // doesn't leave the earlier ones registered
+        for (const variant of variants) {
+            this._check(method, variant, route)
+        }
+        for (const variant of variants) {
+            this._insert(method, variant, route)
+        }
+        this.routes.push(route)
+        return route
+    }
+
+    /**
+     * @description Make sure a route can be stored under one concrete path
+     * pattern, without changing the tree.
+     *
+     * @param {string} method - Uppercase HTTP method
+     * @param {string} path - Path pattern without optional markers
+     * @param {RouteRecord} route - The route to check
+     * @returns {void}
+     * @throws {InvalidRouteError} If the path is malformed
+     * @throws {RouteConflictError} If the exact method+path (and version) already exists
+     */
+    _check(method, path, route) {
+        const node = this._descend(method, path, route, false)
+        if (!node) return
+
+        const version = route.options.version
+        if (version !== undefined) {
+            const set = node.versions.get(method)
+            if (set && set.routes.has(version)) {
+                throw new RouteConflictError(method, `${route.path} (version ${version})`)
             }
-            this.staticRoutes.set(key, { handler, middleware })
+        } else if (node.handlers.has(method)) {
+            throw new RouteConflictError(method, route.path)
+        }
+    }
+
+    /**
+     * @description Store a route under one concrete path pattern (optional
+     * params already expanded).
+     *
+     * @param {string} method - Uppercase HTTP method
+     * @param {string} path - Path pattern without optional markers
+     * @param {RouteRecord} route - The route to store
+     * @returns {void}
+     * @throws {InvalidRouteError} If the path is malformed
+     * @throws {RouteConflictError} If the exact method+path (and version) already exists
+     */
+    _insert(method, path, route) {
+        const node = this._descend(method, path, route, true)
+
+        const version = route.options.version
+        if (version !== undefined) {
+            addVersion(node, method, version, route)
+            this.hasVersions = true
+        } else if (node.handlers.has(method)) {
+            throw new RouteConflictError(method, route.path)
+        } else {
+            node.handlers.set(method, route)
         }
 
+        if (!path.includes(':') && !path.includes('*')) {
+            this.staticRoutes.set(this._staticKey(method, escapeLiteral(path)), node)
+        }
+    }
+
+    /**
+     * @description Walk the nodes for one concrete path pattern, parsing every
+     * segment and checking param and wildcard names against the existing tree.
+     *
+     * @param {string} method - Uppercase HTTP method (for conflict errors)
+     * @param {string} path - Path pattern without optional markers
+     * @param {RouteRecord} route - The route being registered
+     * @param {boolean} create - Whether to create missing nodes
+     * @returns {SegmentNode|null} The terminal node, or null if it doesn't exist and create is false
+     * @throws {InvalidRouteError} If the path is malformed
+     * @throws {RouteConflictError} If a param or wildcard name disagrees with the tree
+     */
+    _descend(method, path, route, create) {
         const segments = this._splitPath(path)
         let node = this.root
 
         for (let i = 0; i < segments.length; i++) {
             const segment = segments[i]
 
-            if (segment.startsWith(':')) {
-                const paramName = segment.slice(1)
-                if (!paramName) {
-                    throw new InvalidRouteError(path, 'Parameter name cannot be empty')
-                }
-
-                if (!node.paramChild) {
-                    node.paramChild = new RadixNode(segment)
-                    node.paramChild.paramName = paramName
-                } else if (node.paramChild.paramName !== paramName) {
-                    throw new RouteConflictError(method, path)
-                }
-                node = node.paramChild
-
-            } else if (segment === '*') {
+            if (segment.startsWith('*')) {
                 if (i !== segments.length - 1) {
-                    throw new InvalidRouteError(path, 'Wildcard (*) must be the last segment')
+                    throw new InvalidRouteError(route.path, 'Wildcard (*) must be the last segment')
                 }
+                const name = parseWildcard(segment, route.path)
+                node = node && this._insertWildcard(node, name, method, route.path, create)
 
-                if (!node.wildcardChild) {
-                    node.wildcardChild = new RadixNode('*')
-                    node.wildcardChild.isWildcard = true
-                }
-                node = node.wildcardChild
+            } else if (segment.includes(':')) {
+                const param = parseParam(segment, route.path)
+                node = node && this._insertParam(node, param, method, route.path, create)
 
             } else {
-                node = this._insertStatic(node, segment)
+                const label = escapeLiteral(segment)
+                node = node && this._insertStatic(node, this.caseSensitive ? label : label.toLowerCase(), create)
             }
         }
 
-        if (node.handlers.has(method)) {
-            throw new RouteConflictError(method, path)
-        }
-
-        node.handlers.set(method, { handler, middleware })
+        return node
     }
 
     /**
-     * @description Insert a static path segment into the tree, splitting
-     * existing nodes when the new segment shares a prefix with an existing edge.
+     * @description Copy every route of another router into this one under a path
+     * prefix, so a single tree answers for both. The other router is left
+     * untouched and can be mounted again elsewhere.
      *
-     * @param {RadixNode} parent - Parent node to insert under
-     * @param {string} segment - The static path segment to insert
-     * @returns {RadixNode} The node representing the end of this segment
+     * @param {string} prefix - Normalized path prefix ('' for the root, no trailing slash)
+     * @param {Router} other - Router whose routes are copied
+     * @param {Array} [scopes=[]] - Scope data stored on every copied route
+     * @returns {void}
+     * @throws {RouteConflictError} If a copied route already exists in this router
+     *
+     * @example
+     * const api = new Router()
+     * api.add('GET', '/users/:id', [], getUser)
+     * router.mount('/api', api)
+     * router.find('GET', '/api/users/42') // => { handler: getUser, params: { id: '42' }, ... }
      */
-    _insertStatic(parent, segment) {
-        for (let i = 0; i < parent.children.length; i++) {
-            const child = parent.children[i]
-            const commonLen = this._commonPrefixLength(child.label, segment)
-
-            if (commonLen === 0) continue
+    mount(prefix, other, scopes = []) {
+        for (const route of other.routes) {
+            this.mountRoute(prefix, route, scopes)
+        }
+        debug('router', `Mounted ${other.routes.length} route(s) at ${prefix || '/'}`)
+    }
 
-            if (commonLen === child.label.length && commonLen === segment.length) {
-                return child
-            }
+    /**
+     * @description Copy a single route of another router into this one under a
+     * path prefix — what mount() does for each route, for routes registered on
+     * the other router after it was mounted.
+     *
+     * @param {string} prefix - Normalized path prefix ('' for the root, no trailing slash)
+     * @param {RouteRecord} route - The route to copy
+     * @param {Array} [scopes=[]] - Scope data stored on the copy
+     * @returns {void}
+     * @throws {RouteConflictError} If the route already exists in this router
+     *
+     * @example
+     * const route = api.add('GET', '/health', [], health)
+     * router.mountRoute('/api', route) // GET /api/health
+     */
+    mountRoute(prefix, route, scopes = []) {
+        this._add(route.method, prefixPath(prefix, route.path), route.middleware, route.handler, route.options, scopes)
+    }
 
-            if (commonLen === child.label.length) {
-                return this._insertStatic(child, segment.slice(commonLen))
+    /**
+     * @description Find or create the parametric child for a parameter segment.
+     * Parameters with the same constraint share a node, so their names must
+     * agree. Constrained children are kept ahead of the unconstrained one.
+     *
+     * @param {SegmentNode} parent - Parent node to insert under
+     * @param {ParamSpec} param - The parsed parameter segment
+     * @param {string} method - HTTP method (for conflict errors)
+     * @param {string} path - Full route path (for conflict errors)
+     * @param {boolean} [create=true] - Whether to create the node if it is missing
+     * @returns {SegmentNode|null} The parametric node, or null if it is missing and create is false
+     * @throws {RouteConflictError} If the same constraint is registered under a different name
+     */
+    _insertParam(parent, param, method, path, create = true) {
+        const existing = parent.paramChildren.find((child) => child.paramKey === param.key)
+        if (existing) {
+            if (existing.paramName !== param.name) {
+                throw new RouteConflictError(method, path)
             }
+            return existing
+        }
+        if (!create) return null
 
-            if (commonLen < child.label.length) {
-                const splitNode = new RadixNode(child.label.slice(0, commonLen))
-                child.label = child.label.slice(commonLen)
-                splitNode.children.push(child)
+        const node = new SegmentNode(param.label)
+        node.paramName = param.name
+        node.paramKey = param.key
+        node.constraint = param.constraint
+        node.coerce = param.coerce
+        node.segmentParams = param.segmentParams
 
-                parent.children[i] = splitNode
+        const last = parent.paramChildren[parent.paramChildren.length - 1]
+        if (param.constraint && last && !last.constraint) {
+            parent.paramChildren.splice(parent.paramChildren.length - 1, 0, node)
+        } else {
+            parent.paramChildren.push(node)
+        }
+        return node
+    }
 
-                if (commonLen === segment.length) {
-                    return splitNode
-                }
+    /**
+     * @description Find or create the wildcard child of a node. A level has at
+     * most one wildcard, so its name must agree across routes.
+     *
+     * @param {SegmentNode} parent - Parent node to insert under
+     * @param {string} name - Wildcard name ('*' when unnamed)
+     * @param {string} method - HTTP method (for conflict errors)
+     * @param {string} path - Full route path (for conflict errors)
+     * @param {boolean} [create=true] - Whether to create the node if it is missing
+     * @returns {SegmentNode|null} The wildcard node, or null if it is missing and create is false
+     * @throws {RouteConflictError} If a wildcard with a different name exists at this level
+     */
+    _insertWildcard(parent, name, method, path, create = true) {
+        if (!parent.wildcardChild) {
+            if (!create) return null
+            parent.wildcardChild = new SegmentNode(name === '*' ? '*' : `*${name}`)
+            parent.wildcardChild.isWildcard = true
+            parent.wildcardChild.paramName = name
+        } else if (parent.wildcardChild.paramName !== name) {
+            throw new RouteConflictError(method, path)
+        }
+        return parent.wildcardChild
+    }
 
-                const newNode = new RadixNode(segment.slice(commonLen))
-                splitNode.children.push(newNode)
-                return newNode
-            }
+    /**
+     * @description Find or create the child node for a static path segment.
+     * Each segment gets its own node, so a node's children are always the
+     * next segment of some route and never the rest of the current one.
+     *
+     * @param {SegmentNode} parent - Parent node to insert under
+     * @param {string} segment - The static path segment to insert
+     * @param {boolean} [create=true] - Whether to create the node if it is missing
+     * @returns {SegmentNode|null} The node representing the end of this segment, or null if it is missing and create is false
+     */
+    _insertStatic(parent, segment, create = true) {
+        for (const child of parent.children) {
+            if (child.label === segment) return child
         }
+        if (!create) return null
 
-        const newNode = new RadixNode(segment)
+        const newNode = new SegmentNode(segment)
         parent.children.push(newNode)
         return newNode
     }
 
     /**
      * @description Find a route match for a given method and URL path.
-     * Checks the static cache first (O(1)), then traverses the radix tree.
+     * Checks the static cache first (O(1)), then walks the segment trie.
      *
      * @param {string} method - HTTP method
      * @param {string} path - URL path to match
-     * @returns {{ handler: Function, params: Object<string, string>, middleware: Function[] }|null}
-     *   The matched route with handler, extracted params, and middleware, or null if not found
+     * @param {string|null} [version=null] - Requested route version, if any
+     * @returns {RouteMatch|null} The matched route with handler, extracted params,
+     *   middleware and options, or null if not found
      *
      * @example
      * const result = router.find('GET', '/users/42')
      * if (result) {
      *   result.handler(req, res)  // result.params = { id: '42' }
      * }
+     *
+     * router.find('GET', '/users', '2') // the { version: '2' } route, or the unversioned one
      */
-    find(method, path) {
+    find(method, path, version = null) {
         method = method.toUpperCase()
 
-        const staticKey = `${method}:${path}`
-        const staticMatch = this.staticRoutes.get(staticKey)
-        if (staticMatch) {
-            return { handler: staticMatch.handler, params: {}, middleware: staticMatch.middleware }
+        const staticNode = this.staticRoutes.get(this._staticKey(method, path))
+        if (staticNode) {
+            const route = pickRoute(staticNode, method, version)
+            if (route) return toMatch(route, {})
         }
 
         const segments = this._splitPath(path)
         const params = {}
-        const result = this._search(this.root, segments, 0, params, method)
+        const result = this._search(this.root, segments, 0, params, method, version, this._segmentKeys(segments))
 
         return result
     }
 
+    /**
+     * @description List the HTTP methods registered for a URL path. A method is
+     * listed exactly when find(method, path) would match, which is what an
+     * Allow header needs.
+     *
+     * @param {string} path - URL path to check
+     * @returns {string[]} Sorted method names, empty if the path matches nothing
+     *
+     * @example
+     * router.add('GET', '/users/:id', [], getUser)
+     * router.add('PUT', '/users/:id', [], updateUser)
+     * router.allowedMethods('/users/42') // => ['GET', 'PUT']
+     */
+    allowedMethods(path) {
+        const methods = new Set()
+        for (const node of this._matchingNodes(path)) {
+            for (const method of node.handlers.keys()) methods.add(method)
+            for (const method of node.versions.keys()) methods.add(method)
+        }
+        return Array.from(methods).sort()
+    }
+
+    /**
+     * @description List the versions registered for a method and URL path. When
+     * find() misses for a requested version but this list isn't empty, the path
+     * exists and only the version is wrong.
+     *
+     * @param {string} method - HTTP method
+     * @param {string} path - URL path to check
+     * @returns {string[]} Versions from lowest to highest, empty if the path has no versioned routes
+     *
+     * @example
+     * router.add('GET', '/users', [], listV1, { version: '1' })
+     * router.add('GET', '/users', [], listV2, { version: '2' })
+     * router.allowedVersions('GET', '/users') // => ['1', '2']
+     */
+    allowedVersions(method, path) {
+        method = method.toUpperCase()
+        const versions = new Set()
+        for (const node of this._matchingNodes(path)) {
+            const set = node.versions.get(method)
+            if (set) {
+                for (const version of set.routes.keys()) versions.add(version)
+            }
+        }
+        return Array.from(versions).sort(compareVersions)
+    }
+
+    /**
+     * @description Find every node that a URL path reaches, through static,
+     * parametric and wildcard branches alike.
+     *
+     * @param {string} path - URL path
+     * @returns {SegmentNode[]} The matching nodes
+     */
+    _matchingNodes(path) {
+        const nodes = []
+        const segments = this._splitPath(path)
+        this._collectNodes(this.root, segments, 0, nodes, this._segmentKeys(segments))
+        return nodes
+    }
+
+    /**
+     * @description Walk every branch that matches the path (static, parametric
+     * and wildcard) and collect the nodes the path ends at.
+     *
+     * @param {SegmentNode} node - Current node in the tree
+     * @param {string[]} segments - All URL path segments
+     * @param {number} segIdx - Current segment index
+     * @param {SegmentNode[]} nodes - Accumulated nodes
+     * @param {string[]} [keys=segments] - Segments as compared against static nodes
+     * @returns {void}
+     */
+    _collectNodes(node, segments, segIdx, nodes, keys = segments) {
+        if (segIdx === segments.length) {
+            nodes.push(node)
+            return
+        }
+
+        for (const child of node.children) {
+            const match = this._matchStatic(child, keys, segIdx)
+            if (match !== null) {
+                this._collectNodes(child, segments, match, nodes, keys)
+            }
+        }
+
+        if (segments[segIdx] !== TRAILING_SLASH) {
+            for (const child of node.paramChildren) {
+                if (!captureParams(child, segments[segIdx], {})) continue
+                this._collectNodes(child, segments, segIdx + 1, nodes, keys)
+            }
+        }
+
+        if (node.wildcardChild) {
+            nodes.push(node.wildcardChild)
+        }
+    }
+
     /**
      * @description Recursive tree search. Tries static children first (fastest),
-     * then parametric children, then wildcard children (most permissive).
+     * then constrained parametric children, then the unconstrained one, then
+     * wildcard children (most permissive).
      *
-     * @param {RadixNode} node - Current node in the tree
+     * @param {SegmentNode} node - Current node in the tree
      * @param {string[]} segments - All URL path segments
      * @param {number} segIdx - Current segment index
      * @param {Object<string, string>} params - Accumulated route parameters
      * @param {string} method - HTTP method to match
-     * @returns {{ handler: Function, params: Object<string, string>, middleware: Function[] }|null}
+     * @param {string|null} version - Requested route version, if any
+     * @param {string[]} [keys=segments] - Segments as compared against static nodes
+     * @returns {RouteMatch|null}
      */
-    _search(node, segments, segIdx, params, method) {
+    _search(node, segments, segIdx, params, method, version, keys = segments) {
         if (segIdx === segments.length) {
-            const route = node.handlers.get(method)
+            const route = pickRoute(node, method, version)
             if (route) {
-                return { handler: route.handler, params: { ...params }, middleware: route.middleware }
+                return toMatch(route, { ...params })
             }
             return null
         }
@@ -240,39 +577,37 @@ export class Router {
         const segment = segments[segIdx]
 
         for (const child of node.children) {
-            const match = this._matchStatic(child, segments, segIdx)
+            const match = this._matchStatic(child, keys, segIdx)
             if (match !== null) {
-                const result = this._search(child, segments, match, params, method)
+                const result = this._search(child, segments, match, params, method, version, keys)
                 if (result) return result
             }
         }
 
-        if (node.paramChild) {
-            params[node.paramChild.paramName] = segment
-            const result = this._search(node.paramChild, segments, segIdx + 1, params, method)
-            if (result) return result
-            delete params[node.paramChild.paramName]
+        if (segment !== TRAILING_SLASH) {
+            for (const child of node.paramChildren) {
+                if (!captureParams(child, segment, params)) continue
+                const result = this._search(child, segments, segIdx + 1, params, method, version, keys)
+                if (result) return result
+                releaseParams(child, params)
+            }
         }
 
         if (node.wildcardChild) {
-            const wildcardValue = segments.slice(segIdx).join('/')
-            params['*'] = wildcardValue
-            const route = node.wildcardChild.handlers.get(method)
+            const route = pickRoute(node.wildcardChild, method, version)
             if (route) {
-                return { handler: route.handler, params: { ...params }, middleware: route.middleware }
+                params[node.wildcardChild.paramName] = wildcardValue(segments, segIdx)
+                return toMatch(route, { ...params })
             }
-            delete params['*']
         }
 
         return null
     }
 
     /**
-     * @description Match a static child node against path segments starting at
-     * segIdx. Handles compressed edges that may span multiple characters within
-     * a single segment.
+     * @description Match a static child node against the path segment at segIdx.
      *
-     * @param {RadixNode} child - The child node to match against
+     * @param {SegmentNode} child - The child node to match against
      * @param {string[]} segments - All URL path segments
      * @param {number} segIdx - Starting segment index
      * @returns {number|null} The next segment index after match, or null if no match
@@ -290,7 +625,8 @@ export class Router {
 
     /**
      * @description Split a URL path into segments, removing empty strings
-     * from leading/trailing slashes.
+     * from leading/trailing slashes. With strict trailing slashes, a trailing
+     * slash becomes a final '/' segment so it takes part in matching.
      *
      * @param {string} path - URL path to split
      * @returns {string[]} Array of path segments
@@ -298,47 +634,745 @@ export class Router {
      * @example
      * _splitPath('/users/42/posts') // => ['users', '42', 'posts']
      * _splitPath('/')               // => []
+     * _splitPath('/users/')         // => ['users'], or ['users', '/'] when strict
      */
     _splitPath(path) {
-        return path.split('/').filter(Boolean)
+        const segments = path.split('/').filter(Boolean)
+        if (this.strictTrailingSlash && path.length > 1 && path.endsWith('/')) {
+            segments.push(TRAILING_SLASH)
+        }
+        return segments
     }
 
     /**
-     * @description Calculate the length of the common prefix between two strings.
+     * @description Segments as compared against static nodes: lowercased when
+     * matching is case-insensitive, otherwise the segments themselves.
      *
-     * @param {string} a - First string
-     * @param {string} b - Second string
-     * @returns {number} Number of characters shared at the start
+     * @param {string[]} segments - URL path segments
+     * @returns {string[]} Comparison keys, one per segment
      */
-    _commonPrefixLength(a, b) {
-        const len = Math.min(a.length, b.length)
-        let i = 0
-        while (i < len && a[i] === b[i]) i++
-        return i
+    _segmentKeys(segments) {
+        return this.caseSensitive ? segments : segments.map((segment) => segment.toLowerCase())
+    }
+
+    /**
+     * @description Key of a static route in the static cache, normalized the
+     * same way the tree compares paths so both always agree.
+     *
+     * @param {string} method - Uppercase HTTP method
+     * @param {string} path - Route path or URL path
+     * @returns {string} Cache key
+     */
+    _staticKey(method, path) {
+        if (!this.strictTrailingSlash && path.length > 1 && path.endsWith('/')) {
+            path = path.slice(0, -1)
+        }
+        return `${method}:${this.caseSensitive ? path : path.toLowerCase()}`
     }
 
     /**
      * @description Print the tree structure for debugging. Only active when
      * DEBUG=roachjs is set.
      *
-     * @param {RadixNode} [node] - Starting node (defaults to root)
+     * @param {SegmentNode} [node] - Starting node (defaults to root)
      * @param {string} [prefix=''] - Indentation prefix for tree visualization
      * @returns {void}
      */
     debugPrint(node = this.root, prefix = '') {
-        const methods = Array.from(node.handlers.keys()).join(',')
+        const versioned = []
+        for (const [method, set] of node.versions) {
+            for (const version of set.routes.keys()) versioned.push(`${method}@${version}`)
+        }
+        const methods = [...node.handlers.keys(), ...versioned].join(',')
         const label = node.label || '(root)'
-        const extra = node.paramName ? ` [param:${node.paramName}]` : node.isWildcard ? ' [wildcard]' : ''
+        const extra = node.isWildcard ? ' [wildcard]' : node.paramName ? ` [param:${node.paramName}]` : ''
         debug('router', `${prefix}${label}${extra}${methods ? ` → [${methods}]` : ''}`)
 
         for (const child of node.children) {
             this.debugPrint(child, prefix + '  ')
         }
-        if (node.paramChild) {
-            this.debugPrint(node.paramChild, prefix + '  ')
+        for (const child of node.paramChildren) {
+            this.debugPrint(child, prefix + '  ')
         }
         if (node.wildcardChild) {
             this.debugPrint(node.wildcardChild, prefix + '  ')
         }
     }
 }
+
+/**
+ * @description Expand a path with optional trailing parameters into every
+ * concrete path it stands for, shortest first. Paths without optional
+ * parameters expand to themselves.
+ *
+ * @param {string} path - Route path pattern
+ * @returns {string[]} Concrete path patterns
+ * @throws {InvalidRouteError} If an optional parameter is followed by a required segment
+ *
+ * @example
+ * expandOptional('/archive/:year?/:month?')
+ * // => ['/archive', '/archive/:year', '/archive/:year/:month']
+ */
+export function expandOptional(path) {
+    const segments = path.split('/')
+    const first = segments.findIndex(isOptionalSegment)
+    if (first === -1) return [path]
+
+    const required = segments.map((segment) => isOptionalSegment(segment) ? segment.slice(0, -1) : segment)
+    for (let i = first; i < segments.length; i++) {
+        if (!isOptionalSegment(segments[i])) {
+            throw new InvalidRouteError(path, 'Optional parameters (:name?) must come after every required segment')
+        }
+    }
+
+    const variants = []
+    for (let end = first; end <= segments.length; end++) {
+        variants.push(required.slice(0, end).join('/') || '/')
+    }
+    return variants
+}
+
+/**
+ * @description Normalize a raw URL path before routing. Each segment is
+ * percent-decoded, empty segments ('//') are dropped, and '.' and '..' are
+ * resolved (encoded dots included), never climbing above the root. A
+ * trailing slash is kept.
+ *
+ * Encoded slashes are never separators: '%2F' stays as the three characters
+ * '%2F' in the decoded path, so it can't split a segment or smuggle '../'
+ * into a param. A decoded '%' is written as '%25' so the two stay apart, and
+ * the router turns both back into '/' and '%' in param values. Null bytes are
+ * rejected.
+ *
+ * @param {string} path - Raw URL path, without the query string
+ * @returns {string} The normalized, decoded path
+ * @throws {BadRequestError} If the path has a malformed percent-encoding or a null byte
+ *
+ * @example
+ * normalizePath('/users/j%C3%B6rg')       // => '/users/jörg'
+ * normalizePath('/a//b/../c/')            // => '/a/c/'
+ * normalizePath('/files/a%2Fb')           // => '/files/a%2Fb'
+ * normalizePath('/files/a%252Fb')         // => '/files/a%252Fb'
+ * normalizePath('/../../etc/passwd')      // => '/etc/passwd'
+ */
+export function normalizePath(path) {
+    if (!path.includes('%') && !path.includes('/.') && !path.includes('//')) return path
+
+    const segments = path.split('/')
+    const out = []
+    let last = ''
+
+    for (const raw of segments) {
+        last = decodeSegment(raw, path)
+        if (last === '' || last === '.') continue
+        if (last === '..') {
+            out.pop()
+            continue
+        }
+        out.push(last)
+    }
+
+    if (out.length === 0) return '/'
+    const trailing = last === '' || last === '.' || last === '..'
+    return '/' + out.join('/') + (trailing ? '/' : '')
+}
+
+/**
+ * @description Percent-decode one path segment, leaving encoded slashes encoded
+ * and re-encoding any '%' the decoding produced.
+ *
+ * @param {string} segment - Raw path segment
+ * @param {string} path - Full raw path (for error messages)
+ * @returns {string} The decoded segment
+ * @throws {BadRequestError} If the encoding is malformed or decodes to a null byte
+ */
+function decodeSegment(segment, path) {
+    if (!segment.includes('%')) return segment
+
+    let decoded
+    try {
+        decoded = segment.split(/%2F/i).map((piece) => escapeLiteral(decodeURIComponent(piece))).join('%2F')
+    } catch {
+        throw new BadRequestError(`malformed percent-encoding in path "${path}"`, 'MALFORMED_URL')
+    }
+    if (decoded.includes('\0')) {
+        throw new BadRequestError(`null byte in path "${path}"`, 'MALFORMED_URL')
+    }
+    return decoded
+}
+
+/**
+ * @description Percent-encode a normalized path for use in a URL or header,
+ * turning it back into the form normalizePath() accepts.
+ *
+ * @param {string} path - Normalized, decoded path
+ * @returns {string} The encoded path
+ *
+ * @example
+ * encodePath('/users/jörg') // => '/users/j%C3%B6rg'
+ * encodePath('/files/a%2Fb') // => '/files/a%2Fb'
+ */
+export function encodePath(path) {
+    return path
+        .split('/')
+        .map((segment) => encodeURIComponent(unescapeSegment(segment)))
+        .join('/')
+}
+
+/**
+ * @description Write the '%' signs of literal text the way normalizePath()
+ * does, so it can be compared with a normalized path.
+ *
+ * @param {string} text - Literal path text
+ * @returns {string} The text with every '%' written as '%25'
+ *
+ * @example
+ * escapeLiteral('/deals/100%') // => '/deals/100%25'
+ */
+export function escapeLiteral(text) {
+    return text.includes('%') ? text.replace(/%/g, '%25') : text
+}
+
+/**
+ * @description Turn a segment of a normalized path into the text it stands for:
+ * '%2F' becomes '/' and '%25' becomes '%'.
+ *
+ * @param {string} segment - Segment of a normalized path
+ * @returns {string} The literal text
+ */
+function unescapeSegment(segment) {
+    if (!segment.includes('%')) return segment
+    return segment.replace(/%2F|%25/g, (escape) => escape === '%2F' ? '/' : '%')
+}
+
+/**
+ * @description Put a mount prefix in front of a route path. A router's root
+ * route maps onto the prefix itself.
+ *
+ * @param {string} prefix - Normalized mount prefix ('' for the root)
+ * @param {string} path - Route path pattern
+ * @returns {string} The combined path pattern
+ *
+ * @example
+ * prefixPath('/api', '/users/:id') // => '/api/users/:id'
+ * prefixPath('/api', '/')          // => '/api'
+ */
+export function prefixPath(prefix, path) {
+    return path === '/' ? prefix || '/' : prefix + path
+}
+
+/**
+ * @description Fill a route path pattern with param values, producing a
+ * URL-encoded path. Constrained params are checked against their constraint,
+ * optional params may be left out, and wildcard values keep their slashes.
+ *
+ * @param {string} path - Route path pattern
+ * @param {Object<string, *>} [params={}] - Param values by name
+ * @param {string} [label=path] - How to refer to the route in error messages
+ * @returns {string} The built path
+ * @throws {RoachError} If a required param is missing or a value breaks its constraint
+ *
+ * @example
+ * buildPath('/users/:id<int>', { id: 42 })               // => '/users/42'
+ * buildPath('/files/:name.:ext', { name: 'a b', ext: 'pdf' }) // => '/files/a%20b.pdf'
+ * buildPath('/posts/:id?', {})                            // => '/posts'
+ */
+export function buildPath(path, params = {}, label = path) {
+    const out = []
+
+    for (const segment of path.split('/')) {
+        if (isOptionalSegment(segment)) {
+            const spec = parseParam(segment.slice(0, -1), path)
+            const names = spec.segmentParams ? spec.segmentParams.map((param) => param.name) : [spec.name]
+            if (names.every((name) => params[name] === undefined || params[name] === null)) break
+            out.push(fillSegment(spec, params, label))
+        } else if (segment.startsWith('*')) {
+            const name = parseWildcard(segment, path)
+            out.push(String(requireParam(params, name, label)).split('/').map(encodeURIComponent).join('/'))
+        } else if (segment.includes(':')) {
+            out.push(fillSegment(parseParam(segment, path), params, label))
+        } else {
+            out.push(segment)
+        }
+    }
+
+    return out.join('/') || '/'
+}
+
+/**
+ * @description Fill one parameter segment with values and check the result
+ * against the segment's constraint.
+ *
+ * @param {ParamSpec} spec - The parsed segment
+ * @param {Object<string, *>} params - Param values by name
+ * @param {string} label - How to refer to the route in error messages
+ * @returns {string} The encoded segment
+ * @throws {RoachError} If a value is missing or breaks the constraint
+ */
+function fillSegment(spec, params, label) {
+    if (!spec.segmentParams) {
+        const value = String(requireParam(params, spec.name, label))
+        if (spec.constraint && (!spec.constraint.test(value) || (spec.coerce && spec.coerce(value) === undefined))) {
+            throw new RoachError(`Param "${spec.name}" = "${value}" doesn't fit ${spec.label} in route "${label}"`, 500, 'URL_PARAM_INVALID')
+        }
+        return encodeURIComponent(value)
+    }
+
+    let raw = spec.literals[0]
+    let encoded = spec.literals[0]
+    spec.segmentParams.forEach(({ name, coerce }, i) => {
+        const value = String(requireParam(params, name, label))
+        if (coerce && coerce(value) === undefined) {
+            throw new RoachError(`Param "${name}" = "${value}" doesn't fit ${spec.label} in route "${label}"`, 500, 'URL_PARAM_INVALID')
+        }
+        raw += value + spec.literals[i + 1]
+        encoded += encodeURIComponent(value) + spec.literals[i + 1]
+    })
+    if (!spec.constraint.test(raw)) {
+        throw new RoachError(`Params don't fit ${spec.label} in route "${label}" (got "${raw}")`, 500, 'URL_PARAM_INVALID')
+    }
+    return encoded
+}
+
+/**
+ * @description Read a required param value.
+ *
+ * @param {Object<string, *>} params - Param values by name
+ * @param {string} name - Param name
+ * @param {string} label - How to refer to the route in error messages
+ * @returns {*} The value
+ * @throws {RoachError} If the value is missing
+ */
+function requireParam(params, name, label) {
+    const value = params[name]
+    if (value === undefined || value === null) {
+        throw new RoachError(`Missing param "${name}" for route "${label}"`, 500, 'URL_PARAM_MISSING')
+    }
+    return value
+}
+
+/**
+ * @description Check whether a path segment is an optional parameter.
+ *
+ * @param {string} segment - Path segment
+ * @returns {boolean} True for segments like ':id?' or ':id<int>?'
+ */
+function isOptionalSegment(segment) {
+    return segment.startsWith(':') && segment.endsWith('?')
+}
+
+/**
+ * @description Parse a parameter segment: `:name`, `:name(regex)`,
+ * `:name<type>`, or several parameters separated by literal text like
+ * `:name.:ext` or `v:major.:minor`. Constraints match the whole segment and
+ * cannot contain '/'.
+ *
+ * @param {string} segment - Path segment containing ':'
+ * @param {string} path - Full route path (for error messages)
+ * @returns {ParamSpec} The parsed parameter
+ * @throws {InvalidRouteError} If the name is empty, the type is unknown or the regex is invalid
+ *
+ * @example
+ * parseParam(':id<int>', '/users/:id<int>')
+ * // => { name: 'id', key: '<int>', constraint: /^(?:-?\d+)$/, coerce: toSafeInteger, ... }
+ */
+function parseParam(segment, path) {
+    const colons = topLevelColons(segment)
+    if (colons.length > 1 || colons[0] !== 0) {
+        return parseMultiParam(segment, colons, path)
+    }
+
+    const parts = /^:([^<(]*)(?:<([^>]*)>|\((.*)\))?$/.exec(segment)
+    if (!parts) {
+        throw new InvalidRouteError(path, `Malformed parameter "${segment}" — use :name, :name(regex) or :name<type>`)
+    }
+
+    const [, name, type, regex] = parts
+    if (!name) {
+        throw new InvalidRouteError(path, 'Parameter name cannot be empty')
+    }
+
+    const spec = { name, label: segment, key: '', constraint: null, coerce: null, segmentParams: null, literals: null }
+
+    if (type !== undefined) {
+        const builtin = resolveType(type, path)
+        spec.key = `<${type}>`
+        spec.constraint = new RegExp(`^(?:${builtin.pattern})$`)
+        spec.coerce = builtin.coerce
+    } else if (regex !== undefined) {
+        spec.key = `(${regex})`
+        spec.constraint = compileConstraint(`^(?:${regex})$`, name, path)
+    }
+
+    return spec
+}
+
+/**
+ * @description Parse a segment holding several parameters, like `:name.:ext`
+ * or `:from-:to`. Each parameter may carry its own constraint; without one it
+ * takes as much of the segment as it can while leaving room for the rest.
+ *
+ * @param {string} segment - Path segment
+ * @param {number[]} colons - Positions of the ':' that start each parameter
+ * @param {string} path - Full route path (for error messages)
+ * @returns {ParamSpec} The parsed segment
+ * @throws {InvalidRouteError} If two parameters touch or a parameter is malformed
+ */
+function parseMultiParam(segment, colons, path) {
+    const segmentParams = []
+    const literals = [segment.slice(0, colons[0])]
+    let source = '^' + escapeRegex(literals[0])
+
+    for (let i = 0; i < colons.length; i++) {
+        const end = i + 1 < colons.length ? colons[i + 1] : segment.length
+        const part = segment.slice(colons[i] + 1, end)
+
+        const name = /^[A-Za-z0-9_$]*/.exec(part)[0]
+        if (!name) {
+            throw new InvalidRouteError(path, `Parameter name cannot be empty in "${segment}"`)
+        }
+
+        let rest = part.slice(name.length)
+        let pattern = '.+'
+        let coerce = null
+
+        if (rest.startsWith('<')) {
+            const close = rest.indexOf('>')
+            const builtin = resolveType(rest.slice(1, close === -1 ? rest.length : close), path)
+            pattern = builtin.pattern
+            coerce = builtin.coerce
+            rest = close === -1 ? '' : rest.slice(close + 1)
+        } else if (rest.startsWith('(')) {
+            const close = closingParen(rest)
+            pattern = rest.slice(1, close)
+            rest = rest.slice(close + 1)
+        }
+
+        if (rest.includes('?')) {
+            throw new InvalidRouteError(path, `Only a whole segment starting with a parameter can be optional, not "${segment}"`)
+        }
+        if (!rest && i < colons.length - 1) {
+            throw new InvalidRouteError(path, `Parameters in "${segment}" need literal text between them, like :name.:ext`)
+        }
+
+        source += `(?<p${i}>${pattern})` + escapeRegex(rest)
+        segmentParams.push({ name, coerce })
+        literals.push(rest)
+    }
+
+    source += '$'
+    return {
+        name: segmentParams.map((param) => param.name).join(','),
+        label: segment,
+        key: source,
+        constraint: compileConstraint(source, segment, path),
+        coerce: null,
+        segmentParams,
+        literals
+    }
+}
+
+/**
+ * @description Find the ':' characters in a segment that start a parameter,
+ * skipping any inside a regex constraint.
+ *
+ * @param {string} segment - Path segment
+ * @returns {number[]} Positions of the parameter colons
+ */
+function topLevelColons(segment) {
+    const colons = []
+    let depth = 0
+    for (let i = 0; i < segment.length; i++) {
+        const char = segment[i]
+        if (char === '\\') i++
+        else if (char === '(') depth++
+        else if (char === ')') depth--
+        else if (char === ':' && depth === 0) colons.push(i)
+    }
+    return colons
+}
+
+/**
+ * @description Find the parenthesis closing the one a string starts with.
+ *
+ * @param {string} text - Text starting with '('
+ * @returns {number} Index of the matching ')', or the text length if unbalanced
+ */
+function closingParen(text) {
+    let depth = 0
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i]
+        if (char === '\\') i++
+        else if (char === '(') depth++
+        else if (char === ')' && --depth === 0) return i
+    }
+    return text.length
+}
+
+/**
+ * @description Look up a built-in parameter type.
+ *
+ * @param {string} type - Type name from `<type>`
+ * @param {string} path - Full route path (for error messages)
+ * @returns {{pattern: string, coerce: Function|null}} The type
+ * @throws {InvalidRouteError} If the type is unknown
+ */
+function resolveType(type, path) {
+    const builtin = PARAM_TYPES[type]
+    if (!builtin) {
+        throw new InvalidRouteError(path, `Unknown parameter type "<${type}>" — use one of ${Object.keys(PARAM_TYPES).join(', ')}`)
+    }
+    return builtin
+}
+
+/**
+ * @description Compile a constraint, turning regex syntax errors into route errors.
+ *
+ * @param {string} source - Anchored regex source
+ * @param {string} label - Parameter or segment the constraint belongs to
+ * @param {string} path - Full route path (for error messages)
+ * @returns {RegExp} The compiled constraint
+ * @throws {InvalidRouteError} If the regex is invalid
+ */
+function compileConstraint(source, label, path) {
+    try {
+        return new RegExp(source)
+    } catch (err) {
+        throw new InvalidRouteError(path, `Invalid constraint for "${label}": ${err.message}`)
+    }
+}
+
+/**
+ * @description Escape text for literal use inside a regex.
+ *
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * @description Parse a wildcard segment: `*` or a named `*path`.
+ *
+ * @param {string} segment - Path segment starting with '*'
+ * @param {string} path - Full route path (for error messages)
+ * @returns {string} The wildcard name ('*' when unnamed)
+ * @throws {InvalidRouteError} If the name has invalid characters
+ */
+function parseWildcard(segment, path) {
+    const name = segment.slice(1)
+    if (!/^[A-Za-z0-9_$]*$/.test(name)) {
+        throw new InvalidRouteError(path, `Malformed wildcard "${segment}" — use * or *name`)
+    }
+    return name || '*'
+}
+
+/**
+ * @description The value a wildcard captures: the rest of the path from segIdx
+ * on, keeping a strict trailing slash.
+ *
+ * @param {string[]} segments - URL path segments
+ * @param {number} segIdx - Index of the first captured segment
+ * @returns {string} The captured value
+ */
+function wildcardValue(segments, segIdx) {
+    const rest = segments.slice(segIdx)
+    if (rest[rest.length - 1] !== TRAILING_SLASH) return rest.map(unescapeSegment).join('/')
+    return rest.length > 1 ? rest.slice(0, -1).map(unescapeSegment).join('/') + '/' : ''
+}
+
+/**
+ * @description Match a path segment against a parametric node and store the
+ * captured values in params.
+ *
+ * @param {SegmentNode} node - Parametric node
+ * @param {string} segment - URL path segment
+ * @param {Object<string, string|number>} params - Params to write into
+ * @returns {boolean} Whether the segment matched
+ */
+function captureParams(node, segment, params) {
+    segment = unescapeSegment(segment)
+    if (node.segmentParams) {
+        const match = node.constraint.exec(segment)
+        if (!match) return false
+        const values = []
+        for (let i = 0; i < node.segmentParams.length; i++) {
+            const { coerce } = node.segmentParams[i]
+            const value = match.groups[`p${i}`]
+            values[i] = coerce ? coerce(value) : value
+            if (values[i] === undefined) return false
+        }
+        node.segmentParams.forEach(({ name }, i) => { params[name] = values[i] })
+        return true
+    }
+
+    if (node.constraint && !node.constraint.test(segment)) return false
+    const value = node.coerce ? node.coerce(segment) : segment
+    if (value === undefined) return false
+    params[node.paramName] = value
+    return true
+}
+
+/**
+ * @description Coerce an <int> param, refusing integers a JavaScript number
+ * can't hold exactly (beyond Number.MAX_SAFE_INTEGER either way).
+ *
+ * @param {string} value - Matched digits, with an optional leading minus
+ * @returns {number|undefined} The integer, or undefined if it isn't safe
+ */
+function toSafeInteger(value) {
+    const number = Number(value)
+    return Number.isSafeInteger(number) ? number : undefined
+}
+
+/**
+ * @description Remove the params a node captured, when backtracking.
+ *
+ * @param {SegmentNode} node - Parametric node
+ * @param {Object<string, string|number>} params - Params to remove from
+ * @returns {void}
+ */
+function releaseParams(node, params) {
+    if (node.segmentParams) {
+        for (const { name } of node.segmentParams) delete params[name]
+    } else {
+        delete params[node.paramName]
+    }
+}
+
+/**
+ * @description Pick the route a node serves for a method and requested
+ * version: the requested version, else the unversioned route. Without a
+ * requested version, the unversioned route wins, then the highest version.
+ *
+ * @param {SegmentNode} node - Node the path ends at
+ * @param {string} method - Uppercase HTTP method
+ * @param {string|null} version - Requested version, if any
+ * @returns {RouteRecord|null} The route, or null if the node has none that fits
+ */
+function pickRoute(node, method, version) {
+    const set = node.versions.get(method)
+    if (set) {
+        if (version === null) return node.handlers.get(method) || set.latest
+        const route = set.routes.get(version)
+        if (route) return route
+    }
+    return node.handlers.get(method) || null
+}
+
+/**
+ * @description Store a versioned route on a node.
+ *
+ * @param {SegmentNode} node - Node the route's path ends at
+ * @param {string} method - Uppercase HTTP method
+ * @param {string} version - Route version
+ * @param {RouteRecord} route - The route to store
+ * @returns {void}
+ * @throws {RouteConflictError} If the method, path and version are already registered
+ */
+function addVersion(node, method, version, route) {
+    let set = node.versions.get(method)
+    if (!set) {
+        set = { routes: new Map(), latest: null }
+        node.versions.set(method, set)
+    }
+    if (set.routes.has(version)) {
+        throw new RouteConflictError(method, `${route.path} (version ${version})`)
+    }
+
+    set.routes.set(version, route)
+    if (!set.latest || compareVersions(version, set.latest.options.version) > 0) {
+        set.latest = route
+    }
+}
+
+/**
+ * @description Order two version strings. Dot-separated numeric parts compare
+ * as numbers, so '1.10' comes after '1.9'; other parts compare as text.
+ *
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a is lower, positive if higher, 0 if equal
+ *
+ * @example
+ * ['2', '1.10', '1.9'].sort(compareVersions) // => ['1.9', '1.10', '2']
+ */
+export function compareVersions(a, b) {
+    const left = a.split('.')
+    const right = b.split('.')
+
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        if (left[i] === undefined) return -1
+        if (right[i] === undefined) return 1
+
+        const x = Number(left[i])
+        const y = Number(right[i])
+        const diff = Number.isNaN(x) || Number.isNaN(y) ? left[i].localeCompare(right[i]) : x - y
+        if (diff !== 0) return diff
+    }
+    return 0
+}
+
+/**
+ * @description Build the match object returned by find() for a stored route.
+ *
+ * @param {RouteRecord} route - The stored route
+ * @param {Object<string, string>} params - Extracted route parameters
+ * @returns {RouteMatch} The match
+ */
+function toMatch(route, params) {
+    return { handler: route.handler, params, middleware: route.middleware, options: route.options, scopes: route.scopes, path: route.path }
+}
+
+/**
+ * @typedef {Object} RouterOptions
+ * @property {boolean} [caseSensitive=true] - Match static segments case-sensitively; false makes '/Users' match '/users'
+ * @property {boolean} [strictTrailingSlash=false] - Treat '/users/' and '/users' as different paths
+ */
+
+/**
+ * @typedef {Object} RouteOptions
+ * @property {string} [name] - Route name, for building URLs with app.url()
+ * @property {string} [version] - Route version; the same method and path can be registered once per version
+ * @property {'buffer'|'stream'} [body] - How the request body is delivered: buffered into req.body (default) or streamed via req.stream
+ * @property {number} [bodyLimit] - Maximum request body size in bytes for this route, overriding roach({ bodyLimit })
+ * @property {import('./multipart.js').MultipartOptions} [multipart] - Multipart limits and storage for this route, merged over roach({ multipart })
+ */
+
+/**
+ * @typedef {Object} RouteMatch
+ * @property {Function} handler - The route handler
+ * @property {Object<string, string|number>} params - Extracted route parameters (typed params are coerced)
+ * @property {Function[]} middleware - Route-level middleware
+ * @property {RouteOptions} options - Per-route options
+ * @property {Array} scopes - Scope data the route was registered with
+ * @property {string} path - The matched route's path pattern as registered
+ */
+
+/**
+ * @typedef {Object} ParamSpec
+ * @property {string} name - Parameter name (comma-joined names for multi-param segments)
+ * @property {string} label - The segment as written, used as the node label
+ * @property {string} key - Identifies the segment's shape; nodes with the same key are shared ('' for a plain :param)
+ * @property {RegExp|null} constraint - Anchored pattern the segment must match
+ * @property {Function|null} coerce - Converts the matched value, for typed params
+ * @property {{name: string, coerce: Function|null}[]|null} segmentParams - Params captured by a multi-param segment
+ * @property {string[]|null} literals - Literal text around the params of a multi-param segment
+ */
+
+/**
+ * @typedef {Object} RouteRecord
+ * @property {string} method - Uppercase HTTP method
+ * @property {string} path - Route path pattern as registered
+ * @property {Function} handler - The route handler
+ * @property {Function[]} middleware - Route-level middleware
+ * @property {RouteOptions} options - Per-route options
+ * @property {Array} scopes - Scope data the route was registered with
+ */
+
+/**
+ * @typedef {Object} VersionSet
+ * @property {Map<string, RouteRecord>} routes - Routes by version
+ * @property {RouteRecord} latest - The route with the highest version
+ */
@@ -0,0 +1,360 @@
+/**
+ * @module websocket
+ * @description WebSocket routing for RoachJS. WebSocket routes live in their own
+ * route tree, so `:param` and `*` segments behave exactly like HTTP routes. The
+ * upgrade request runs through the same middleware chain as any other request,
+ * which means auth middleware can reject a connection before it is ever opened.
+ *
+ * This module never imports uWebSockets.js itself — the uWS app and module are
+ * handed in when the server starts, which keeps it testable with mocks.
+ */
+
+import { Router, expandOptional, normalizePath } from './router.js'
+import { createRequest, snapshotRequest } from './request.js'
+import { createResponse } from './response.js'
+import { InvalidRouteError, debug } from './errors.js'
+
+/** @type {string[]} Lifecycle handlers a WebSocket route may define */
+const LIFECYCLE_HANDLERS = ['upgrade', 'open', 'message', 'close', 'drain']
+
+/** @type {string[]} Route options that end up on the shared uWS behavior */
+const BEHAVIOR_OPTIONS = ['compression', 'maxPayloadLength', 'idleTimeout', 'maxBackpressure']
+
+/** @type {symbol} Key under which the matched route is stored on the socket's user data */
+const ROUTE = Symbol('roachjs.wsRoute')
+
+/**
+ * @description Registry of WebSocket routes. Stores routes in a dedicated route
+ * tree and wires them into a uWS app once the server starts listening.
+ *
+ * @example
+ * const sockets = new WebSocketRouter()
+ * sockets.add('/chat/:room', [], {
+ *   open: (ws) => ws.send(`joined ${ws.getUserData().params.room}`),
+ *   message: (ws, message, isBinary) => ws.send(message, isBinary)
+ * })
+ */
+export class WebSocketRouter {
+    constructor() {
+        /** @type {Router} Route tree holding the WebSocket routes */
+        this.router = new Router()
+
+        /** @type {WebSocketRoute[]} Registered routes, in registration order */
+        this.routes = []
+
+        /** @type {Map<string, WebSocketRoute>} First route registered for each uWS pattern */
+        this.patterns = new Map()
+
+        /** @type {import('uWebSockets.js').TemplatedApp|null} The uWS app, once attached */
+        this.app = null
+    }
+
+    /**
+     * @description Register a WebSocket route.
+     *
+     * @param {string} path - Route path pattern (e.g., '/chat/:room')
+     * @param {Function[]} middleware - Route-level middleware run during the upgrade
+     * @param {WebSocketHandlers} handlers - Lifecycle handlers and per-route options
+     * @returns {void}
+     * @throws {InvalidRouteError} If the handlers are not an object or a handler is not a function
+     * @throws {RouteConflictError} If a WebSocket route with the same path already exists
+     * @throws {InvalidRouteError} If the route shares a uWS pattern with an earlier route
+     *   but asks for different compression, maxPayloadLength, idleTimeout or maxBackpressure
+     *
+     * @example
+     * sockets.add('/live', [authMiddleware], { message: (ws, msg) => ws.send(msg) })
+     */
+    add(path, middleware, handlers) {
+        if (!handlers || typeof handlers !== 'object') {
+            throw new InvalidRouteError(path, 'WebSocket routes need a handlers object like { open, message, close }')
+        }
+
+        for (const name of LIFECYCLE_HANDLERS) {
+            if (handlers[name] !== undefined && typeof handlers[name] !== 'function') {
+                throw new InvalidRouteError(path, `WebSocket "${name}" handler must be a function`)
+            }
+        }
+
+        const route = { path, middleware, handlers }
+        const patterns = expandOptional(path).map(toUwsPattern)
+        for (const pattern of patterns) {
+            const other = this.patterns.get(pattern)
+            const differing = other && BEHAVIOR_OPTIONS.find((name) => other.handlers[name] !== handlers[name])
+            if (differing) {
+                throw new InvalidRouteError(path,
+                    `it shares the uWS pattern "${pattern}" with "${other.path}", so both get the same ${differing}. ` +
+                    `Give them the same ${BEHAVIOR_OPTIONS.join(', ')} options, or paths uWS can tell apart`)
+            }
+        }
+
+        this.router.add('GET', path, middleware, route)
+        this.routes.push(route)
+        for (const pattern of patterns) {
+            if (!this.patterns.has(pattern)) this.patterns.set(pattern, route)
+        }
+    }
+
+    /**
+     * @description Find the WebSocket route matching a URL path.
+     *
+     * @param {string} path - URL path to match
+     * @returns {{ route: WebSocketRoute, params: Object<string, string> }|null} The match, or null
+     *
+     * @example
+     * const match = sockets.find('/chat/general')
+     * // match.params = { room: 'general' }
+     */
+    find(path) {
+        const match = this.router.find('GET', path)
+        if (!match) return null
+        return { route: match.handler, params: match.params }
+    }
+
+    /**
+     * @description Register every WebSocket route on a uWS app. Each uWS pattern
+     * gets its own behavior so compression, payload limits and idle timeouts can
+     * differ per route, while the route tree stays the source of truth for
+     * matching. Routes with optional params are registered once per concrete path.
+     * Routes that map to the same pattern (like /ws/:id(\\d+) and /ws/:name) share
+     * the first one's behavior, which add() made sure they agree on.
+     *
+     * @param {import('uWebSockets.js').TemplatedApp} uwsApp - The uWS app to attach to
+     * @param {Object} uWS - The uWebSockets.js module (for compressor constants)
+     * @param {Object} context - Hooks from the owning app
+     * @param {import('./middleware.js').MiddlewareChain} context.middlewareChain - App middleware chain
+     * @param {Function} context.onError - Error handler (err, req, res)
+     * @param {Function} context.onNotFound - Not-found handler (req, res)
+     * @param {import('./querystring.js').QueryOptions} [context.queryOptions] - How req.query is parsed
+     * @param {string[]} [context.cookieSecrets] - Secrets for signed cookies
+     * @returns {void}
+     *
+     * @example
+     * sockets.attach(uwsApp, uWS, { middlewareChain, onError, onNotFound })
+     */
+    attach(uwsApp, uWS, context) {
+        this.app = uwsApp
+        for (const [pattern, route] of this.patterns) {
+            uwsApp.ws(pattern, this._createBehavior(route, uWS, context))
+            debug('websocket', `Attached WebSocket route ${route.path} as ${pattern}`)
+        }
+    }
+
+    /**
+     * @description Publish a message to every socket subscribed to a topic. Uses
+     * uWS's native fan-out, so it is safe to call from ordinary HTTP handlers.
+     * Does nothing until the server is listening.
+     *
+     * @param {string} topic - Topic to publish to
+     * @param {string|ArrayBuffer|Buffer} message - Message to send
+     * @param {Object} [options]
+     * @param {boolean} [options.binary=false] - Send as a binary frame
+     * @param {boolean} [options.compress=false] - Compress the message (needs compression on the route)
+     * @returns {boolean} Whether the message was handed to uWS
+     *
+     * @example
+     * sockets.publish('dashboard', JSON.stringify({ visitors: 42 }))
+     */
+    publish(topic, message, options = {}) {
+        if (!this.app) {
+            debug('websocket', `Dropped publish to "${topic}" — server is not listening`)
+            return false
+        }
+        return this.app.publish(topic, message, options.binary === true, options.compress === true)
+    }
+
+    /**
+     * @description Count the sockets currently subscribed to a topic.
+     *
+     * @param {string} topic - Topic to count subscribers for
+     * @returns {number} Number of subscribers (0 until the server is listening)
+     *
+     * @example
+     * if (sockets.numSubscribers('room:42') === 0) markRoomEmpty(42)
+     */
+    numSubscribers(topic) {
+        return this.app ? this.app.numSubscribers(topic) : 0
+    }
+
+    /**
+     * @description Build the uWS behavior object for a single route.
+     *
+     * @param {WebSocketRoute} route - The route to build a behavior for
+     * @param {Object} uWS - The uWebSockets.js module
+     * @param {Object} context - Hooks from the owning app
+     * @returns {Object} A uWS WebSocketBehavior
+     */
+    _createBehavior(route, uWS, context) {
+        const { handlers } = route
+        const behavior = {
+            upgrade: (uRes, uReq, uContext) => this._upgrade(uRes, uReq, uContext, context),
+
+            open: (ws) => {
+                const target = ws.getUserData()[ROUTE].handlers
+                if (target.open) target.open(ws)
+            },
+
+            message: (ws, message, isBinary) => {
+                const target = ws.getUserData()[ROUTE].handlers
+                if (target.message) target.message(ws, message, isBinary)
+            },
+
+            drain: (ws) => {
+                const target = ws.getUserData()[ROUTE].handlers
+                if (target.drain) target.drain(ws)
+            },
+
+            close: (ws, code, message) => {
+                const target = ws.getUserData()[ROUTE].handlers
+                if (target.close) target.close(ws, code, message)
+            }
+        }
+
+        if (handlers.compression !== undefined) {
+            behavior.compression = resolveCompression(handlers.compression, uWS)
+        }
+        if (handlers.maxPayloadLength !== undefined) {
+            behavior.maxPayloadLength = handlers.maxPayloadLength
+        }
+        if (handlers.idleTimeout !== undefined) {
+            behavior.idleTimeout = handlers.idleTimeout
+        }
+        if (handlers.maxBackpressure !== undefined) {
+            behavior.maxBackpressure = handlers.maxBackpressure
+        }
+
+        return behavior
+    }
+
+    /**
+     * @description Handle an HTTP upgrade request. Matches the route, runs the
+     * middleware chain and the route's own upgrade hook, then completes the
+     * upgrade unless something already responded (which rejects the connection).
+     *
+     * @param {import('uWebSockets.js').HttpResponse} uRes - Raw uWS response
+     * @param {import('uWebSockets.js').HttpRequest} uReq - Raw uWS request
+     * @param {import('uWebSockets.js').us_socket_context_t} uContext - uWS socket context
+     * @param {Object} context - Hooks from the owning app
+     * @returns {void}
+     */
+    _upgrade(uRes, uReq, uContext, context) {
+        const res = createResponse(uRes, { cookieSecrets: context.cookieSecrets })
+        let aborted = false
+        uRes.onAborted(() => {
+            aborted = true
+            res._abort()
+        })
+
+        const snapshot = snapshotRequest(uReq, uRes)
+        const secKey = snapshot.headers['sec-websocket-key'] || ''
+        const secProtocol = snapshot.headers['sec-websocket-protocol'] || ''
+        const secExtensions = snapshot.headers['sec-websocket-extensions'] || ''
+
+        const requestContext = { queryOptions: context.queryOptions, cookieSecrets: context.cookieSecrets }
+        let path
+        try {
+            path = normalizePath(snapshot.url)
+        } catch (err) {
+            context.onError(err, createRequest(snapshot, {}, null, null, requestContext), res)
+            return
+        }
+
+        const match = this.find(path)
+        const req = createRequest(snapshot, match ? match.params : {}, null, null, { ...requestContext, path })
+
+        if (!match) {
+            context.onNotFound(req, res)
+            return
+        }
+
+        const { route, params } = match
+
+        const completeUpgrade = async (req, res) => {
+            let data = {}
+            if (route.handlers.upgrade) {
+                data = (await route.handlers.upgrade(req, res)) || {}
+            }
+
+            if (aborted) {
+                debug('websocket', `Upgrade to ${path} aborted by client`)
+                return
+            }
+            if (res.sent) {
+                debug('websocket', `Upgrade to ${path} rejected`)
+                return
+            }
+
+            const userData = { ...data, req, params }
+            userData[ROUTE] = route
+
+            uRes.cork(() => {
+                uRes.upgrade(userData, secKey, secProtocol, secExtensions, uContext)
+            })
+        }
+
+        const middlewareFns = context.middlewareChain.resolve(path, route.middleware)
+        context.middlewareChain.execute(middlewareFns, req, res, completeUpgrade, context.onError)
+    }
+}
+
+/**
+ * @description Convert a RoachJS route pattern into a uWS route pattern. Every
+ * dynamic segment becomes a plain uWS parameter and anything from a wildcard on
+ * becomes `*` — the route tree does the precise matching afterwards.
+ *
+ * @param {string} path - RoachJS route pattern
+ * @returns {string} Equivalent uWS pattern
+ *
+ * @example
+ * toUwsPattern('/chat/:room')   // => '/chat/:p1'
+ * toUwsPattern('/files/*')      // => '/files/*'
+ */
+export function toUwsPattern(path) {
+    const segments = path.split('/').filter(Boolean)
+    const out = []
+
+    for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i]
+        if (segment.includes('*')) {
+            out.push('*')
+            break
+        }
+        out.push(segment.includes(':') ? `:p${i}` : segment)
+    }
+
+    return '/' + out.join('/')
+}
+
+/**
+ * @description Translate the `compression` route option into a uWS compressor.
+ * `true` means the shared compressor, `false` disables compression, and numbers
+ * are passed through so any uWS compressor constant can be used directly.
+ *
+ * @param {boolean|number} compression - The route's compression option
+ * @param {Object} uWS - The uWebSockets.js module
+ * @returns {number} A uWS compressor constant
+ */
+function resolveCompression(compression, uWS) {
+    if (compression === true) return uWS.SHARED_COMPRESSOR
+    if (compression === false) return uWS.DISABLED
+    return compression
+}
+
+/**
+ * @typedef {Object} WebSocketHandlers
+ * @property {function(import('./request.js').RoachRequest, import('./response.js').RoachResponse): (Object|Promise<Object>|void)} [upgrade] - Runs after middleware; the returned object is merged into the socket's user data. Responding rejects the upgrade.
+ * @property {function(import('uWebSockets.js').WebSocket): void} [open] - Connection opened
+ * @property {function(import('uWebSockets.js').WebSocket, ArrayBuffer, boolean): void} [message] - Message received
+ * @property {function(import('uWebSockets.js').WebSocket, number, ArrayBuffer): void} [close] - Connection closed
+ * @property {function(import('uWebSockets.js').WebSocket): void} [drain] - Backpressure drained
+ * @property {boolean|number} [compression] - true for the shared compressor, false to disable, or a uWS compressor constant
+ * @property {number} [maxPayloadLength] - Maximum message size in bytes
+ * @property {number} [idleTimeout] - Seconds of inactivity before the connection is closed
+ * @property {number} [maxBackpressure] - Maximum buffered bytes before messages are dropped
+ */
+
+/**
+ * @typedef {Object} WebSocketRoute
+ * @property {string} path - Route path pattern
+ * @property {Function[]} middleware - Route-level middleware
+ * @property {WebSocketHandlers} handlers - Lifecycle handlers and options
+ */
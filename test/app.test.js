@@ -0,0 +1,631 @@
+/**
+ * @description Tests for the RoachJS app.
+ * Drives createApp() with a mocked uWS module: requests are fed to the handler
+ * the app registers with any(), and responses are recorded from the mocked uWS
+ * response. Covers nested sub-routers, routes registered after listen(),
+ * router-scoped middleware, picking the nearest error and not-found handlers,
+ * streaming bodies nobody reads, multipart uploads in memory and on disk, the
+ * route listing, and HTTPS options with self-signed certificates from openssl.
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFileSync } from 'node:child_process'
+import { mkdtemp, readdir, rename, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createApp, createRouter, formatRouteTable, toSSLOptions } from '../src/app.js'
+
+/**
+ * @description Create a mock uWS module whose apps record their handlers.
+ */
+function mockUWS() {
+    const servers = []
+    const createServer = (sslOptions) => {
+        const server = {
+            sslOptions,
+            handlers: [],
+            sockets: [],
+            serverNames: [],
+            any: (pattern, handler) => { server.handlers.push(handler) },
+            ws: (pattern, behavior) => { server.sockets.push({ pattern, behavior }) },
+            addServerName: (name, options) => { server.serverNames.push({ name, options }) },
+            domain: () => server,
+            listen: (port, callback) => callback({ port })
+        }
+        servers.push(server)
+        return server
+    }
+    return {
+        servers,
+        DISABLED: 0,
+        SHARED_COMPRESSOR: 1,
+        App: () => createServer(null),
+        SSLApp: (options) => createServer(options),
+        us_listen_socket_close: () => { }
+    }
+}
+
+/**
+ * @description Build an app on a mock uWS module and start it listening.
+ */
+function mockApp(options) {
+    const uWS = mockUWS()
+    const app = createApp(uWS, options)
+    return { app, uWS, start: () => { app.listen(3000); return uWS.servers[uWS.servers.length - 1] } }
+}
+
+/**
+ * @description Send a request through a listening mock server. The body is
+ * delivered in chunks, one per turn of the event loop, like uWS does, with a
+ * Content-Length unless the request is chunked. With
+ * abortAfter, the client hangs up after that many chunks and the promise
+ * resolves with whatever was sent so far.
+ */
+function request(server, method, url, { headers = {}, body, chunks = body === undefined ? undefined : [body], abortAfter } = {}) {
+    const [path, query = ''] = url.split('?')
+    const all = { ...headers }
+    if (chunks && !all['transfer-encoding']) all['content-length'] = String(chunks.reduce((total, chunk) => total + Buffer.byteLength(chunk), 0))
+
+    return new Promise((resolve) => {
+        const response = { status: 200, headers: {}, body: '', aborted: false }
+        let abortHandler = () => { }
+        const finish = (chunk) => {
+            if (chunk !== undefined) response.body += Buffer.from(chunk).toString()
+            resolve(response)
+        }
+        const deliver = (callback, index) => {
+            if (index === abortAfter) {
+                response.aborted = true
+                abortHandler()
+                resolve(response)
+                return
+            }
+            const data = Buffer.from((chunks || [])[index] || '')
+            const isLast = !chunks || index >= chunks.length - 1
+            callback(data.buffer.slice(data.byteOffset, data.byteOffset + data.length), isLast)
+            if (!isLast) setImmediate(() => deliver(callback, index + 1))
+        }
+        const uRes = {
+            onAborted: (handler) => { abortHandler = handler },
+            cork: (fn) => fn(),
+            writeStatus: (status) => { response.status = parseInt(status, 10) },
+            writeHeader: (key, value) => { response.headers[key] = value },
+            write: (chunk) => { response.body += Buffer.from(chunk).toString(); return true },
+            end: finish,
+            endWithoutBody: () => finish(),
+            tryEnd: (chunk) => { finish(chunk); return [true, true] },
+            onWritable: () => { },
+            getWriteOffset: () => 0,
+            pause: () => { },
+            resume: () => { },
+            onData: (callback) => { setImmediate(() => deliver(callback, 0)) },
+            getRemoteAddressAsText: () => new TextEncoder().encode('127.0.0.1')
+        }
+        const uReq = {
+            getMethod: () => method.toLowerCase(),
+            getUrl: () => path,
+            getQuery: () => query,
+            getHeader: (name) => all[name] || '',
+            forEach: (callback) => {
+                for (const [key, value] of Object.entries(all)) callback(key, value)
+            }
+        }
+        server.handlers[0](uRes, uReq)
+    })
+}
+
+/**
+ * @description Wait for pending callbacks, so errors emitted on the next tick surface.
+ */
+function settle() {
+    return new Promise((resolve) => setImmediate(resolve))
+}
+
+/**
+ * @description Poll until a check passes, for cleanup that runs in the background.
+ */
+async function eventually(check) {
+    for (let i = 0; i < 50; i++) {
+        if (await check()) return
+        await new Promise((resolve) => setTimeout(resolve, 10))
+    }
+    assert.fail('condition never became true')
+}
+
+/**
+ * @description Build a multipart/form-data body with one text field and one file.
+ */
+function multipartBody(boundary) {
+    return [
+        `--${boundary}`,
+        'Content-Disposition: form-data; name="title"',
+        '',
+        'Holiday',
+        `--${boundary}`,
+        'Content-Disposition: form-data; name="photo"; filename="beach.jpg"',
+        'Content-Type: image/jpeg',
+        '',
+        'JPEGDATA',
+        `--${boundary}--`,
+        ''
+    ].join('\r\n')
+}
+
+describe('nested sub-routers', () => {
+    it('should add up prefixes two levels deep', async () => {
+        const { app, start } = mockApp()
+        const admin = createRouter().get('/stats/:id', (req, res) => res.json({ id: req.params.id, path: req.path }))
+        const api = createRouter().use('/admin', admin)
+        app.use('/api', api)
+
+        const res = await request(start(), 'GET', '/api/admin/stats/7')
+        assert.strictEqual(res.status, 200)
+        assert.deepStrictEqual(JSON.parse(res.body), { id: '7', path: '/api/admin/stats/7' })
+    })
+
+    it('should run app, then outer, then inner router middleware, then route middleware', async () => {
+        const { app, start } = mockApp()
+        const order = []
+        const mark = (name) => (req, res, next) => { order.push(name); next() }
+
+        const admin = createRouter()
+            .use(mark('admin'))
+            .use('/stats', mark('admin /stats'))
+            .get('/stats', mark('route'), (req, res) => res.json(order))
+        const api = createRouter().use(mark('api')).use('/admin', mark('api /admin')).use('/admin', admin)
+        app.use(mark('app')).use('/api', api)
+
+        const res = await request(start(), 'GET', '/api/admin/stats')
+        assert.deepStrictEqual(JSON.parse(res.body), ['app', 'api', 'api /admin', 'admin', 'admin /stats', 'route'])
+    })
+
+    it('should keep router middleware away from routes outside the router', async () => {
+        const { app, start } = mockApp()
+        const seen = []
+        const api = createRouter()
+            .use((req, res, next) => { seen.push(req.path); next() })
+            .get('/ping', (req, res) => res.send('pong'))
+        app.use('/api', api).get('/health', (req, res) => res.send('ok'))
+
+        const server = start()
+        await request(server, 'GET', '/health')
+        await request(server, 'GET', '/api/ping')
+        assert.deepStrictEqual(seen, ['/api/ping'])
+    })
+})
+
+describe('registering after listen()', () => {
+    it('should serve routes added to a mounted router after listen()', async () => {
+        const { app, start } = mockApp()
+        const admin = createRouter()
+        const api = createRouter().use('/admin', admin)
+        app.use('/api', api)
+        const server = start()
+
+        admin.get('/stats', (req, res) => res.send('stats'))
+        api.post('/items', (req, res) => res.status(201).send('created'))
+
+        assert.strictEqual((await request(server, 'GET', '/api/admin/stats')).body, 'stats')
+        assert.strictEqual((await request(server, 'POST', '/api/items', { body: '' })).status, 201)
+        assert.deepStrictEqual(app.routes().map((route) => route.path), ['/api/items', '/api/admin/stats'])
+    })
+
+    it('should serve routers nested into a mounted router after listen()', async () => {
+        const { app, start } = mockApp()
+        const api = createRouter()
+        app.use('/api', api)
+        const server = start()
+
+        const reports = createRouter().get('/daily', (req, res) => res.send('daily'))
+        api.use('/reports', reports)
+        reports.get('/weekly', (req, res) => res.send('weekly'))
+
+        assert.strictEqual((await request(server, 'GET', '/api/reports/daily')).body, 'daily')
+        assert.strictEqual((await request(server, 'GET', '/api/reports/weekly')).body, 'weekly')
+    })
+
+    it('should serve late routes at every place a router is mounted', async () => {
+        const { app, start } = mockApp()
+        const shared = createRouter()
+        app.use('/v1', shared).use('/v2', shared)
+        const server = start()
+
+        shared.get('/ping', (req, res) => res.send(req.path))
+
+        assert.strictEqual((await request(server, 'GET', '/v1/ping')).body, '/v1/ping')
+        assert.strictEqual((await request(server, 'GET', '/v2/ping')).body, '/v2/ping')
+    })
+
+    it('should throw on a late route that conflicts with the app', () => {
+        const { app, start } = mockApp()
+        const api = createRouter()
+        app.use('/api', api).get('/api/ping', (req, res) => res.send('app'))
+        start()
+
+        assert.throws(() => api.get('/ping', (req, res) => res.send('router')), { name: 'RouteConflictError' })
+    })
+})
+
+describe('nearest error and not-found handlers', () => {
+    /**
+     * @description Mount inner under outer under the app, with a failing route
+     * at each level and a handler recorder.
+     */
+    function nestedApp({ appHandlers = true, outerHandlers = true, innerHandlers = true } = {}) {
+        const { app, start } = mockApp()
+        const boom = (req) => { throw new Error(`boom at ${req.path}`) }
+        const handlersOf = (name) => ({
+            onError: (err, req, res) => res.status(500).json({ handler: name, error: err.message }),
+            onNotFound: (req, res) => res.status(404).json({ handler: name })
+        })
+
+        const inner = createRouter().get('/fail', boom)
+        const outer = createRouter().get('/fail', boom).use('/inner', inner)
+        if (innerHandlers) inner.onError(handlersOf('inner').onError).onNotFound(handlersOf('inner').onNotFound)
+        if (outerHandlers) outer.onError(handlersOf('outer').onError).onNotFound(handlersOf('outer').onNotFound)
+        if (appHandlers) app.onError(handlersOf('app').onError).onNotFound(handlersOf('app').onNotFound)
+        app.use('/outer', outer).get('/fail', boom)
+        return start()
+    }
+
+    it('should send errors to the innermost router that has a handler', async () => {
+        const server = nestedApp()
+        assert.strictEqual(JSON.parse((await request(server, 'GET', '/outer/inner/fail')).body).handler, 'inner')
+        assert.strictEqual(JSON.parse((await request(server, 'GET', '/outer/fail')).body).handler, 'outer')
+        assert.strictEqual(JSON.parse((await request(server, 'GET', '/fail')).body).handler, 'app')
+    })
+
+    it('should fall back to the outer router when the inner one has no handler', async () => {
+        const server = nestedApp({ innerHandlers: false })
+        const res = await request(server, 'GET', '/outer/inner/fail')
+        assert.deepStrictEqual(JSON.parse(res.body), { handler: 'outer', error: 'boom at /outer/inner/fail' })
+        assert.strictEqual(JSON.parse((await request(server, 'GET', '/outer/inner/nope')).body).handler, 'outer')
+    })
+
+    it('should fall back to the app handlers when no router has one', async () => {
+        const server = nestedApp({ innerHandlers: false, outerHandlers: false })
+        assert.strictEqual(JSON.parse((await request(server, 'GET', '/outer/inner/fail')).body).handler, 'app')
+        assert.strictEqual(JSON.parse((await request(server, 'GET', '/outer/inner/nope')).body).handler, 'app')
+    })
+
+    it('should fall back to the default handlers when nothing is set', async () => {
+        const server = nestedApp({ appHandlers: false, innerHandlers: false, outerHandlers: false })
+
+        const failed = await request(server, 'GET', '/outer/inner/fail')
+        assert.strictEqual(failed.status, 500)
+        assert.deepStrictEqual(JSON.parse(failed.body), { error: 'boom at /outer/inner/fail' })
+
+        const missing = await request(server, 'GET', '/outer/inner/nope')
+        assert.strictEqual(missing.status, 404)
+        assert.match(JSON.parse(missing.body).error, /Route not found: GET \/outer\/inner\/nope/)
+    })
+
+    it('should pick the not-found handler of the router covering the path', async () => {
+        const server = nestedApp()
+        assert.strictEqual(JSON.parse((await request(server, 'GET', '/outer/inner/nope')).body).handler, 'inner')
+        assert.strictEqual(JSON.parse((await request(server, 'GET', '/outer/nope')).body).handler, 'outer')
+        assert.strictEqual(JSON.parse((await request(server, 'GET', '/outerwear')).body).handler, 'app')
+        assert.strictEqual(JSON.parse((await request(server, 'GET', '/nope')).body).handler, 'app')
+    })
+
+    it('should send rejected async handlers to the nearest error handler', async () => {
+        const { app, start } = mockApp()
+        const inner = createRouter().post('/items', async (req) => { throw new Error(`bad ${req.body.name}`) })
+        const outer = createRouter()
+            .use('/v1', inner)
+            .onError((err, req, res) => res.status(422).json({ error: err.message }))
+        app.use('/api', outer)
+
+        const res = await request(start(), 'POST', '/api/v1/items', {
+            headers: { 'content-type': 'application/json' },
+            body: '{"name":"sock"}'
+        })
+        assert.strictEqual(res.status, 422)
+        assert.deepStrictEqual(JSON.parse(res.body), { error: 'bad sock' })
+    })
+})
+
+describe('streaming request bodies', () => {
+    it('should not crash when a client aborts a stream nobody reads', async () => {
+        const { app, start } = mockApp()
+        let stream = null
+        app.post('/upload', { body: 'stream' }, (req) => { stream = req.stream })
+
+        const res = await request(start(), 'POST', '/upload', { chunks: ['abc', 'def'], abortAfter: 1 })
+        await settle()
+        assert.strictEqual(res.aborted, true)
+        assert.strictEqual(stream.destroyed, true)
+        assert.strictEqual(stream.errored.code, 'REQUEST_ABORTED')
+    })
+
+    it('should not crash when middleware answers before the stream is read', async () => {
+        const { app, start } = mockApp()
+        app.use((req, res) => res.status(401).json({ error: 'no' }))
+        app.post('/upload', { body: 'stream' }, (req, res) => res.end())
+
+        const server = start()
+        const res = await request(server, 'POST', '/upload', { chunks: ['abc', 'def'], abortAfter: 1 })
+        await settle()
+        assert.strictEqual(res.status, 401)
+    })
+    it('should answer 413 through the error handler when an ignored stream crosses its limit', async () => {
+        const { app, start } = mockApp()
+        const errors = []
+        app.onError((err, req, res) => {
+            errors.push(err.code)
+            res.status(err.statusCode).json({ error: err.code })
+        })
+        app.post('/upload', { body: 'stream', bodyLimit: 4 }, () => { })
+
+        const res = await request(start(), 'POST', '/upload', {
+            headers: { 'transfer-encoding': 'chunked' },
+            chunks: ['abc', 'def', 'ghi']
+        })
+        await settle()
+        assert.strictEqual(res.status, 413)
+        assert.deepStrictEqual(errors, ['PAYLOAD_TOO_LARGE'])
+    })
+
+    it('should report the limit once when the handler fails reading the stream', async () => {
+        const { app, start } = mockApp()
+        const errors = []
+        app.onError((err, req, res) => {
+            errors.push(err.code)
+            res.status(err.statusCode).end()
+        })
+        app.post('/upload', { body: 'stream', bodyLimit: 4 }, async (req, res) => {
+            const chunks = []
+            for await (const chunk of req.stream) chunks.push(chunk)
+            res.send(Buffer.concat(chunks))
+        })
+
+        const res = await request(start(), 'POST', '/upload', {
+            headers: { 'transfer-encoding': 'chunked' },
+            chunks: ['abc', 'def']
+        })
+        await settle()
+        assert.strictEqual(res.status, 413)
+        assert.deepStrictEqual(errors, ['PAYLOAD_TOO_LARGE'])
+    })
+})
+
+describe('memory uploads', () => {
+    const headers = { 'content-type': 'multipart/form-data; boundary=roach', 'transfer-encoding': 'chunked' }
+
+    it('should fill req.body and req.files before the handler runs', async () => {
+        const { app, start } = mockApp()
+        app.post('/photos', (req, res) => res.json({ title: req.body.title, file: req.files[0].buffer.toString() }))
+
+        const body = multipartBody('roach')
+        const res = await request(start(), 'POST', '/photos', { headers, chunks: [body.slice(0, 40), body.slice(40)] })
+        assert.deepStrictEqual(JSON.parse(res.body), { title: 'Holiday', file: 'JPEGDATA' })
+    })
+
+    it('should answer 413 once a file crosses maxFileSize, without a body limit', async () => {
+        const { app, start } = mockApp()
+        app.post('/photos', { multipart: { maxFileSize: 4 } }, () => assert.fail('handler ran'))
+
+        const res = await request(start(), 'POST', '/photos', { headers, body: multipartBody('roach') })
+        assert.strictEqual(res.status, 413)
+        assert.match(JSON.parse(res.body).error, /maxFileSize/)
+    })
+})
+
+describe('disk uploads', () => {
+    const headers = { 'content-type': 'multipart/form-data; boundary=roach' }
+    let dir
+
+    before(async () => { dir = await mkdtemp(join(tmpdir(), 'roach-app-')) })
+    after(async () => { await rm(dir, { recursive: true, force: true }) })
+
+    /**
+     * @description Build an app with a disk upload route behind the given middleware.
+     */
+    function uploadApp(middleware, handler) {
+        const { app, start } = mockApp({ multipart: { storage: 'disk', dir } })
+        app.post('/photos', middleware, handler)
+        return start()
+    }
+
+    it('should delete the files when middleware rejects the request', async () => {
+        const server = uploadApp((req, res) => res.status(401).json({ error: 'login first' }), () => assert.fail('handler ran'))
+        const res = await request(server, 'POST', '/photos', { headers, body: multipartBody('roach') })
+
+        assert.strictEqual(res.status, 401)
+        await eventually(async () => (await readdir(dir)).length === 0)
+    })
+
+    it('should delete the files when the handler throws', async () => {
+        const server = uploadApp((req, res, next) => next(), (req) => {
+            assert.strictEqual(req.files.length, 1)
+            throw new Error('thumbnailer crashed')
+        })
+        const res = await request(server, 'POST', '/photos', { headers, body: multipartBody('roach') })
+
+        assert.strictEqual(res.status, 500)
+        await eventually(async () => (await readdir(dir)).length === 0)
+    })
+
+    it('should keep the files the handler moved before responding', async () => {
+        const server = uploadApp((req, res, next) => next(), async (req, res) => {
+            await rename(req.files[0].path, join(dir, 'kept.jpg'))
+            res.status(201).json({ title: req.body.title })
+        })
+        const res = await request(server, 'POST', '/photos', { headers, body: multipartBody('roach') })
+
+        assert.strictEqual(res.status, 201)
+        await settle()
+        assert.deepStrictEqual(await readdir(dir), ['kept.jpg'])
+        await rm(join(dir, 'kept.jpg'))
+    })
+})
+
+describe('app.routes() and app.printRoutes()', () => {
+    const auth = (req, res, next) => next()
+    const handler = (req, res) => res.end()
+
+    /**
+     * @description Build an app with app routes, a two-level mount and a host mount.
+     */
+    function routedApp() {
+        const { app } = mockApp()
+        const admin = createRouter().use(auth).get('/stats', { name: 'admin.stats' }, auth, handler)
+        const api = createRouter()
+            .get('/users', { version: '2' }, handler)
+            .use('/admin', admin)
+        const tenant = createRouter().get('/', handler)
+
+        app.use(auth)
+        app.get('/users/:id', { name: 'user.show' }, auth, handler)
+        app.use('/api', api)
+        app.host(':tenant.example.com', tenant)
+        return app
+    }
+
+    it('should list app routes, then mounted routes with their full paths, then host routes', () => {
+        const app = routedApp()
+        assert.deepStrictEqual(app.routes(), [
+            { method: 'GET', path: '/users/:id', name: 'user.show', version: null, middlewareCount: 2, mountedAt: null, host: null },
+            { method: 'GET', path: '/api/users', name: null, version: '2', middlewareCount: 1, mountedAt: '/api', host: null },
+            { method: 'GET', path: '/api/admin/stats', name: 'admin.stats', version: null, middlewareCount: 3, mountedAt: '/api/admin', host: null },
+            { method: 'GET', path: '/', name: null, version: null, middlewareCount: 1, mountedAt: '/', host: ':tenant.example.com' }
+        ])
+    })
+
+    it('should not list mounted routes twice once they are merged into the tree', () => {
+        const { app, start } = mockApp()
+        const shared = createRouter().get('/ping', handler)
+        app.get('/', handler).use('/v1', shared).use('/v2', shared)
+
+        const before = app.routes()
+        start()
+        assert.deepStrictEqual(app.routes(), before)
+        assert.deepStrictEqual(before.map((route) => route.path), ['/', '/v1/ping', '/v2/ping'])
+    })
+
+    it('should render the routes as an aligned table', () => {
+        const { app } = mockApp()
+        const api = createRouter().post('/users', auth, handler)
+        app.get('/users/:id', { name: 'user.show' }, handler).use('/api', api)
+
+        assert.strictEqual(app.printRoutes(), [
+            'METHOD  PATH        NAME       MIDDLEWARE  MOUNTED AT',
+            'GET     /users/:id  user.show  0           -',
+            'POST    /api/users  -          1           /api'
+        ].join('\n'))
+    })
+
+    it('should add VERSION and HOST columns only when a route needs them', () => {
+        assert.strictEqual(formatRouteTable(routedApp().routes()), [
+            'HOST                 METHOD  PATH              VERSION  NAME         MIDDLEWARE  MOUNTED AT',
+            '*                    GET     /users/:id        -        user.show    2           -',
+            '*                    GET     /api/users        2        -            1           /api',
+            '*                    GET     /api/admin/stats  -        admin.stats  3           /api/admin',
+            ':tenant.example.com  GET     /                 -        -            1           /'
+        ].join('\n'))
+        assert.strictEqual(formatRouteTable([]), 'METHOD  PATH  NAME  MIDDLEWARE  MOUNTED AT')
+    })
+})
+
+describe('HTTPS', () => {
+    let dir
+    let certs
+
+    /**
+     * @description Generate a self-signed certificate and its key with the openssl CLI.
+     */
+    function selfSigned(name, passphrase) {
+        const key = join(dir, `${name}-key.pem`)
+        const cert = join(dir, `${name}-cert.pem`)
+        execFileSync('openssl', [
+            'req', '-x509', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1',
+            '-keyout', key, '-out', cert, '-days', '1', '-subj', `/CN=${name}`,
+            ...(passphrase ? ['-passout', `pass:${passphrase}`] : ['-nodes'])
+        ], { stdio: 'ignore' })
+        return { key_file_name: key, cert_file_name: cert }
+    }
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'roach-tls-'))
+        certs = {
+            main: selfSigned('example.com'),
+            other: selfSigned('other.example.com'),
+            locked: selfSigned('locked.example.com', 'hunter2')
+        }
+    })
+    after(async () => { await rm(dir, { recursive: true, force: true }) })
+
+    describe('toSSLOptions()', () => {
+        it('should pass a matching key and certificate through', () => {
+            assert.deepStrictEqual(toSSLOptions(certs.main, 'https'), certs.main)
+            assert.deepStrictEqual(toSSLOptions({ ...certs.locked, passphrase: 'hunter2' }, 'https'), { ...certs.locked, passphrase: 'hunter2' })
+        })
+
+        it('should reject a missing key or certificate option', () => {
+            assert.throws(() => toSSLOptions({ cert_file_name: certs.main.cert_file_name }, 'https'), {
+                code: 'TLS_CONFIG_INVALID',
+                message: /Missing https\.key_file_name/
+            })
+            assert.throws(() => toSSLOptions({ key_file_name: certs.main.key_file_name }, 'https'), {
+                code: 'TLS_CONFIG_INVALID',
+                message: /Missing https\.cert_file_name/
+            })
+        })
+
+        it('should reject files that do not exist', () => {
+            const missing = join(dir, 'nope.pem')
+            assert.throws(() => toSSLOptions({ ...certs.main, cert_file_name: missing }, 'https'), {
+                code: 'TLS_CONFIG_INVALID',
+                message: /https\.cert_file_name points to ".*nope\.pem", which does not exist/
+            })
+            assert.throws(() => toSSLOptions({ ...certs.main, dh_params_file_name: missing }, 'https'), { code: 'TLS_CONFIG_INVALID' })
+        })
+
+        it('should reject a key that does not match the certificate', () => {
+            const mismatched = { key_file_name: certs.other.key_file_name, cert_file_name: certs.main.cert_file_name }
+            assert.throws(() => toSSLOptions(mismatched, 'https.sni["example.com"]'), {
+                code: 'TLS_CONFIG_INVALID',
+                message: /^https\.sni\["example\.com"\]\.key_file_name and .* don't load together/
+            })
+        })
+
+        it('should reject an encrypted key without the right passphrase', () => {
+            assert.throws(() => toSSLOptions({ ...certs.locked, passphrase: 'wrong' }, 'https'), { code: 'TLS_CONFIG_INVALID' })
+        })
+    })
+
+    describe('listen()', () => {
+        it('should start an SSLApp with the app-level TLS options', () => {
+            const { uWS, start } = mockApp({ https: certs.main })
+            const server = start()
+            assert.deepStrictEqual(server.sslOptions, certs.main)
+            assert.strictEqual(uWS.servers.length, 1)
+        })
+
+        it('should prefer TLS options given to listen()', () => {
+            const { app, uWS } = mockApp({ https: certs.main })
+            app.listen(443, { https: certs.other })
+            assert.deepStrictEqual(uWS.servers[0].sslOptions, certs.other)
+        })
+
+        it('should add every SNI certificate and attach the handlers once per server name', () => {
+            const { start } = mockApp({ https: { ...certs.main, sni: { 'other.example.com': certs.other } } })
+            const server = start()
+
+            assert.deepStrictEqual(server.serverNames, [{ name: 'other.example.com', options: certs.other }])
+            assert.strictEqual(server.handlers.length, 2)
+        })
+
+        it('should refuse to start with a broken SNI entry', () => {
+            const broken = { key_file_name: certs.main.key_file_name, cert_file_name: certs.other.cert_file_name }
+            const { start } = mockApp({ https: { ...certs.main, sni: { 'other.example.com': broken } } })
+            assert.throws(start, { code: 'TLS_CONFIG_INVALID', message: /https\.sni\["other\.example\.com"\]/ })
+        })
+
+        it('should start a plain App without TLS options', () => {
+            const { start } = mockApp()
+            assert.strictEqual(start().sslOptions, null)
+        })
+    })
+})
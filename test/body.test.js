@@ -0,0 +1,151 @@
+/**
+ * @description Tests for RoachJS body parsers.
+ * Covers the built-in parsers, media type matching and precedence, custom
+ * parsers, error mapping, and lazy parsing through req.body.
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { BodyParsers, mediaTypeOf } from '../src/body.js'
+import { createRequest } from '../src/request.js'
+import { RoachError } from '../src/errors.js'
+
+/**
+ * @description Create a request with a body and Content-Type.
+ */
+function bodyRequest(contentType, body, parsers) {
+    const headers = contentType === undefined ? {} : { 'content-type': contentType }
+    const snapshot = { method: 'POST', url: '/', query: '', headers, ip: '127.0.0.1' }
+    return createRequest(snapshot, {}, Buffer.from(body), null, parsers ? { parsers } : {})
+}
+
+describe('BodyParsers', () => {
+
+    describe('built-in parsers', () => {
+        it('should parse JSON, including +json vendor types', () => {
+            assert.deepStrictEqual(bodyRequest('application/json', '{"a":1}').body, { a: 1 })
+            assert.deepStrictEqual(bodyRequest('application/vnd.api+json', '{"a":2}').body, { a: 2 })
+            assert.deepStrictEqual(bodyRequest('Application/JSON; charset=utf-8', '[1]').body, [1])
+        })
+
+        it('should parse urlencoded forms with nesting', () => {
+            const req = bodyRequest('application/x-www-form-urlencoded', 'name=Joey+Roach&tags[]=a&tags[]=b&owner[name]=Oggy')
+            assert.deepStrictEqual(JSON.parse(JSON.stringify(req.body)), {
+                name: 'Joey Roach',
+                tags: ['a', 'b'],
+                owner: { name: 'Oggy' }
+            })
+        })
+
+        it('should decode text/* bodies with their charset', () => {
+            assert.strictEqual(bodyRequest('text/plain', 'hello').body, 'hello')
+            assert.strictEqual(bodyRequest('text/csv; charset=utf-8', 'a,b').body, 'a,b')
+
+            const req = createRequest(
+                { method: 'POST', url: '/', query: '', headers: { 'content-type': 'text/plain; charset=iso-8859-1' }, ip: '' },
+                {}, Buffer.from([0x63, 0x61, 0x66, 0xe9])
+            )
+            assert.strictEqual(req.body, 'café')
+        })
+
+        it('should pass octet-stream bodies through as a Buffer', () => {
+            const body = bodyRequest('application/octet-stream', 'raw').body
+            assert.ok(Buffer.isBuffer(body))
+            assert.strictEqual(body.toString(), 'raw')
+        })
+
+        it('should decode bodies without a Content-Type as text', () => {
+            assert.strictEqual(bodyRequest(undefined, 'plain').body, 'plain')
+        })
+    })
+
+    describe('errors', () => {
+        it('should answer 415 for content types without a parser', () => {
+            const req = bodyRequest('application/xml', '<roach/>')
+            assert.throws(() => req.body, (err) => {
+                assert.strictEqual(err.name, 'UnsupportedMediaTypeError')
+                assert.strictEqual(err.statusCode, 415)
+                assert.strictEqual(err.code, 'UNSUPPORTED_MEDIA_TYPE')
+                assert.strictEqual(err.contentType, 'application/xml')
+                return true
+            })
+        })
+
+        it('should answer 415 for charsets Node cannot decode', () => {
+            assert.throws(() => bodyRequest('text/plain; charset=koi8-r', 'x').body, { statusCode: 415 })
+        })
+
+        it('should turn parser failures into BodyParseError', () => {
+            assert.throws(() => bodyRequest('application/json', '{nope').body, { name: 'BodyParseError', statusCode: 400 })
+            assert.throws(() => bodyRequest('application/x-www-form-urlencoded', 'a=%E0%A4%A').body, { name: 'BodyParseError' })
+            assert.throws(() => bodyRequest('application/x-www-form-urlencoded', 'a=1&a[b]=2').body, { name: 'BodyParseError' })
+        })
+
+        it('should let RoachErrors from custom parsers through', () => {
+            const parsers = new BodyParsers()
+            parsers.add('application/xml', () => {
+                throw new RoachError('No XML here', 422, 'NO_XML')
+            })
+            assert.throws(() => bodyRequest('application/xml', '<a/>', parsers).body, { code: 'NO_XML', statusCode: 422 })
+        })
+    })
+
+    describe('custom parsers', () => {
+        it('should register parsers for new types and receive the raw body and request', () => {
+            const parsers = new BodyParsers()
+            parsers.add('application/xml', (body, req) => ({ xml: body.toString(), type: req.get('content-type') }))
+
+            const req = bodyRequest('application/xml', '<roach/>', parsers)
+            assert.deepStrictEqual(req.body, { xml: '<roach/>', type: 'application/xml' })
+        })
+
+        it('should replace a built-in parser for the same type', () => {
+            const parsers = new BodyParsers()
+            parsers.add('application/json', (body) => body.length)
+            assert.strictEqual(bodyRequest('application/json', '{"a":1}', parsers).body, 7)
+        })
+
+        it('should prefer exact types, then suffixes, then wildcards', () => {
+            const parsers = new BodyParsers()
+            parsers.add('*/*', () => 'any')
+            parsers.add('application/*', () => 'application')
+            parsers.add('application/vnd.roach+json', () => 'exact')
+
+            assert.strictEqual(parsers.find('application/vnd.roach+json').pattern, 'application/vnd.roach+json')
+            assert.strictEqual(parsers.find('application/vnd.other+json').pattern, 'application/*+json')
+            assert.strictEqual(parsers.find('application/xml').pattern, 'application/*')
+            assert.strictEqual(parsers.find('image/png').pattern, '*/*')
+            assert.strictEqual(new BodyParsers().find('image/png'), null)
+        })
+
+        it('should reject malformed patterns and non-function parsers', () => {
+            const parsers = new BodyParsers()
+            assert.throws(() => parsers.add('json', () => { }), { code: 'INVALID_PARSER' })
+            assert.throws(() => parsers.add('application/x*', () => { }), { code: 'INVALID_PARSER' })
+            assert.throws(() => parsers.add('application/xml', 'nope'), { code: 'INVALID_PARSER' })
+        })
+    })
+
+    describe('laziness', () => {
+        it('should only run the parser when req.body is read, and only once', () => {
+            let calls = 0
+            const parsers = new BodyParsers()
+            parsers.add('application/json', (body) => {
+                calls++
+                return JSON.parse(body.toString())
+            })
+
+            const req = bodyRequest('application/json', '{"a":1}', parsers)
+            assert.strictEqual(calls, 0)
+            assert.strictEqual(req.body, req.body)
+            assert.strictEqual(calls, 1)
+        })
+    })
+})
+
+describe('mediaTypeOf()', () => {
+    it('should lowercase and drop parameters', () => {
+        assert.strictEqual(mediaTypeOf('Text/HTML; charset=utf-8'), 'text/html')
+        assert.strictEqual(mediaTypeOf(' application/json '), 'application/json')
+    })
+})
@@ -0,0 +1,217 @@
+/**
+ * @description Tests for RoachJS cookies.
+ * Covers Cookie header parsing, Set-Cookie serialization, HMAC signing with
+ * secret rotation, req.cookies / req.signedCookies, and res.cookie() /
+ * res.clearCookie() emitting one header per cookie.
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseCookies, serializeCookie, signCookie, unsignCookie, splitSignedCookies } from '../src/cookies.js'
+import { createRequest } from '../src/request.js'
+import { createResponse } from '../src/response.js'
+
+/**
+ * @description Create a mock uWS response that records every header line in order.
+ */
+function mockURes() {
+    const headers = []
+    return {
+        headers,
+        cork: (fn) => fn(),
+        writeStatus: () => { },
+        writeHeader: (key, value) => { headers.push([key, value]) },
+        end: () => { }
+    }
+}
+
+/**
+ * @description Create a request carrying a Cookie header.
+ */
+function cookieRequest(cookie, cookieSecrets) {
+    const snapshot = { method: 'GET', url: '/', query: '', headers: cookie === undefined ? {} : { cookie }, ip: '127.0.0.1' }
+    return createRequest(snapshot, {}, null, null, { cookieSecrets })
+}
+
+describe('parseCookies()', () => {
+    it('should parse name/value pairs and decode values', () => {
+        const cookies = parseCookies('theme=dark; cart=%7B%22items%22%3A2%7D;  spaced = yes ')
+        assert.deepStrictEqual({ ...cookies }, { theme: 'dark', cart: '{"items":2}', spaced: 'yes' })
+        assert.strictEqual(Object.getPrototypeOf(cookies), null)
+    })
+
+    it('should keep the first occurrence of a name', () => {
+        assert.strictEqual(parseCookies('id=specific; id=general').id, 'specific')
+    })
+
+    it('should strip quotes and keep undecodable values as sent', () => {
+        const cookies = parseCookies('quoted="hello"; broken=%E0%A4%A; empty=')
+        assert.strictEqual(cookies.quoted, 'hello')
+        assert.strictEqual(cookies.broken, '%E0%A4%A')
+        assert.strictEqual(cookies.empty, '')
+    })
+
+    it('should skip pairs without a name or an equals sign', () => {
+        assert.deepStrictEqual({ ...parseCookies('=orphan; flag; a=1') }, { a: '1' })
+        assert.deepStrictEqual({ ...parseCookies(undefined) }, {})
+    })
+
+    it('should treat __proto__ as a plain cookie name', () => {
+        const cookies = parseCookies('__proto__=polluted')
+        assert.strictEqual(cookies.__proto__, 'polluted')
+        assert.strictEqual({}.polluted, undefined)
+    })
+})
+
+describe('serializeCookie()', () => {
+    it('should encode the value and default the path', () => {
+        assert.strictEqual(serializeCookie('greeting', 'hello world; ok'), 'greeting=hello%20world%3B%20ok; Path=/')
+    })
+
+    it('should write every attribute', () => {
+        const expires = new Date(Date.UTC(2030, 0, 1))
+        const cookie = serializeCookie('sid', 'abc', {
+            maxAge: 3600500,
+            expires,
+            domain: 'example.com',
+            path: '/app',
+            secure: true,
+            httpOnly: true,
+            sameSite: 'none',
+            partitioned: true
+        })
+        assert.strictEqual(cookie,
+            'sid=abc; Max-Age=3600; Expires=Tue, 01 Jan 2030 00:00:00 GMT; Domain=example.com; Path=/app; Secure; HttpOnly; SameSite=None; Partitioned')
+    })
+
+    it('should accept sameSite true as Strict and ignore false', () => {
+        assert.match(serializeCookie('a', '1', { sameSite: true }), /; SameSite=Strict$/)
+        assert.doesNotMatch(serializeCookie('a', '1', { sameSite: false }), /SameSite/)
+        assert.match(serializeCookie('a', '1', { sameSite: 'Lax' }), /; SameSite=Lax$/)
+    })
+
+    it('should reject invalid names and attributes', () => {
+        assert.throws(() => serializeCookie('bad name', '1'), { code: 'INVALID_COOKIE' })
+        assert.throws(() => serializeCookie('a', '1', { path: '/x; Domain=evil.com' }), { code: 'INVALID_COOKIE' })
+        assert.throws(() => serializeCookie('a', '1', { maxAge: 'soon' }), { code: 'INVALID_COOKIE' })
+        assert.throws(() => serializeCookie('a', '1', { expires: 'tomorrow' }), { code: 'INVALID_COOKIE' })
+        assert.throws(() => serializeCookie('a', '1', { sameSite: 'sometimes' }), { code: 'INVALID_COOKIE' })
+    })
+
+    it('should require secure for SameSite=None and partitioned cookies', () => {
+        assert.throws(() => serializeCookie('a', '1', { sameSite: 'none' }), { code: 'INVALID_COOKIE' })
+        assert.throws(() => serializeCookie('a', '1', { partitioned: true }), { code: 'INVALID_COOKIE' })
+    })
+})
+
+describe('cookie signing', () => {
+    it('should round-trip a signed value', () => {
+        const signed = signCookie('user-42', ['s3cret'])
+        assert.ok(signed.startsWith('s:user-42.'))
+        assert.strictEqual(unsignCookie(signed, ['s3cret']), 'user-42')
+    })
+
+    it('should keep dots in the value', () => {
+        assert.strictEqual(unsignCookie(signCookie('a.b.c', ['k']), ['k']), 'a.b.c')
+    })
+
+    it('should reject tampered values and wrong secrets', () => {
+        const signed = signCookie('user-42', ['s3cret'])
+        assert.strictEqual(unsignCookie(signed.replace('user-42', 'user-43'), ['s3cret']), false)
+        assert.strictEqual(unsignCookie(signed, ['other']), false)
+        assert.strictEqual(unsignCookie('user-42', ['s3cret']), false)
+        assert.strictEqual(unsignCookie('s:nodot', ['s3cret']), false)
+    })
+
+    it('should sign with the first secret and verify with any', () => {
+        const old = signCookie('user-42', ['old'])
+        const fresh = signCookie('user-42', ['new', 'old'])
+
+        assert.strictEqual(fresh, signCookie('user-42', ['new']))
+        assert.strictEqual(unsignCookie(old, ['new', 'old']), 'user-42')
+        assert.strictEqual(unsignCookie(fresh, ['new', 'old']), 'user-42')
+    })
+
+    it('should throw without a secret', () => {
+        assert.throws(() => signCookie('x', []), { code: 'COOKIE_SECRET_MISSING' })
+    })
+
+    it('should split signed cookies out only when secrets are configured', () => {
+        const parsed = parseCookies(`plain=1; good=${encodeURIComponent(signCookie('ok', ['k']))}; bad=s%3Aforged.sig`)
+
+        const { cookies, signedCookies } = splitSignedCookies(parsed, ['k'])
+        assert.deepStrictEqual({ ...cookies }, { plain: '1' })
+        assert.deepStrictEqual({ ...signedCookies }, { good: 'ok', bad: false })
+
+        const unsigned = splitSignedCookies(parsed, [])
+        assert.strictEqual(unsigned.cookies.bad, 's:forged.sig')
+        assert.deepStrictEqual({ ...unsigned.signedCookies }, {})
+    })
+})
+
+describe('req.cookies and req.signedCookies', () => {
+    it('should parse the Cookie header lazily and cache it', () => {
+        const req = cookieRequest('theme=dark; lang=fr')
+        assert.strictEqual(req.cookies.theme, 'dark')
+        assert.strictEqual(req.cookies, req.cookies)
+        assert.deepStrictEqual({ ...req.signedCookies }, {})
+    })
+
+    it('should default to empty objects without a Cookie header', () => {
+        const req = cookieRequest(undefined)
+        assert.deepStrictEqual({ ...req.cookies }, {})
+        assert.deepStrictEqual({ ...req.signedCookies }, {})
+    })
+
+    it('should verify signed cookies against the configured secrets', () => {
+        const session = encodeURIComponent(signCookie('user-42', ['old']))
+        const req = cookieRequest(`session=${session}; theme=dark`, ['new', 'old'])
+
+        assert.strictEqual(req.signedCookies.session, 'user-42')
+        assert.strictEqual(req.cookies.session, undefined)
+        assert.strictEqual(req.cookies.theme, 'dark')
+    })
+})
+
+describe('res.cookie() and res.clearCookie()', () => {
+    it('should send one Set-Cookie header per cookie', () => {
+        const uRes = mockURes()
+        const res = createResponse(uRes)
+        res.cookie('a', '1').cookie('b', '2', { httpOnly: true }).clearCookie('c', { path: '/app', maxAge: 1000 })
+        res.send('ok')
+
+        assert.deepStrictEqual(uRes.headers.filter(([key]) => key === 'set-cookie'), [
+            ['set-cookie', 'a=1; Path=/'],
+            ['set-cookie', 'b=2; Path=/; HttpOnly'],
+            ['set-cookie', 'c=; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Path=/app']
+        ])
+    })
+
+    it('should keep a Set-Cookie header set with res.set()', () => {
+        const uRes = mockURes()
+        const res = createResponse(uRes)
+        res.set('Set-Cookie', 'legacy=1').cookie('a', '1')
+
+        assert.deepStrictEqual(res.get('set-cookie'), ['legacy=1', 'a=1; Path=/'])
+    })
+
+    it('should sign cookies with the first secret', () => {
+        const res = createResponse(mockURes(), { cookieSecrets: ['new', 'old'] })
+        res.cookie('session', 'user-42', { signed: true })
+
+        const [header] = res.get('set-cookie')
+        const value = decodeURIComponent(header.slice('session='.length, header.indexOf(';')))
+        assert.strictEqual(value, signCookie('user-42', ['new']))
+    })
+
+    it('should refuse to sign without a secret', () => {
+        const res = createResponse(mockURes())
+        assert.throws(() => res.cookie('session', 'x', { signed: true }), { code: 'COOKIE_SECRET_MISSING' })
+    })
+
+    it('should send array headers set with res.set() once per value', () => {
+        const uRes = mockURes()
+        createResponse(uRes).set('Link', ['</a>; rel=preload', '</b>; rel=preload']).end()
+        assert.deepStrictEqual(uRes.headers, [['link', '</a>; rel=preload'], ['link', '</b>; rel=preload']])
+    })
+})
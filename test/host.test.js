@@ -0,0 +1,87 @@
+/**
+ * @description Tests for RoachJS host-based routing.
+ * Covers exact and parametric host patterns, Host header parsing, match
+ * precedence, and pattern validation.
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { HostRouter, hostname } from '../src/host.js'
+
+describe('HostRouter', () => {
+
+    describe('exact hosts', () => {
+        it('should match case-insensitively and ignore the port', () => {
+            const hosts = new HostRouter()
+            hosts.add('api.example.com', 'api')
+
+            assert.strictEqual(hosts.match('api.example.com').entry.value, 'api')
+            assert.strictEqual(hosts.match('API.Example.com:8080').entry.value, 'api')
+            assert.deepStrictEqual(hosts.match('api.example.com').params, {})
+            assert.strictEqual(hosts.match('www.example.com'), null)
+        })
+
+        it('should not match when no Host header was sent', () => {
+            const hosts = new HostRouter()
+            hosts.add('api.example.com', 'api')
+            assert.strictEqual(hosts.match(''), null)
+        })
+    })
+
+    describe('host params', () => {
+        it('should capture whole labels', () => {
+            const hosts = new HostRouter()
+            hosts.add(':tenant.example.com', 'tenant')
+            hosts.add(':region.:tenant.cdn.example.com', 'cdn')
+
+            assert.deepStrictEqual(hosts.match('acme.example.com').params, { tenant: 'acme' })
+            assert.deepStrictEqual(hosts.match('eu.acme.cdn.example.com').params, { region: 'eu', tenant: 'acme' })
+        })
+
+        it('should only match hosts with the same number of labels', () => {
+            const hosts = new HostRouter()
+            hosts.add(':tenant.example.com', 'tenant')
+
+            assert.strictEqual(hosts.match('example.com'), null)
+            assert.strictEqual(hosts.match('a.b.example.com'), null)
+        })
+
+        it('should prefer exact hosts, then patterns in registration order', () => {
+            const hosts = new HostRouter()
+            hosts.add(':tenant.example.com', 'tenant')
+            hosts.add('api.example.com', 'api')
+            hosts.add(':other.example.com', 'other')
+
+            assert.strictEqual(hosts.match('api.example.com').entry.value, 'api')
+            assert.strictEqual(hosts.match('acme.example.com').entry.value, 'tenant')
+        })
+    })
+
+    describe('validation', () => {
+        it('should reject malformed patterns', () => {
+            const hosts = new HostRouter()
+            assert.throws(() => hosts.add('', 'x'), { name: 'InvalidRouteError' })
+            assert.throws(() => hosts.add('api..example.com', 'x'), { name: 'InvalidRouteError' })
+            assert.throws(() => hosts.add('api-:tenant.example.com', 'x'), { name: 'InvalidRouteError' })
+            assert.throws(() => hosts.add(':a.:a.example.com', 'x'), { name: 'InvalidRouteError' })
+        })
+
+        it('should reject a pattern registered twice', () => {
+            const hosts = new HostRouter()
+            hosts.add('api.example.com', 'api')
+            assert.throws(() => hosts.add('API.example.com', 'again'), { name: 'InvalidRouteError' })
+            assert.strictEqual(hosts.get('api.example.com').value, 'api')
+        })
+    })
+
+    describe('hostname()', () => {
+        it('should strip the port and a trailing dot', () => {
+            assert.strictEqual(hostname('Example.COM:443'), 'example.com')
+            assert.strictEqual(hostname('example.com.'), 'example.com')
+        })
+
+        it('should keep IPv6 literals intact', () => {
+            assert.strictEqual(hostname('[::1]:3000'), '[::1]')
+        })
+    })
+})
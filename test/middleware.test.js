@@ -1,12 +1,13 @@
 /**
  * @description Tests for the RoachJS middleware chain handler.
  * Covers global middleware, scoped middleware, route-level middleware,
- * chain execution order, error propagation via next(err), and async support.
+ * chain execution order, error propagation via next(err), async support,
+ * and the built-in cors() middleware.
  */
 
 import { describe, it } from 'node:test'
 import assert from 'node:assert/strict'
-import { MiddlewareChain } from '../src/middleware.js'
+import { MiddlewareChain, cors } from '../src/middleware.js'
 
 /**
  * @description Create a minimal mock response.
@@ -22,6 +23,33 @@ function mockRes() {
     }
 }
 
+/**
+ * @description Create a mock response that records headers like the real one.
+ */
+function mockHeaderRes() {
+    const headers = {}
+    return {
+        headers,
+        sent: false,
+        statusCode: 200,
+        set(name, value) { headers[name.toLowerCase()] = value; return this },
+        get(name) { return headers[name.toLowerCase()] },
+        status(code) { this.statusCode = code; return this },
+        end() { this.sent = true }
+    }
+}
+
+/**
+ * @description Run a cors() middleware against a fake request and report
+ * whether it called next().
+ */
+async function runCors(options, req) {
+    const res = mockHeaderRes()
+    let nextCalled = false
+    await cors(options)({ method: 'GET', path: '/', ...req, headers: req.headers || {} }, res, () => { nextCalled = true })
+    return { res, nextCalled }
+}
+
 describe('MiddlewareChain', () => {
 
     describe('adding middleware', () => {
@@ -80,6 +108,14 @@ describe('MiddlewareChain', () => {
             assert.strictEqual(chain.resolve('/api-v2/thing').length, 0)
         })
 
+        it('should compare scopes containing a percent sign with normalized paths', () => {
+            const chain = new MiddlewareChain()
+            chain.add('/deals/100%', () => { })
+
+            assert.strictEqual(chain.resolve('/deals/100%25/today').length, 1)
+            assert.strictEqual(chain.resolve('/deals/100%2525').length, 0)
+        })
+
         it('should append route-level middleware at the end', () => {
             const chain = new MiddlewareChain()
             const globalMw = () => { }
@@ -104,6 +140,22 @@ describe('MiddlewareChain', () => {
             fns.forEach(fn => fn())
             assert.deepStrictEqual(order, [1, 2, 3])
         })
+
+        it('should match scopes case-sensitively by default', () => {
+            const chain = new MiddlewareChain()
+            chain.add('/api', () => { })
+
+            assert.strictEqual(chain.resolve('/API/users').length, 0)
+        })
+
+        it('should ignore case when caseSensitive is false', () => {
+            const chain = new MiddlewareChain({ caseSensitive: false })
+            chain.add('/Api', () => { })
+
+            assert.strictEqual(chain.resolve('/API/users').length, 1)
+            assert.strictEqual(chain.resolve('/api').length, 1)
+            assert.strictEqual(chain.resolve('/apix').length, 0)
+        })
     })
 
     describe('executing middleware', () => {
@@ -243,3 +295,118 @@ describe('MiddlewareChain', () => {
         })
     })
 })
+
+describe('cors()', () => {
+
+    describe('origins', () => {
+        it('should allow any origin by default', async () => {
+            const { res, nextCalled } = await runCors({}, { headers: { origin: 'https://a.com' } })
+            assert.strictEqual(res.headers['access-control-allow-origin'], '*')
+            assert.strictEqual(res.headers.vary, undefined)
+            assert.strictEqual(nextCalled, true)
+        })
+
+        it('should use a fixed string origin and vary on Origin', async () => {
+            const { res } = await runCors({ origin: 'https://app.com' }, { headers: { origin: 'https://evil.com' } })
+            assert.strictEqual(res.headers['access-control-allow-origin'], 'https://app.com')
+            assert.strictEqual(res.headers.vary, 'Origin')
+        })
+
+        it('should match arrays of strings and RegExps', async () => {
+            const origin = ['https://a.com', /\.example\.dev$/]
+            assert.strictEqual((await runCors({ origin }, { headers: { origin: 'https://a.com' } })).res.headers['access-control-allow-origin'], 'https://a.com')
+            assert.strictEqual((await runCors({ origin }, { headers: { origin: 'https://x.example.dev' } })).res.headers['access-control-allow-origin'], 'https://x.example.dev')
+
+            const denied = await runCors({ origin }, { headers: { origin: 'https://b.com' } })
+            assert.strictEqual(denied.res.headers['access-control-allow-origin'], undefined)
+            assert.strictEqual(denied.res.headers.vary, 'Origin')
+            assert.strictEqual(denied.nextCalled, true)
+        })
+
+        it('should match a single RegExp', async () => {
+            const { res } = await runCors({ origin: /^https:\/\/.*\.com$/ }, { headers: { origin: 'https://ok.com' } })
+            assert.strictEqual(res.headers['access-control-allow-origin'], 'https://ok.com')
+        })
+
+        it('should support sync and async origin functions', async () => {
+            const sync = await runCors({ origin: (o) => o.endsWith('.com') }, { headers: { origin: 'https://a.com' } })
+            assert.strictEqual(sync.res.headers['access-control-allow-origin'], 'https://a.com')
+
+            const fromPromise = await runCors({ origin: async () => 'https://fixed.com' }, { headers: { origin: 'https://a.com' } })
+            assert.strictEqual(fromPromise.res.headers['access-control-allow-origin'], 'https://fixed.com')
+
+            const denied = await runCors({ origin: () => false }, { headers: { origin: 'https://a.com' } })
+            assert.strictEqual(denied.res.headers['access-control-allow-origin'], undefined)
+        })
+
+        it('should refuse credentials for every origin', () => {
+            assert.throws(() => cors({ credentials: true }), { code: 'CORS_CONFIG_INVALID' })
+            assert.throws(() => cors({ origin: '*', credentials: true }), { code: 'CORS_CONFIG_INVALID' })
+        })
+
+        it('should reflect the origin with credentials only when asked to', async () => {
+            const { res } = await runCors({ origin: true, credentials: true }, { headers: { origin: 'https://a.com' } })
+            assert.strictEqual(res.headers['access-control-allow-origin'], 'https://a.com')
+            assert.strictEqual(res.headers['access-control-allow-credentials'], 'true')
+            assert.strictEqual(res.headers.vary, 'Origin')
+
+            const listed = await runCors({ origin: ['https://a.com'], credentials: true }, { headers: { origin: 'https://evil.example' } })
+            assert.strictEqual(listed.res.headers['access-control-allow-origin'], undefined)
+        })
+
+        it('should not duplicate an existing Vary entry', async () => {
+            const res = mockHeaderRes()
+            res.set('Vary', 'Accept-Encoding, origin')
+            await cors({ origin: true })({ method: 'GET', headers: { origin: 'https://a.com' } }, res, () => { })
+            assert.strictEqual(res.headers.vary, 'Accept-Encoding, origin')
+        })
+    })
+
+    describe('simple requests', () => {
+        it('should expose headers and continue the chain', async () => {
+            const { res, nextCalled } = await runCors({ exposedHeaders: ['X-Request-Id', 'X-Total'] }, { headers: { origin: 'https://a.com' } })
+            assert.strictEqual(res.headers['access-control-expose-headers'], 'X-Request-Id, X-Total')
+            assert.strictEqual(res.headers['access-control-allow-methods'], undefined)
+            assert.strictEqual(nextCalled, true)
+        })
+    })
+
+    describe('preflight', () => {
+        const preflight = (headers = {}) => ({
+            method: 'OPTIONS',
+            headers: { origin: 'https://a.com', 'access-control-request-method': 'PUT', ...headers }
+        })
+
+        it('should answer preflights with 204 and skip the chain', async () => {
+            const { res, nextCalled } = await runCors({ maxAge: 600 }, preflight())
+            assert.strictEqual(res.statusCode, 204)
+            assert.strictEqual(res.sent, true)
+            assert.strictEqual(nextCalled, false)
+            assert.strictEqual(res.headers['access-control-allow-methods'], 'GET, HEAD, PUT, PATCH, POST, DELETE')
+            assert.strictEqual(res.headers['access-control-max-age'], '600')
+        })
+
+        it('should reflect requested headers unless allowedHeaders is set', async () => {
+            const reflected = await runCors({}, preflight({ 'access-control-request-headers': 'x-token' }))
+            assert.strictEqual(reflected.res.headers['access-control-allow-headers'], 'x-token')
+            assert.strictEqual(reflected.res.headers.vary, 'Access-Control-Request-Headers')
+
+            const fixed = await runCors({ allowedHeaders: ['Content-Type'], methods: 'GET,POST' }, preflight({ 'access-control-request-headers': 'x-token' }))
+            assert.strictEqual(fixed.res.headers['access-control-allow-headers'], 'Content-Type')
+            assert.strictEqual(fixed.res.headers['access-control-allow-methods'], 'GET,POST')
+        })
+
+        it('should let plain OPTIONS requests through', async () => {
+            const { nextCalled } = await runCors({}, { method: 'OPTIONS', headers: { origin: 'https://a.com' } })
+            assert.strictEqual(nextCalled, true)
+        })
+
+        it('should compose with path-scoped middleware', () => {
+            const chain = new MiddlewareChain()
+            const mw = cors()
+            chain.add('/api', mw)
+            assert.strictEqual(chain.resolve('/api/users')[0], mw)
+            assert.strictEqual(chain.resolve('/other').length, 0)
+        })
+    })
+})
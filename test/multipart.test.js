@@ -0,0 +1,288 @@
+/**
+ * @description Tests for RoachJS multipart/form-data support.
+ * Covers streaming parsing into memory and to disk, limits enforced while
+ * reading, cleanup on failure and after the response, and req.body / req.files.
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { Readable } from 'node:stream'
+import { mkdtemp, readdir, readFile, rename, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { isMultipart, readMultipart, removeUploads } from '../src/multipart.js'
+import { createRequest } from '../src/request.js'
+import { BodyParseError, MultipartLimitError } from '../src/errors.js'
+
+const CONTENT_TYPE = 'multipart/form-data; boundary=roach'
+
+/**
+ * @description Build a multipart body from a list of parts.
+ */
+function formBody(parts) {
+    const chunks = []
+    for (const part of parts) {
+        let disposition = `form-data; name="${part.name}"`
+        if (part.filename !== undefined) disposition += `; filename="${part.filename}"`
+        chunks.push(`--roach\r\nContent-Disposition: ${disposition}\r\n`)
+        if (part.type) chunks.push(`Content-Type: ${part.type}\r\n`)
+        chunks.push('\r\n', part.data, '\r\n')
+    }
+    chunks.push('--roach--\r\n')
+    return Buffer.concat(chunks.map((chunk) => Buffer.from(chunk)))
+}
+
+/**
+ * @description Stream a buffer in fixed-size chunks.
+ */
+function chunked(buffer, size) {
+    const chunks = []
+    for (let i = 0; i < buffer.length; i += size) chunks.push(buffer.subarray(i, i + size))
+    return Readable.from(chunks)
+}
+
+describe('isMultipart()', () => {
+    it('should recognise multipart/form-data with any casing', () => {
+        assert.strictEqual(isMultipart(CONTENT_TYPE), true)
+        assert.strictEqual(isMultipart('Multipart/Form-Data; boundary=x'), true)
+    })
+
+    it('should reject other content types', () => {
+        assert.strictEqual(isMultipart('application/json'), false)
+        assert.strictEqual(isMultipart('multipart/mixed; boundary=x'), false)
+        assert.strictEqual(isMultipart(undefined), false)
+    })
+})
+
+describe('readMultipart() in memory', () => {
+    const body = formBody([
+        { name: 'title', data: 'Roaches' },
+        { name: 'tag', data: 'fast' },
+        { name: 'tag', data: 'resilient' },
+        { name: 'avatar', filename: 'oggy.png', type: 'image/png', data: 'PNGDATA' }
+    ])
+
+    it('should split fields and files', async () => {
+        const upload = await readMultipart(Readable.from([body]), CONTENT_TYPE)
+
+        assert.strictEqual(upload.fields.title, 'Roaches')
+        assert.deepStrictEqual(upload.fields.tag, ['fast', 'resilient'])
+        assert.strictEqual(Object.getPrototypeOf(upload.fields), null)
+        assert.strictEqual(upload.files.length, 1)
+
+        const [file] = upload.files
+        assert.strictEqual(file.name, 'avatar')
+        assert.strictEqual(file.filename, 'oggy.png')
+        assert.strictEqual(file.mimetype, 'image/png')
+        assert.strictEqual(file.size, 7)
+        assert.strictEqual(file.buffer.toString(), 'PNGDATA')
+        assert.strictEqual(file.path, undefined)
+    })
+
+    it('should handle boundaries split across chunks', async () => {
+        for (const size of [1, 5, 64]) {
+            const upload = await readMultipart(chunked(body, size), CONTENT_TYPE)
+            assert.deepStrictEqual(upload.fields.tag, ['fast', 'resilient'])
+            assert.strictEqual(upload.files[0].buffer.toString(), 'PNGDATA')
+        }
+    })
+
+    it('should default the file mimetype', async () => {
+        const upload = await readMultipart(Readable.from([formBody([{ name: 'f', filename: 'a.bin', data: 'x' }])]), CONTENT_TYPE)
+        assert.strictEqual(upload.files[0].mimetype, 'application/octet-stream')
+    })
+
+    it('should skip empty file inputs', async () => {
+        const upload = await readMultipart(Readable.from([formBody([{ name: 'f', filename: '', data: '' }])]), CONTENT_TYPE)
+        assert.deepStrictEqual(upload.files, [])
+    })
+
+    it('should return an empty form for an empty body', async () => {
+        const upload = await readMultipart(Readable.from([]), CONTENT_TYPE)
+        assert.deepStrictEqual(upload.files, [])
+        assert.deepStrictEqual(Object.keys(upload.fields), [])
+    })
+
+    it('should reject a malformed body', async () => {
+        await assert.rejects(readMultipart(Readable.from([Buffer.from('--roach\r\nno headers')]), CONTENT_TYPE), BodyParseError)
+    })
+
+    it('should enforce maxFiles, maxFileSize and maxFieldSize', async () => {
+        const limits = { maxFiles: Infinity, maxFileSize: Infinity, maxFieldSize: Infinity }
+
+        await assert.rejects(readMultipart(Readable.from([body]), CONTENT_TYPE, { ...limits, maxFiles: 0 }), (err) => {
+            assert.ok(err instanceof MultipartLimitError)
+            assert.strictEqual(err.statusCode, 413)
+            assert.strictEqual(err.code, 'MULTIPART_LIMIT')
+            assert.strictEqual(err.limitName, 'maxFiles')
+            return true
+        })
+        await assert.rejects(readMultipart(Readable.from([body]), CONTENT_TYPE, { ...limits, maxFileSize: 6 }), { limitName: 'maxFileSize' })
+        await assert.rejects(readMultipart(Readable.from([body]), CONTENT_TYPE, { ...limits, maxFieldSize: 5 }), { limitName: 'maxFieldSize' })
+        await assert.doesNotReject(readMultipart(Readable.from([body]), CONTENT_TYPE, { maxFiles: 1, maxFileSize: 7, maxFieldSize: 9 }))
+    })
+
+    it('should stop reading as soon as a file crosses maxFileSize', async () => {
+        let chunksRead = 0
+        const endless = Readable.from((function* () {
+            yield Buffer.from('--roach\r\nContent-Disposition: form-data; name="f"; filename="big.bin"\r\n\r\n')
+            while (true) {
+                chunksRead++
+                yield Buffer.alloc(1024, 1)
+            }
+        })())
+
+        await assert.rejects(readMultipart(endless, CONTENT_TYPE, { maxFileSize: 4096 }), { limitName: 'maxFileSize' })
+        assert.ok(chunksRead < 10, `read ${chunksRead} chunks`)
+        assert.strictEqual(endless.destroyed, true)
+    })
+
+    it('should drain an epilogue after the closing boundary without buffering it', async () => {
+        const megabyte = Buffer.alloc(1024 * 1024, 1)
+        const before = process.memoryUsage().arrayBuffers
+        let growth = 0
+        const body = Readable.from((function* () {
+            yield formBody([{ name: 'title', data: 'hi' }])
+            for (let i = 0; i < 32; i++) yield megabyte
+            growth = process.memoryUsage().arrayBuffers - before
+        })())
+
+        const upload = await readMultipart(body, CONTENT_TYPE, { maxFieldSize: 10 })
+        assert.strictEqual(upload.fields.title, 'hi')
+        assert.ok(growth < 8 * 1024 * 1024, `buffered ${growth} bytes`)
+    })
+})
+
+describe('readMultipart() to disk', () => {
+    let dir
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'roach-multipart-test-'))
+    })
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true })
+    })
+
+    const body = formBody([
+        { name: 'title', data: 'Roaches' },
+        { name: 'doc', filename: 'notes.txt', type: 'text/plain', data: 'line one\r\n--roac\r\nline two' },
+        { name: 'tag', data: 'a' },
+        { name: 'tag', data: 'b' }
+    ])
+
+    it('should write files to disk and collect fields', async () => {
+        const upload = await readMultipart(Readable.from([body]), CONTENT_TYPE, { storage: 'disk', dir })
+
+        assert.strictEqual(upload.fields.title, 'Roaches')
+        assert.deepStrictEqual(upload.fields.tag, ['a', 'b'])
+        assert.strictEqual(upload.files.length, 1)
+
+        const [file] = upload.files
+        assert.strictEqual(file.name, 'doc')
+        assert.strictEqual(file.filename, 'notes.txt')
+        assert.strictEqual(file.mimetype, 'text/plain')
+        assert.strictEqual(file.size, 26)
+        assert.ok(file.path.startsWith(join(dir, 'roach-')))
+        assert.strictEqual(await readFile(file.path, 'utf-8'), 'line one\r\n--roac\r\nline two')
+        assert.strictEqual(file.buffer, undefined)
+    })
+
+    it('should handle boundaries split across chunks', async () => {
+        for (const size of [1, 3, 7, 64]) {
+            const upload = await readMultipart(chunked(body, size), CONTENT_TYPE, { storage: 'disk', dir })
+            assert.strictEqual(upload.fields.title, 'Roaches')
+            assert.strictEqual(await readFile(upload.files[0].path, 'utf-8'), 'line one\r\n--roac\r\nline two')
+        }
+    })
+
+    it('should accept a quoted boundary and ignore the preamble and epilogue', async () => {
+        const wrapped = Buffer.concat([Buffer.from('preamble\r\n'), body, Buffer.from('epilogue')])
+        const upload = await readMultipart(Readable.from([wrapped]), 'multipart/form-data; boundary="roach"', { storage: 'disk', dir })
+        assert.strictEqual(upload.fields.title, 'Roaches')
+    })
+
+    it('should reject a content type without a boundary', async () => {
+        await assert.rejects(readMultipart(Readable.from([body]), 'multipart/form-data', { storage: 'disk', dir }), BodyParseError)
+    })
+
+    it('should reject a body that ends early and delete its files', async () => {
+        const before = await readdir(dir)
+        const truncated = body.subarray(0, body.indexOf('line two'))
+        await assert.rejects(readMultipart(Readable.from([truncated]), CONTENT_TYPE, { storage: 'disk', dir }), BodyParseError)
+        assert.deepStrictEqual(await readdir(dir), before)
+    })
+
+    it('should enforce limits while streaming and delete written files', async () => {
+        const before = await readdir(dir)
+        const twoFiles = formBody([
+            { name: 'a', filename: 'a.txt', data: 'first' },
+            { name: 'b', filename: 'b.txt', data: 'second' }
+        ])
+
+        await assert.rejects(readMultipart(Readable.from([twoFiles]), CONTENT_TYPE, { storage: 'disk', dir, maxFiles: 1 }), { limitName: 'maxFiles' })
+        await assert.rejects(readMultipart(chunked(twoFiles, 2), CONTENT_TYPE, { storage: 'disk', dir, maxFileSize: 5 }), { limitName: 'maxFileSize' })
+        await assert.rejects(readMultipart(Readable.from([body]), CONTENT_TYPE, { storage: 'disk', dir, maxFieldSize: 3 }), { limitName: 'maxFieldSize' })
+        assert.deepStrictEqual(await readdir(dir), before)
+    })
+
+    it('should reject when the body stream fails', async () => {
+        const before = await readdir(dir)
+        const failing = new Readable({ read() { } })
+        failing.push(body.subarray(0, body.indexOf('line two')))
+        setImmediate(() => failing.destroy(new Error('client went away')))
+
+        await assert.rejects(readMultipart(failing, CONTENT_TYPE, { storage: 'disk', dir }), { message: 'client went away' })
+        assert.deepStrictEqual(await readdir(dir), before)
+    })
+
+    it('should remove the files left in place and skip moved ones', async () => {
+        const before = await readdir(dir)
+        const twoFiles = formBody([
+            { name: 'a', filename: 'a.txt', data: 'first' },
+            { name: 'b', filename: 'b.txt', data: 'second' }
+        ])
+        const upload = await readMultipart(Readable.from([twoFiles]), CONTENT_TYPE, { storage: 'disk', dir })
+        const kept = join(dir, 'kept.txt')
+        await rename(upload.files[0].path, kept)
+
+        await removeUploads(upload)
+        assert.deepStrictEqual((await readdir(dir)).sort(), [...before, 'kept.txt'].sort())
+        await rm(kept)
+    })
+})
+
+describe('multipart requests', () => {
+    const snapshot = {
+        method: 'POST',
+        url: '/upload',
+        query: '',
+        headers: { 'content-type': CONTENT_TYPE },
+        ip: '127.0.0.1'
+    }
+
+    it('should expose fields as req.body and files as req.files', async () => {
+        const upload = await readMultipart(Readable.from([formBody([
+            { name: 'title', data: 'Roaches' },
+            { name: 'avatar', filename: 'oggy.png', type: 'image/png', data: 'PNG' }
+        ])]), CONTENT_TYPE)
+        const req = createRequest(snapshot, {}, null, null, { upload })
+
+        assert.strictEqual(req.body.title, 'Roaches')
+        assert.strictEqual(req.files.length, 1)
+        assert.strictEqual(req.files[0].buffer.toString(), 'PNG')
+    })
+
+    it('should use an upload that was already saved to disk', () => {
+        const upload = { fields: { title: 'Roaches' }, files: [{ name: 'f', filename: 'a.txt', mimetype: 'text/plain', size: 1, path: '/tmp/x' }] }
+        const req = createRequest(snapshot, {}, null, null, { upload })
+
+        assert.strictEqual(req.body, upload.fields)
+        assert.strictEqual(req.files, upload.files)
+    })
+
+    it('should default req.files to an empty array', () => {
+        const req = createRequest({ ...snapshot, headers: { 'content-type': 'application/json' } }, {}, Buffer.from('{}'))
+        assert.deepStrictEqual(req.files, [])
+    })
+})
@@ -0,0 +1,90 @@
+/**
+ * @description Tests for RoachJS urlencoded parsing.
+ * Covers decoding, repeated keys, bracket nesting, depth and parameter limits, key
+ * conflicts, and prototype safety.
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseUrlEncoded } from '../src/querystring.js'
+
+/**
+ * @description Convert null-prototype results into plain objects for deep comparison.
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value))
+}
+
+describe('parseUrlEncoded()', () => {
+    it('should decode keys and values, with + as a space', () => {
+        assert.deepStrictEqual(plain(parseUrlEncoded('q=hello+world&name=Jo%C3%ABy&flag')), {
+            q: 'hello world',
+            name: 'Joëy',
+            flag: ''
+        })
+    })
+
+    it('should return an empty null-prototype object for empty input', () => {
+        const result = parseUrlEncoded('')
+        assert.strictEqual(Object.getPrototypeOf(result), null)
+        assert.deepStrictEqual(Object.keys(result), [])
+        assert.deepStrictEqual(Object.keys(parseUrlEncoded('&&')), [])
+    })
+
+    it('should collect repeated keys into arrays', () => {
+        assert.deepStrictEqual(plain(parseUrlEncoded('tag=a&tag=b&tag=c')), { tag: ['a', 'b', 'c'] })
+        assert.deepStrictEqual(plain(parseUrlEncoded('tag[]=a')), { tag: ['a'] })
+        assert.deepStrictEqual(plain(parseUrlEncoded('tag=a&tag[]=b')), { tag: ['a', 'b'] })
+    })
+
+    it('should nest bracketed keys', () => {
+        const result = parseUrlEncoded('user[name]=Joey&user[address][city]=Paris&items[][id]=1&items[][id]=2')
+        assert.deepStrictEqual(plain(result), {
+            user: { name: 'Joey', address: { city: 'Paris' } },
+            items: [{ id: '1' }, { id: '2' }]
+        })
+        assert.strictEqual(Object.getPrototypeOf(result.user), null)
+    })
+
+    it('should keep brackets past the depth limit in the last key', () => {
+        assert.deepStrictEqual(plain(parseUrlEncoded('a[b][c]=1', { depth: 1 })), { a: { 'b[c]': '1' } })
+        assert.deepStrictEqual(plain(parseUrlEncoded('a[b]=1', { depth: 0 })), { 'a[b]': '1' })
+    })
+
+    it('should keep keys that are not bracket syntax whole', () => {
+        assert.deepStrictEqual(plain(parseUrlEncoded('[a]=1&b[c=2&d]=3&e[f]g=4')), {
+            '[a]': '1',
+            'b[c': '2',
+            'd]': '3',
+            'e[f]g': '4'
+        })
+    })
+
+    it('should treat __proto__ and constructor as plain keys', () => {
+        const result = parseUrlEncoded('__proto__[polluted]=yes&constructor[prototype][x]=1')
+        assert.strictEqual({}.polluted, undefined)
+        assert.strictEqual(result.__proto__.polluted, 'yes')
+        assert.strictEqual(Object.getPrototypeOf(result), null)
+    })
+
+    it('should throw when a key mixes values and nested fields', () => {
+        assert.throws(() => parseUrlEncoded('a=1&a[b]=2'), TypeError)
+        assert.throws(() => parseUrlEncoded('a[b]=1&a[]=2'), TypeError)
+    })
+
+    it('should leave bracketed keys alone when nesting is off', () => {
+        assert.deepStrictEqual(plain(parseUrlEncoded('a[b]=1&a[b]=2&c[]=3', { nested: false })), {
+            'a[b]': ['1', '2'],
+            'c[]': '3'
+        })
+    })
+
+    it('should throw RangeError past the parameter limit', () => {
+        assert.deepStrictEqual(plain(parseUrlEncoded('a=1&b=2&&', { parameterLimit: 2 })), { a: '1', b: '2' })
+        assert.throws(() => parseUrlEncoded('a=1&b=2&c=3', { parameterLimit: 2 }), RangeError)
+    })
+
+    it('should throw URIError on malformed escapes', () => {
+        assert.throws(() => parseUrlEncoded('a=%E0%A4%A'), URIError)
+    })
+})
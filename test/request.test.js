@@ -1,12 +1,13 @@
 /**
  * @description Tests for the RoachJS request wrapper.
- * Tests lazy query parsing, body parsing, header access, and params.
+ * Tests request snapshots, lazy query parsing, body parsing, body streaming,
+ * header access, and params.
  * Uses mocked uWS objects since we're testing the wrapper in isolation.
  */
 
 import { describe, it } from 'node:test'
 import assert from 'node:assert/strict'
-import { createRequest } from '../src/request.js'
+import { createRequest, snapshotRequest, createBodyStream, readBody, versionFromAccept } from '../src/request.js'
 
 /**
  * @description Create a mock uWS request object for testing.
@@ -38,27 +39,111 @@ function mockURes() {
     }
 }
 
+/**
+ * @description Wrap a mock uWS object so every method throws once expired,
+ * like uWS requests do after their callback returns.
+ */
+function expiring(target) {
+    let valid = true
+    const wrapped = {}
+    for (const [key, value] of Object.entries(target)) {
+        wrapped[key] = (...args) => {
+            if (!valid) throw new Error(`${key}() called after the uWS callback returned`)
+            return value(...args)
+        }
+    }
+    return { wrapped, expire: () => { valid = false } }
+}
+
+/**
+ * @description Wait for pending promise callbacks to run.
+ */
+const tick = () => new Promise((resolve) => setImmediate(resolve))
+
+/**
+ * @description Create a mock uWS response that can emit body chunks and
+ * records pause/resume calls.
+ */
+function mockStreamingURes() {
+    const uRes = {
+        paused: 0,
+        resumed: 0,
+        onData(cb) { uRes._emit = cb },
+        pause() { uRes.paused++ },
+        resume() { uRes.resumed++ },
+        emit(text, isLast) {
+            const bytes = new TextEncoder().encode(text)
+            uRes._emit(bytes.buffer, isLast)
+        }
+    }
+    return uRes
+}
+
 describe('Request', () => {
 
+    describe('snapshots', () => {
+        it('should keep method, url, headers, query and ip readable after an await', async () => {
+            const uReq = expiring(mockUReq({
+                method: 'post',
+                url: '/users',
+                query: 'page=2',
+                headers: { 'X-Token': 'abc' }
+            }))
+            const uRes = expiring(mockURes())
+            const snapshot = snapshotRequest(uReq.wrapped, uRes.wrapped)
+            uReq.expire()
+            uRes.expire()
+
+            await tick()
+            const req = createRequest(snapshot, {}, Buffer.from('hi'))
+            await tick()
+
+            assert.strictEqual(req.method, 'POST')
+            assert.strictEqual(req.path, '/users')
+            assert.strictEqual(req.url, '/users?page=2')
+            assert.strictEqual(req.get('x-token'), 'abc')
+            assert.deepStrictEqual({ ...req.query }, { page: '2' })
+            assert.strictEqual(req.ip, '127.0.0.1')
+            assert.strictEqual(req.body, 'hi')
+        })
+
+        it('should fall back to 0.0.0.0 when the remote address is unavailable', () => {
+            const uRes = { getRemoteAddressAsText: () => { throw new Error('closed') } }
+            assert.strictEqual(snapshotRequest(mockUReq(), uRes).ip, '0.0.0.0')
+        })
+    })
+
     describe('basic properties', () => {
         it('should expose HTTP method as uppercase', () => {
-            const req = createRequest(mockUReq({ method: 'post' }), mockURes(), {}, null)
+            const req = createRequest(snapshotRequest(mockUReq({ method: 'post' }), mockURes()), {}, null)
             assert.strictEqual(req.method, 'POST')
         })
 
         it('should expose URL path', () => {
-            const req = createRequest(mockUReq({ url: '/users/42' }), mockURes(), {}, null)
+            const req = createRequest(snapshotRequest(mockUReq({ url: '/users/42' }), mockURes()), {}, null)
             assert.strictEqual(req.path, '/users/42')
         })
 
+        it('should expose the normalized path the request was routed by', () => {
+            const req = createRequest(snapshotRequest(mockUReq({ url: '/users/j%C3%B6rg/../jo' }), mockURes()), {}, null, null, { path: '/users/jo' })
+            assert.strictEqual(req.path, '/users/jo')
+            assert.strictEqual(req.url, '/users/j%C3%B6rg/../jo')
+        })
+
         it('should expose route params', () => {
             const params = { id: '42', name: 'joey' }
-            const req = createRequest(mockUReq(), mockURes(), params, null)
+            const req = createRequest(snapshotRequest(mockUReq(), mockURes()), params, null)
             assert.deepStrictEqual(req.params, params)
         })
 
+        it('should expose host params, defaulting to an empty object', () => {
+            const req = createRequest(snapshotRequest(mockUReq(), mockURes()), {}, null, null, { hostParams: { tenant: 'acme' } })
+            assert.deepStrictEqual(req.hostParams, { tenant: 'acme' })
+            assert.deepStrictEqual(createRequest(snapshotRequest(mockUReq(), mockURes()), {}, null).hostParams, {})
+        })
+
         it('should default params to empty object', () => {
-            const req = createRequest(mockUReq(), mockURes(), {}, null)
+            const req = createRequest(snapshotRequest(mockUReq(), mockURes()), {}, null)
             assert.deepStrictEqual(req.params, {})
         })
     })
@@ -66,8 +151,8 @@ describe('Request', () => {
     describe('headers', () => {
         it('should expose request headers', () => {
             const req = createRequest(
-                mockUReq({ headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer xyz' } }),
-                mockURes(), {}, null
+                snapshotRequest(mockUReq({ headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer xyz' } }), mockURes()),
+                {}, null
             )
             assert.strictEqual(req.headers['content-type'], 'application/json')
             assert.strictEqual(req.headers['authorization'], 'Bearer xyz')
@@ -75,45 +160,69 @@ describe('Request', () => {
 
         it('should get individual headers via req.get()', () => {
             const req = createRequest(
-                mockUReq({ headers: { 'X-Custom': 'hello' } }),
-                mockURes(), {}, null
+                snapshotRequest(mockUReq({ headers: { 'X-Custom': 'hello' } }), mockURes()),
+                {}, null
             )
             assert.strictEqual(req.get('x-custom'), 'hello')
         })
 
         it('should return undefined for missing headers', () => {
-            const req = createRequest(mockUReq(), mockURes(), {}, null)
+            const req = createRequest(snapshotRequest(mockUReq(), mockURes()), {}, null)
             assert.strictEqual(req.get('x-nonexistent'), undefined)
         })
+
+        it('should expose Last-Event-ID as req.lastEventId', () => {
+            const req = createRequest(snapshotRequest(mockUReq({ headers: { 'Last-Event-ID': '42' } }), mockURes()), {}, null)
+            assert.strictEqual(req.lastEventId, '42')
+            assert.strictEqual(createRequest(snapshotRequest(mockUReq(), mockURes()), {}, null).lastEventId, undefined)
+        })
+    })
+
+    describe('versionFromAccept()', () => {
+        it('should read vendor media types', () => {
+            assert.strictEqual(versionFromAccept('application/vnd.acme.v2+json'), '2')
+            assert.strictEqual(versionFromAccept('text/html, application/vnd.acme.api.v1.5+json;q=0.9'), '1.5')
+        })
+
+        it('should read a version parameter', () => {
+            assert.strictEqual(versionFromAccept('application/json; version=1.1'), '1.1')
+            assert.strictEqual(versionFromAccept('application/json; version="3"'), '3')
+        })
+
+        it('should return null when no version is named', () => {
+            assert.strictEqual(versionFromAccept('application/json'), null)
+            assert.strictEqual(versionFromAccept('application/vnd.acme+json'), null)
+            assert.strictEqual(versionFromAccept(''), null)
+        })
     })
 
     describe('query parsing (lazy)', () => {
         it('should parse query string on first access', () => {
             const req = createRequest(
-                mockUReq({ query: 'page=1&limit=20' }),
-                mockURes(), {}, null
+                snapshotRequest(mockUReq({ query: 'page=1&limit=20' }), mockURes()),
+                {}, null
             )
-            assert.deepStrictEqual(req.query, { page: '1', limit: '20' })
+            assert.deepStrictEqual({ ...req.query }, { page: '1', limit: '20' })
         })
 
         it('should handle URL-encoded values', () => {
             const req = createRequest(
-                mockUReq({ query: 'q=hello%20world&tag=foo%26bar' }),
-                mockURes(), {}, null
+                snapshotRequest(mockUReq({ query: 'q=hello%20world&tag=foo%26bar' }), mockURes()),
+                {}, null
             )
             assert.strictEqual(req.query.q, 'hello world')
             assert.strictEqual(req.query.tag, 'foo&bar')
         })
 
         it('should return empty object for no query string', () => {
-            const req = createRequest(mockUReq({ query: '' }), mockURes(), {}, null)
-            assert.deepStrictEqual(req.query, {})
+            const req = createRequest(snapshotRequest(mockUReq({ query: '' }), mockURes()), {}, null)
+            assert.deepStrictEqual({ ...req.query }, {})
         })
 
         it('should handle keys without values', () => {
             const req = createRequest(
-                mockUReq({ query: 'flag&verbose' }),
-                mockURes(), {}, null
+                snapshotRequest(mockUReq({ query: 'flag&verbose' }), mockURes()),
+                {}, null
             )
             assert.strictEqual(req.query.flag, '')
             assert.strictEqual(req.query.verbose, '')
@@ -121,47 +230,86 @@ describe('Request', () => {
 
         it('should cache parsed query across multiple accesses', () => {
             const req = createRequest(
-                mockUReq({ query: 'x=1' }),
-                mockURes(), {}, null
+                snapshotRequest(mockUReq({ query: 'x=1' }), mockURes()),
+                {}, null
             )
             const first = req.query
             const second = req.query
             assert.strictEqual(first, second)
         })
+
+        it('should collect repeated keys into arrays', () => {
+            const req = createRequest(snapshotRequest(mockUReq({ query: 'tag=a&tag=b' }), mockURes()), {}, null)
+            assert.deepStrictEqual(req.query.tag, ['a', 'b'])
+        })
+
+        it('should decode + as a space and nest bracketed keys', () => {
+            const req = createRequest(snapshotRequest(mockUReq({ query: 'q=hello+world&page[size]=20' }), mockURes()), {}, null)
+            assert.strictEqual(req.query.q, 'hello world')
+            assert.strictEqual(req.query.page.size, '20')
+        })
+
+        it('should use a null prototype', () => {
+            const req = createRequest(snapshotRequest(mockUReq({ query: '__proto__[admin]=1' }), mockURes()), {}, null)
+            assert.strictEqual(Object.getPrototypeOf(req.query), null)
+            assert.strictEqual({}.admin, undefined)
+            assert.strictEqual(req.query.__proto__.admin, '1')
+        })
+
+        it('should follow the query options in the request context', () => {
+            const snapshot = snapshotRequest(mockUReq({ query: 'a[b]=1&c=2' }), mockURes())
+            const flat = createRequest(snapshot, {}, null, null, { queryOptions: { nested: false } })
+            assert.deepStrictEqual({ ...flat.query }, { 'a[b]': '1', c: '2' })
+
+            const limited = createRequest(snapshot, {}, null, null, { queryOptions: { parameterLimit: 1 } })
+            assert.throws(() => limited.query, { name: 'BadRequestError', code: 'MALFORMED_QUERY' })
+        })
+
+        it('should turn malformed query strings into BadRequestError', () => {
+            for (const query of ['q=%E0%A4%A', 'a=1&a[b]=2']) {
+                const req = createRequest(snapshotRequest(mockUReq({ query }), mockURes()), {}, null)
+                assert.throws(() => req.query, (err) => {
+                    assert.strictEqual(err.name, 'BadRequestError')
+                    assert.strictEqual(err.statusCode, 400)
+                    assert.strictEqual(err.code, 'MALFORMED_QUERY')
+                    return true
+                })
+            }
+        })
     })
 
     describe('body parsing (lazy)', () => {
         it('should parse JSON body when content-type is application/json', () => {
             const body = JSON.stringify({ name: 'Joey', speed: 'fast' })
             const req = createRequest(
-                mockUReq({ method: 'POST', headers: { 'Content-Type': 'application/json' } }),
-                mockURes(), {}, Buffer.from(body)
+                snapshotRequest(mockUReq({ method: 'POST', headers: { 'Content-Type': 'application/json' } }), mockURes()),
+                {}, Buffer.from(body)
             )
             assert.deepStrictEqual(req.body, { name: 'Joey', speed: 'fast' })
         })
 
         it('should return raw string for non-JSON content-type', () => {
             const req = createRequest(
-                mockUReq({ method: 'POST', headers: { 'Content-Type': 'text/plain' } }),
-                mockURes(), {}, Buffer.from('hello world')
+                snapshotRequest(mockUReq({ method: 'POST', headers: { 'Content-Type': 'text/plain' } }), mockURes()),
+                {}, Buffer.from('hello world')
             )
             assert.strictEqual(req.body, 'hello world')
         })
 
         it('should return undefined when no body is present', () => {
-            const req = createRequest(mockUReq(), mockURes(), {}, null)
+            const req = createRequest(snapshotRequest(mockUReq(), mockURes()), {}, null)
             assert.strictEqual(req.body, undefined)
         })
 
         it('should return undefined for empty body buffer', () => {
-            const req = createRequest(mockUReq(), mockURes(), {}, Buffer.alloc(0))
+            const req = createRequest(snapshotRequest(mockUReq(), mockURes()), {}, Buffer.alloc(0))
             assert.strictEqual(req.body, undefined)
         })
 
         it('should throw BodyParseError for invalid JSON', () => {
             const req = createRequest(
-                mockUReq({ headers: { 'Content-Type': 'application/json' } }),
-                mockURes(), {}, Buffer.from('not valid json{{{')
+                snapshotRequest(mockUReq({ headers: { 'Content-Type': 'application/json' } }), mockURes()),
+                {}, Buffer.from('not valid json{{{')
             )
             assert.throws(() => req.body, { name: 'BodyParseError' })
         })
@@ -169,8 +317,8 @@ describe('Request', () => {
         it('should cache parsed body across multiple accesses', () => {
             const body = JSON.stringify({ id: 1 })
             const req = createRequest(
-                mockUReq({ headers: { 'Content-Type': 'application/json' } }),
-                mockURes(), {}, Buffer.from(body)
+                snapshotRequest(mockUReq({ headers: { 'Content-Type': 'application/json' } }), mockURes()),
+                {}, Buffer.from(body)
             )
             const first = req.body
             const second = req.body
@@ -181,14 +329,107 @@ describe('Request', () => {
     describe('rawBody', () => {
         it('should expose the raw body buffer', () => {
             const buf = Buffer.from('raw data')
-            const req = createRequest(mockUReq(), mockURes(), {}, buf)
+            const req = createRequest(snapshotRequest(mockUReq(), mockURes()), {}, buf)
             assert.ok(Buffer.isBuffer(req.rawBody))
             assert.strictEqual(req.rawBody.toString(), 'raw data')
         })
 
         it('should be null when no body is present', () => {
-            const req = createRequest(mockUReq(), mockURes(), {}, null)
+            const req = createRequest(snapshotRequest(mockUReq(), mockURes()), {}, null)
             assert.strictEqual(req.rawBody, null)
         })
     })
+
+    describe('streaming body', () => {
+        it('should expose the body stream as req.stream', () => {
+            const uRes = mockStreamingURes()
+            const stream = createBodyStream(uRes)
+            const req = createRequest(snapshotRequest(mockUReq({ method: 'POST' }), mockURes()), {}, null, stream)
+            assert.strictEqual(req.stream, stream)
+            assert.strictEqual(req.body, undefined)
+        })
+
+        it('should default req.stream to null', () => {
+            const req = createRequest(snapshotRequest(mockUReq(), mockURes()), {}, null)
+            assert.strictEqual(req.stream, null)
+        })
+
+        it('should deliver chunks in order and end on the last chunk', async () => {
+            const uRes = mockStreamingURes()
+            const stream = createBodyStream(uRes)
+            uRes.emit('hello ', false)
+            uRes.emit('roach', true)
+
+            const chunks = []
+            for await (const chunk of stream) chunks.push(chunk)
+            assert.strictEqual(Buffer.concat(chunks).toString(), 'hello roach')
+        })
+
+        it('should copy chunks out of the transient uWS buffer', async () => {
+            const uRes = mockStreamingURes()
+            const stream = createBodyStream(uRes)
+            const bytes = new TextEncoder().encode('abc')
+            uRes._emit(bytes.buffer, true)
+            bytes.fill(0)
+
+            const chunks = []
+            for await (const chunk of stream) chunks.push(chunk)
+            assert.strictEqual(Buffer.concat(chunks).toString(), 'abc')
+        })
+
+        it('should pause uWS when the consumer falls behind and resume on read', async () => {
+            const uRes = mockStreamingURes()
+            const stream = createBodyStream(uRes)
+            const big = 'x'.repeat(32 * 1024)
+            uRes.emit(big, false)
+            assert.strictEqual(uRes.paused, 1)
+
+            stream.read()
+            await new Promise((resolve) => setImmediate(resolve))
+            assert.strictEqual(uRes.resumed, 1)
+        })
+    })
+
+    describe('body limits', () => {
+        it('should buffer a body within the limit', async () => {
+            const uRes = mockStreamingURes()
+            const pending = readBody(uRes, 10)
+            uRes.emit('hello', false)
+            uRes.emit('!', true)
+            assert.strictEqual((await pending).toString(), 'hello!')
+        })
+
+        it('should reject once the running total crosses the limit', async () => {
+            const uRes = mockStreamingURes()
+            const pending = readBody(uRes, 8)
+            uRes.emit('hello', false)
+            uRes.emit('roach', false)
+            uRes.emit('ignored', true)
+
+            await assert.rejects(pending, (err) => {
+                assert.strictEqual(err.name, 'PayloadTooLargeError')
+                assert.strictEqual(err.statusCode, 413)
+                assert.strictEqual(err.limit, 8)
+                return true
+            })
+        })
+
+        it('should not limit bodies by default', async () => {
+            const uRes = mockStreamingURes()
+            const pending = readBody(uRes)
+            uRes.emit('x'.repeat(100000), true)
+            assert.strictEqual((await pending).length, 100000)
+        })
+
+        it('should destroy a body stream that crosses the limit', async () => {
+            const uRes = mockStreamingURes()
+            const stream = createBodyStream(uRes, 4)
+            uRes.emit('abc', false)
+            uRes.emit('def', false)
+
+            await assert.rejects(async () => {
+                for await (const chunk of stream) assert.ok(chunk)
+            }, { name: 'PayloadTooLargeError' })
+        })
+    })
 })
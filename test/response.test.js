@@ -1,11 +1,14 @@
 /**
  * @description Tests for the RoachJS response wrapper.
  * Tests send, json, status chaining, set header, redirect, type,
- * and double-send guards. Uses mocked uWS response objects.
+ * double-send guards, streaming with backpressure and aborts, done
+ * listeners, SSE, and HEAD responses.
+ * Uses mocked uWS response objects.
  */
 
 import { describe, it } from 'node:test'
 import assert from 'node:assert/strict'
+import { Readable } from 'node:stream'
 import { createResponse } from '../src/response.js'
 
 /**
@@ -28,12 +31,73 @@ function mockURes() {
         end: (body) => {
             captured.body = body || null
             captured.ended = true
+        },
+        endWithoutBody: (length) => {
+            captured.reportedLength = length
+            captured.ended = true
         }
     }
 
     return res
 }
 
+/**
+ * @description Create a mock uWS response that also supports the streaming
+ * API. `writable` bytes can be accepted before write()/tryEnd() report
+ * backpressure; call drain() to let the socket accept more.
+ */
+function mockStreamingURes(writable = Infinity) {
+    const uRes = mockURes()
+    const captured = uRes._captured
+    captured.chunks = []
+    captured.closed = false
+
+    let budget = writable
+    let offset = 0
+    let onWritable = null
+
+    const accept = (chunk) => {
+        const bytes = Buffer.from(chunk)
+        const taken = bytes.subarray(0, Math.max(0, Math.min(bytes.length, budget)))
+        budget -= taken.length
+        offset += taken.length
+        captured.chunks.push(Buffer.from(taken))
+        return taken.length === bytes.length
+    }
+
+    Object.assign(uRes, {
+        write: (chunk) => {
+            captured.chunks.push(Buffer.from(chunk))
+            offset += Buffer.byteLength(chunk)
+            budget -= Buffer.byteLength(chunk)
+            return budget > 0
+        },
+        tryEnd: (chunk, total) => {
+            const ok = accept(chunk)
+            const done = offset >= total
+            if (done) captured.ended = true
+            return [ok, done]
+        },
+        getWriteOffset: () => offset,
+        onWritable: (fn) => { onWritable = fn },
+        close: () => { captured.closed = true },
+        drain: (amount = Infinity) => {
+            budget = amount
+            const fn = onWritable
+            onWritable = null
+            if (fn && !fn(offset)) onWritable = fn
+        },
+        body: () => Buffer.concat(captured.chunks).toString()
+    })
+
+    return uRes
+}
+
+/**
+ * @description Wait for pending stream and promise callbacks to run.
+ */
+const tick = () => new Promise((resolve) => setImmediate(resolve))
+
 describe('Response', () => {
 
     describe('res.send()', () => {
@@ -150,6 +214,13 @@ describe('Response', () => {
             assert.strictEqual(result, res)
         })
 
+        it('should read back queued headers case-insensitively', () => {
+            const res = createResponse(mockURes())
+            res.set('Vary', 'Origin')
+            assert.strictEqual(res.get('vary'), 'Origin')
+            assert.strictEqual(res.get('x-missing'), undefined)
+        })
+
         it('should handle multiple headers', () => {
             const uRes = mockURes()
             const res = createResponse(uRes)
@@ -253,4 +324,330 @@ describe('Response', () => {
             assert.strictEqual(res.sent, true)
         })
     })
+
+    describe('res.write()', () => {
+        it('should send status and headers with the first chunk', () => {
+            const uRes = mockStreamingURes()
+            const res = createResponse(uRes)
+            res.status(200).type('text/csv')
+            res.write('id,name\n')
+            res.write('1,joey\n')
+            res.end()
+
+            assert.strictEqual(uRes._captured.status, '200 OK')
+            assert.strictEqual(uRes._captured.headers['content-type'], 'text/csv')
+            assert.strictEqual(uRes.body(), 'id,name\n1,joey\n')
+            assert.strictEqual(uRes._captured.ended, true)
+        })
+
+        it('should mark the response as sent once headers are out', () => {
+            const res = createResponse(mockStreamingURes())
+            res.write('a')
+            assert.strictEqual(res.sent, true)
+            assert.throws(() => res.json({}), { name: 'ResponseAlreadySentError' })
+        })
+
+        it('should report backpressure', () => {
+            const res = createResponse(mockStreamingURes(4))
+            assert.strictEqual(res.write('ab'), true)
+            assert.strictEqual(res.write('cdef'), false)
+        })
+
+        it('should throw after end()', () => {
+            const res = createResponse(mockStreamingURes())
+            res.write('a')
+            res.end()
+            assert.throws(() => res.write('b'), { name: 'ResponseAlreadySentError' })
+        })
+    })
+
+    describe('res.stream()', () => {
+        it('should pipe a readable with chunked encoding', async () => {
+            const uRes = mockStreamingURes()
+            const res = createResponse(uRes)
+            await res.stream(Readable.from(['hello ', 'from ', 'roach']))
+
+            assert.strictEqual(uRes.body(), 'hello from roach')
+            assert.strictEqual(uRes._captured.ended, true)
+            assert.strictEqual(res.sent, true)
+        })
+
+        it('should accept async iterables', async () => {
+            const uRes = mockStreamingURes()
+            const res = createResponse(uRes)
+            async function* rows() {
+                yield 'a\n'
+                yield 'b\n'
+            }
+            await res.stream(rows())
+            assert.strictEqual(uRes.body(), 'a\nb\n')
+        })
+
+        it('should pause the source until uWS is writable again', async () => {
+            const uRes = mockStreamingURes(3)
+            const res = createResponse(uRes)
+            const source = Readable.from(['abcd', 'efgh'])
+            const done = res.stream(source)
+
+            await tick()
+            assert.strictEqual(source.isPaused(), true)
+            assert.strictEqual(uRes.body(), 'abcd')
+
+            uRes.drain()
+            await done
+            assert.strictEqual(uRes.body(), 'abcdefgh')
+        })
+
+        it('should use tryEnd and retry the remainder when size is known', async () => {
+            const uRes = mockStreamingURes(5)
+            const res = createResponse(uRes)
+            const done = res.stream(Readable.from([Buffer.from('abcdefgh'), Buffer.from('ij')]), { size: 10 })
+
+            await tick()
+            assert.strictEqual(uRes.body(), 'abcde')
+            assert.strictEqual(uRes._captured.ended, false)
+
+            uRes.drain()
+            await done
+            assert.strictEqual(uRes.body(), 'abcdefghij')
+            assert.strictEqual(uRes._captured.ended, true)
+        })
+
+        it('should reject when the source ends short of the declared size', async () => {
+            const uRes = mockStreamingURes()
+            const res = createResponse(uRes)
+            await assert.rejects(res.stream(Readable.from(['abc']), { size: 10 }), {
+                code: 'STREAM_SIZE_MISMATCH'
+            })
+            assert.strictEqual(uRes._captured.closed, true)
+        })
+
+        it('should reject and close the connection if the source errors mid-stream', async () => {
+            const uRes = mockStreamingURes()
+            const res = createResponse(uRes)
+            const source = new Readable({ read() { } })
+            const done = res.stream(source)
+            source.push('partial')
+            await tick()
+            source.destroy(new Error('disk on fire'))
+
+            await assert.rejects(done, { message: 'disk on fire' })
+            assert.strictEqual(uRes._captured.closed, true)
+        })
+
+        it('should destroy the source when the client aborts', async () => {
+            const uRes = mockStreamingURes(1)
+            const res = createResponse(uRes)
+            const source = Readable.from(['abc', 'def'])
+            const done = res.stream(source)
+            await tick()
+
+            res._abort()
+            await done
+            assert.strictEqual(source.destroyed, true)
+            assert.strictEqual(res.aborted, true)
+        })
+    })
+
+    describe('aborts', () => {
+        it('should notify onAborted listeners', () => {
+            const res = createResponse(mockURes())
+            let calls = 0
+            res.onAborted(() => calls++)
+            res._abort()
+            res._abort()
+            assert.strictEqual(calls, 1)
+        })
+
+        it('should call late onAborted listeners immediately', () => {
+            const res = createResponse(mockURes())
+            res._abort()
+            let called = false
+            res.onAborted(() => { called = true })
+            assert.strictEqual(called, true)
+        })
+
+        it('should not touch uWS after an abort', () => {
+            const uRes = mockURes()
+            const res = createResponse(uRes)
+            res._abort()
+            res.json({ late: true })
+
+            assert.strictEqual(uRes._captured.ended, false)
+            assert.strictEqual(res.sent, true)
+        })
+    })
+
+    describe('done listeners', () => {
+        it('should run once when the response finishes', () => {
+            const res = createResponse(mockURes())
+            let calls = 0
+            res._onDone(() => calls++)
+            res.send('ok')
+            res._abort()
+            assert.strictEqual(calls, 1)
+
+            res._onDone(() => calls++)
+            assert.strictEqual(calls, 2)
+        })
+
+        it('should run when the client aborts first', () => {
+            const res = createResponse(mockURes())
+            let called = false
+            res._onDone(() => { called = true })
+            res._abort()
+            assert.strictEqual(called, true)
+        })
+
+        it('should wait for a streamed body to finish', async () => {
+            const res = createResponse(mockStreamingURes())
+            let called = false
+            res._onDone(() => { called = true })
+            const sending = res.stream(Readable.from(['a', 'b']))
+            assert.strictEqual(called, false)
+            await sending
+            assert.strictEqual(called, true)
+        })
+    })
+
+    describe('res.sse()', () => {
+        it('should send event-stream headers immediately', () => {
+            const uRes = mockStreamingURes()
+            const res = createResponse(uRes)
+            const sse = res.sse({ heartbeat: 0 })
+
+            assert.strictEqual(uRes._captured.status, '200 OK')
+            assert.strictEqual(uRes._captured.headers['content-type'], 'text/event-stream; charset=utf-8')
+            assert.strictEqual(uRes._captured.headers['cache-control'], 'no-cache')
+            assert.strictEqual(sse.open, true)
+            assert.strictEqual(res.sent, true)
+        })
+
+        it('should send the retry hint first', () => {
+            const uRes = mockStreamingURes()
+            createResponse(uRes).sse({ retry: 3000, heartbeat: 0 })
+            assert.strictEqual(uRes.body(), 'retry: 3000\n\n')
+        })
+
+        it('should format events with id, event and multi-line data', () => {
+            const uRes = mockStreamingURes()
+            const sse = createResponse(uRes).sse({ retry: 1, heartbeat: 0 })
+            uRes._captured.chunks.length = 0
+
+            sse.send({ id: 7, event: 'tick', data: 'line one\nline two' })
+            sse.send({ data: { count: 1 } })
+            assert.strictEqual(uRes.body(),
+                'id: 7\nevent: tick\ndata: line one\ndata: line two\n\n' +
+                'data: {"count":1}\n\n'
+            )
+        })
+
+        it('should not let ids or event names inject fields', () => {
+            const uRes = mockStreamingURes()
+            const sse = createResponse(uRes).sse({ retry: 1, heartbeat: 0 })
+            uRes._captured.chunks.length = 0
+
+            sse.send({ event: 'a\ndata: injected', data: 'x' })
+            assert.strictEqual(uRes.body(), 'event: adata: injected\ndata: x\n\n')
+        })
+
+        it('should send comments', () => {
+            const uRes = mockStreamingURes()
+            const sse = createResponse(uRes).sse({ retry: 1, heartbeat: 0 })
+            uRes._captured.chunks.length = 0
+
+            sse.comment('hello')
+            assert.strictEqual(uRes.body(), ': hello\n\n')
+        })
+
+        it('should send heartbeats on an interval', async () => {
+            const uRes = mockStreamingURes()
+            const sse = createResponse(uRes).sse({ heartbeat: 5 })
+            await new Promise((resolve) => setTimeout(resolve, 30))
+            sse.close()
+
+            assert.ok(uRes.body().includes(': ping\n\n'))
+        })
+
+        it('should end the response and fire onClose on close()', () => {
+            const uRes = mockStreamingURes()
+            const sse = createResponse(uRes).sse({ heartbeat: 0 })
+            let closed = 0
+            sse.onClose(() => closed++)
+
+            sse.close()
+            sse.close()
+            assert.strictEqual(closed, 1)
+            assert.strictEqual(uRes._captured.ended, true)
+            assert.strictEqual(sse.open, false)
+            assert.strictEqual(sse.send({ data: 'late' }), false)
+        })
+
+        it('should fire onClose and stop writing when the client aborts', () => {
+            const uRes = mockStreamingURes()
+            const res = createResponse(uRes)
+            const sse = res.sse({ heartbeat: 1000 })
+            let closed = false
+            sse.onClose(() => { closed = true })
+
+            res._abort()
+            assert.strictEqual(closed, true)
+            assert.strictEqual(sse.open, false)
+            assert.strictEqual(sse.send({ data: 'late' }), false)
+            assert.strictEqual(uRes._captured.ended, false)
+        })
+    })
+
+    describe('HEAD responses', () => {
+        it('should report the body length without sending the body', () => {
+            const uRes = mockURes()
+            createResponse(uRes, { head: true }).send('Hello from RoachJS!')
+
+            assert.strictEqual(uRes._captured.body, null)
+            assert.strictEqual(uRes._captured.reportedLength, 19)
+            assert.strictEqual(uRes._captured.headers['content-type'], 'text/plain; charset=utf-8')
+            assert.strictEqual(uRes._captured.ended, true)
+        })
+
+        it('should report the serialized JSON length', () => {
+            const uRes = mockURes()
+            createResponse(uRes, { head: true }).json({ hello: 'wörld' })
+
+            assert.strictEqual(uRes._captured.reportedLength, Buffer.byteLength('{"hello":"wörld"}'))
+            assert.strictEqual(uRes._captured.body, null)
+        })
+
+        it('should end without a length when there is no body', () => {
+            const uRes = mockURes()
+            createResponse(uRes, { head: true }).status(204).end()
+
+            assert.strictEqual(uRes._captured.status, '204 No Content')
+            assert.strictEqual(uRes._captured.reportedLength, undefined)
+            assert.strictEqual(uRes._captured.ended, true)
+        })
+
+        it('should not write streamed chunks', async () => {
+            const uRes = mockStreamingURes()
+            const res = createResponse(uRes, { head: true })
+            res.write('abc')
+            res.end()
+            assert.strictEqual(uRes.body(), '')
+
+            const sized = mockStreamingURes()
+            const source = Readable.from(['abc'])
+            await createResponse(sized, { head: true }).stream(source, { size: 3 })
+            assert.strictEqual(sized._captured.reportedLength, 3)
+            assert.strictEqual(sized.body(), '')
+            assert.strictEqual(source.destroyed, true)
+        })
+
+        it('should close SSE streams right after the headers', () => {
+            const uRes = mockStreamingURes()
+            const sse = createResponse(uRes, { head: true }).sse()
+
+            assert.strictEqual(sse.open, false)
+            assert.strictEqual(uRes._captured.headers['content-type'], 'text/event-stream; charset=utf-8')
+            assert.strictEqual(uRes.body(), '')
+        })
+    })
 })
@@ -1,12 +1,12 @@
 /**
  * @description Comprehensive tests for the RoachJS Radix Tree router.
- * Covers static routes, parametric routes, wildcards, route conflicts,
- * edge splitting, multiple methods, and not-found scenarios.
+ * Covers static routes, parametric and constrained routes, wildcards, route conflicts,
+ * edge splitting, multiple methods, path normalization, and not-found scenarios.
  */
 
 import { describe, it } from 'node:test'
 import assert from 'node:assert/strict'
-import { Router } from '../src/router.js'
+import { Router, expandOptional, buildPath, prefixPath, normalizePath, encodePath, compareVersions } from '../src/router.js'
 
 const noop = () => { }
 
@@ -123,6 +123,211 @@ describe('Router', () => {
         })
     })
 
+    describe('constrained parameters', () => {
+        it('should only match segments that satisfy a regex constraint', () => {
+            const router = new Router()
+            router.add('GET', '/users/:id(\\d+)', [], noop)
+            assert.strictEqual(router.find('GET', '/users/42').params.id, '42')
+            assert.strictEqual(router.find('GET', '/users/bob'), null)
+        })
+
+        it('should anchor constraints to the whole segment', () => {
+            const router = new Router()
+            router.add('GET', '/users/:id(\\d+)', [], noop)
+            assert.strictEqual(router.find('GET', '/users/42abc'), null)
+        })
+
+        it('should coerce typed params', () => {
+            const router = new Router()
+            router.add('GET', '/items/:id<int>', [], noop)
+            router.add('GET', '/prices/:amount<number>', [], noop)
+            assert.strictEqual(router.find('GET', '/items/7').params.id, 7)
+            assert.strictEqual(router.find('GET', '/items/-3').params.id, -3)
+            assert.strictEqual(router.find('GET', '/prices/9.99').params.amount, 9.99)
+            assert.strictEqual(router.find('GET', '/items/seven'), null)
+        })
+
+        it('should not match int params beyond the safe integer range', () => {
+            const router = new Router()
+            const byName = () => 'name'
+            router.add('GET', '/items/:id<int>', [], noop)
+            router.add('GET', '/items/:name', [], byName)
+            assert.strictEqual(router.find('GET', '/items/9007199254740991').params.id, Number.MAX_SAFE_INTEGER)
+            assert.strictEqual(router.find('GET', '/items/-9007199254740991').params.id, -Number.MAX_SAFE_INTEGER)
+
+            const match = router.find('GET', '/items/9007199254740993')
+            assert.strictEqual(match.handler, byName)
+            assert.deepStrictEqual(match.params, { name: '9007199254740993' })
+            assert.strictEqual(router.find('GET', '/items/-9007199254740992').handler, byName)
+        })
+
+        it('should validate uuid params without coercing them', () => {
+            const router = new Router()
+            router.add('GET', '/orders/:ref<uuid>', [], noop)
+            const ref = '3f2504e0-4f89-11d3-9a0c-0305e82c3301'
+            assert.strictEqual(router.find('GET', `/orders/${ref}`).params.ref, ref)
+            assert.strictEqual(router.find('GET', '/orders/not-a-uuid'), null)
+        })
+
+        it('should match static, then constrained, then unconstrained params', () => {
+            const router = new Router()
+            const me = () => 'me'
+            const byId = () => 'id'
+            const bySlug = () => 'slug'
+            const byName = () => 'name'
+
+            router.add('GET', '/users/:name', [], byName)
+            router.add('GET', '/users/:id(\\d+)', [], byId)
+            router.add('GET', '/users/:slug<uuid>', [], bySlug)
+            router.add('GET', '/users/me', [], me)
+
+            assert.strictEqual(router.find('GET', '/users/me').handler, me)
+            assert.strictEqual(router.find('GET', '/users/42').handler, byId)
+            assert.strictEqual(router.find('GET', '/users/3f2504e0-4f89-11d3-9a0c-0305e82c3301').handler, bySlug)
+            assert.strictEqual(router.find('GET', '/users/bob').handler, byName)
+        })
+
+        it('should fall through to the next candidate when a deeper match fails', () => {
+            const router = new Router()
+            const posts = () => 'posts'
+            router.add('GET', '/users/:id<int>/profile', [], noop)
+            router.add('GET', '/users/:name/posts', [], posts)
+
+            const result = router.find('GET', '/users/42/posts')
+            assert.strictEqual(result.handler, posts)
+            assert.deepStrictEqual(result.params, { name: '42' })
+        })
+
+        it('should share a node between routes with the same constraint', () => {
+            const router = new Router()
+            router.add('GET', '/users/:id<int>', [], noop)
+            assert.doesNotThrow(() => router.add('GET', '/users/:id<int>/posts', [], noop))
+            assert.throws(() => router.add('GET', '/users/:num<int>/likes', [], noop), {
+                name: 'RouteConflictError'
+            })
+        })
+
+        it('should report only methods whose constraints match', () => {
+            const router = new Router()
+            router.add('GET', '/users/:id<int>', [], noop)
+            router.add('DELETE', '/users/:name', [], noop)
+            assert.deepStrictEqual(router.allowedMethods('/users/1'), ['DELETE', 'GET'])
+            assert.deepStrictEqual(router.allowedMethods('/users/bob'), ['DELETE'])
+        })
+
+        it('should reject unknown types and invalid regexes', () => {
+            const router = new Router()
+            assert.throws(() => router.add('GET', '/a/:id<integer>', [], noop), { name: 'InvalidRouteError' })
+            assert.throws(() => router.add('GET', '/b/:id([)', [], noop), { name: 'InvalidRouteError' })
+            assert.throws(() => router.add('GET', '/c/:<int>', [], noop), { name: 'InvalidRouteError' })
+        })
+    })
+
+    describe('optional parameters', () => {
+        it('should match with and without an optional trailing param', () => {
+            const router = new Router()
+            router.add('GET', '/posts/:id?', [], noop)
+            assert.deepStrictEqual(router.find('GET', '/posts').params, {})
+            assert.deepStrictEqual(router.find('GET', '/posts/5').params, { id: '5' })
+        })
+
+        it('should support several optional params with constraints', () => {
+            const router = new Router()
+            router.add('GET', '/archive/:year<int>?/:month?', [], noop)
+            assert.deepStrictEqual(router.find('GET', '/archive').params, {})
+            assert.deepStrictEqual(router.find('GET', '/archive/2024').params, { year: 2024 })
+            assert.deepStrictEqual(router.find('GET', '/archive/2024/05').params, { year: 2024, month: '05' })
+            assert.strictEqual(router.find('GET', '/archive/latest'), null)
+        })
+
+        it('should register none of the paths when one of them conflicts', () => {
+            const router = new Router()
+            router.add('GET', '/posts/:id', [], noop)
+            assert.throws(() => router.add('GET', '/posts/:id?', [], noop), { name: 'RouteConflictError' })
+            assert.strictEqual(router.find('GET', '/posts'), null)
+            assert.strictEqual(router.routes.length, 1)
+
+            router.add('GET', '/files/:id/raw', [], noop)
+            assert.throws(() => router.add('GET', '/files/:name?', [], noop), { name: 'RouteConflictError' })
+            assert.strictEqual(router.find('GET', '/files'), null)
+            assert.doesNotThrow(() => router.add('GET', '/files/:id?', [], noop))
+            assert.deepStrictEqual(router.find('GET', '/files').params, {})
+        })
+
+        it('should register none of the versions when one of them conflicts', () => {
+            const router = new Router()
+            router.add('GET', '/docs/:page', [], noop, { version: '2' })
+            assert.throws(() => router.add('GET', '/docs/:page?', [], noop, { version: '2' }), { name: 'RouteConflictError' })
+            assert.strictEqual(router.find('GET', '/docs'), null)
+        })
+
+        it('should record the route once with its original path', () => {
+            const router = new Router()
+            router.add('GET', '/posts/:id?', [], noop)
+            assert.deepStrictEqual(router.routes.map(r => r.path), ['/posts/:id?'])
+        })
+
+        it('should conflict with a route it already covers', () => {
+            const router = new Router()
+            router.add('GET', '/posts', [], noop)
+            assert.throws(() => router.add('GET', '/posts/:id?', [], noop), { name: 'RouteConflictError' })
+        })
+
+        it('should reject optional params before required segments', () => {
+            const router = new Router()
+            assert.throws(() => router.add('GET', '/posts/:id?/edit', [], noop), { name: 'InvalidRouteError' })
+        })
+
+        it('should expand to every concrete path, shortest first', () => {
+            assert.deepStrictEqual(expandOptional('/archive/:year?/:month?'), ['/archive', '/archive/:year', '/archive/:year/:month'])
+            assert.deepStrictEqual(expandOptional('/:lang?'), ['/', '/:lang'])
+            assert.deepStrictEqual(expandOptional('/users/:id'), ['/users/:id'])
+        })
+    })
+
+    describe('multi-param segments', () => {
+        it('should split a segment on literal separators', () => {
+            const router = new Router()
+            router.add('GET', '/files/:name.:ext', [], noop)
+            assert.deepStrictEqual(router.find('GET', '/files/report.pdf').params, { name: 'report', ext: 'pdf' })
+            assert.strictEqual(router.find('GET', '/files/README'), null)
+        })
+
+        it('should give earlier params as much of the segment as possible', () => {
+            const router = new Router()
+            router.add('GET', '/files/:name.:ext', [], noop)
+            assert.deepStrictEqual(router.find('GET', '/files/archive.tar.gz').params, { name: 'archive.tar', ext: 'gz' })
+        })
+
+        it('should apply constraints and coercion per param', () => {
+            const router = new Router()
+            router.add('GET', '/range/:from<int>-:to<int>', [], noop)
+            assert.deepStrictEqual(router.find('GET', '/range/10-20').params, { from: 10, to: 20 })
+            assert.strictEqual(router.find('GET', '/range/a-b'), null)
+            assert.strictEqual(router.find('GET', '/range/1-9007199254740993'), null)
+        })
+
+        it('should support a literal prefix', () => {
+            const router = new Router()
+            router.add('GET', '/api/v:major.:minor/status', [], noop)
+            assert.deepStrictEqual(router.find('GET', '/api/v1.2/status').params, { major: '1', minor: '2' })
+        })
+
+        it('should rank multi-param segments ahead of a plain param', () => {
+            const router = new Router()
+            const file = () => 'file'
+            router.add('GET', '/files/:id', [], noop)
+            router.add('GET', '/files/:name.:ext', [], file)
+            assert.strictEqual(router.find('GET', '/files/a.txt').handler, file)
+            assert.strictEqual(router.find('GET', '/files/42').handler, noop)
+        })
+
+        it('should reject params with no separator between them', () => {
+            const router = new Router()
+            assert.throws(() => router.add('GET', '/a/:x:y', [], noop), { name: 'InvalidRouteError' })
+        })
+    })
+
     describe('wildcard routes', () => {
         it('should match a wildcard route', () => {
             const router = new Router()
@@ -151,6 +356,19 @@ describe('Router', () => {
             assert.strictEqual(router.find('GET', '/assets/logo.png').handler, staticH)
             assert.strictEqual(router.find('GET', '/assets/other/thing.js').handler, wildcardH)
         })
+
+        it('should capture a named wildcard under its name', () => {
+            const router = new Router()
+            router.add('GET', '/static/*path', [], noop)
+            const result = router.find('GET', '/static/css/site.css')
+            assert.deepStrictEqual(result.params, { path: 'css/site.css' })
+        })
+
+        it('should throw on differently named wildcards at the same level', () => {
+            const router = new Router()
+            router.add('GET', '/static/*path', [], noop)
+            assert.throws(() => router.add('POST', '/static/*file', [], noop), { name: 'RouteConflictError' })
+        })
     })
 
     describe('multiple HTTP methods', () => {
@@ -230,7 +448,476 @@ describe('Router', () => {
         })
     })
 
+    describe('allowed methods', () => {
+        it('should list methods registered for a static path', () => {
+            const router = new Router()
+            router.add('GET', '/users', [], noop)
+            router.add('POST', '/users', [], noop)
+            assert.deepStrictEqual(router.allowedMethods('/users'), ['GET', 'POST'])
+        })
+
+        it('should list methods for a parametric path', () => {
+            const router = new Router()
+            router.add('PUT', '/users/:id', [], noop)
+            router.add('GET', '/users/:id', [], noop)
+            assert.deepStrictEqual(router.allowedMethods('/users/1'), ['GET', 'PUT'])
+        })
+
+        it('should union methods across static, param and wildcard branches', () => {
+            const router = new Router()
+            router.add('GET', '/files/readme', [], noop)
+            router.add('DELETE', '/files/:name', [], noop)
+            router.add('POST', '/files/*', [], noop)
+            assert.deepStrictEqual(router.allowedMethods('/files/readme'), ['DELETE', 'GET', 'POST'])
+            assert.deepStrictEqual(router.allowedMethods('/files/a/b'), ['POST'])
+        })
+
+        it('should return an empty list for unknown paths', () => {
+            const router = new Router()
+            router.add('GET', '/users', [], noop)
+            assert.deepStrictEqual(router.allowedMethods('/posts'), [])
+        })
+    })
+
+    describe('route options', () => {
+        it('should return route options with static matches', () => {
+            const router = new Router()
+            router.add('POST', '/upload', [], noop, { body: 'stream' })
+            assert.deepStrictEqual(router.find('POST', '/upload').options, { body: 'stream' })
+        })
+
+        it('should return route options with parametric matches', () => {
+            const router = new Router()
+            router.add('PUT', '/files/:name', [], noop, { body: 'stream' })
+            assert.strictEqual(router.find('PUT', '/files/a.txt').options.body, 'stream')
+        })
+
+        it('should default to empty options', () => {
+            const router = new Router()
+            router.add('GET', '/users/:id', [], noop)
+            assert.deepStrictEqual(router.find('GET', '/users/1').options, {})
+        })
+    })
+
+    describe('mounting', () => {
+        it('should copy routes under a prefix', () => {
+            const api = new Router()
+            const getUser = () => { }
+            api.add('GET', '/users/:id', [], getUser)
+            api.add('GET', '/ping', [], noop)
+
+            const router = new Router()
+            router.mount('/api', api)
+
+            const match = router.find('GET', '/api/users/42')
+            assert.strictEqual(match.handler, getUser)
+            assert.strictEqual(match.params.id, '42')
+            assert.ok(router.find('GET', '/api/ping'))
+            assert.strictEqual(router.find('GET', '/ping'), null)
+        })
+
+        it('should map a sub-router root route onto the prefix itself', () => {
+            const api = new Router()
+            api.add('GET', '/', [], noop)
+
+            const router = new Router()
+            router.mount('/api', api)
+            assert.ok(router.find('GET', '/api'))
+        })
+
+        it('should mount at the root with an empty prefix', () => {
+            const site = new Router()
+            site.add('GET', '/', [], noop)
+            site.add('GET', '/about', [], noop)
+
+            const router = new Router()
+            router.mount('', site)
+            assert.ok(router.find('GET', '/'))
+            assert.ok(router.find('GET', '/about'))
+        })
+
+        it('should return scope data with matches', () => {
+            const api = new Router()
+            api.add('GET', '/ping', [], noop)
+            api.add('GET', '/users/:id', [], noop)
+
+            const router = new Router()
+            router.add('GET', '/', [], noop)
+            router.mount('/api', api, ['api'])
+
+            assert.deepStrictEqual(router.find('GET', '/api/ping').scopes, ['api'])
+            assert.deepStrictEqual(router.find('GET', '/api/users/1').scopes, ['api'])
+            assert.deepStrictEqual(router.find('GET', '/').scopes, [])
+        })
+
+        it('should keep middleware and options of copied routes', () => {
+            const mw = () => { }
+            const api = new Router()
+            api.add('POST', '/upload', [mw], noop, { body: 'stream' })
+
+            const router = new Router()
+            router.mount('/api', api)
+            const match = router.find('POST', '/api/upload')
+            assert.deepStrictEqual(match.middleware, [mw])
+            assert.strictEqual(match.options.body, 'stream')
+        })
+
+        it('should throw on routes that already exist', () => {
+            const api = new Router()
+            api.add('GET', '/ping', [], noop)
+
+            const router = new Router()
+            router.add('GET', '/api/ping', [], noop)
+            assert.throws(() => router.mount('/api', api), { name: 'RouteConflictError' })
+        })
+
+        it('should let the tree decide between static and param routes', () => {
+            const api = new Router()
+            const ping = () => { }
+            api.add('GET', '/ping', [], ping)
+
+            const router = new Router()
+            router.add('GET', '/api/:name', [], noop)
+            router.mount('/api', api)
+            assert.strictEqual(router.find('GET', '/api/ping').handler, ping)
+            assert.strictEqual(router.find('GET', '/api/pong').handler, noop)
+        })
+
+        it('should leave the mounted router untouched', () => {
+            const api = new Router()
+            api.add('GET', '/ping', [], noop)
+
+            const router = new Router()
+            router.mount('/v1', api)
+            router.mount('/v2', api)
+            assert.strictEqual(api.routes.length, 1)
+            assert.strictEqual(router.routes.length, 2)
+            assert.ok(router.find('GET', '/v2/ping'))
+        })
+
+        it('should copy a single route added after mounting', () => {
+            const api = new Router()
+            const router = new Router()
+            router.mount('/api', api, ['api'])
+
+            const health = () => { }
+            const route = api.add('GET', '/health', [], health)
+            router.mountRoute('/api', route, ['api'])
+
+            const match = router.find('GET', '/api/health')
+            assert.strictEqual(match.handler, health)
+            assert.deepStrictEqual(match.scopes, ['api'])
+        })
+    })
+
+    describe('named routes', () => {
+        it('should index routes by name', () => {
+            const router = new Router()
+            router.add('GET', '/users/:id', [], noop, { name: 'user.show' })
+            assert.strictEqual(router.names.get('user.show').path, '/users/:id')
+        })
+
+        it('should allow one name across methods of the same path', () => {
+            const router = new Router()
+            router.add('GET', '/users/:id', [], noop, { name: 'user' })
+            assert.doesNotThrow(() => router.add('PUT', '/users/:id', [], noop, { name: 'user' }))
+        })
+
+        it('should reject a name already used by another path', () => {
+            const router = new Router()
+            router.add('GET', '/users/:id', [], noop, { name: 'user' })
+            assert.throws(() => router.add('GET', '/people/:id', [], noop, { name: 'user' }), {
+                name: 'InvalidRouteError'
+            })
+        })
+
+        it('should not claim names for mounted routes', () => {
+            const api = new Router()
+            api.add('GET', '/ping', [], noop, { name: 'ping' })
+
+            const router = new Router()
+            router.add('GET', '/ping', [], noop, { name: 'ping' })
+            router.mount('/v1', api)
+            router.mount('/v2', api)
+            assert.strictEqual(router.names.get('ping').path, '/ping')
+        })
+    })
+
+    describe('buildPath()', () => {
+        it('should fill and encode params', () => {
+            assert.strictEqual(buildPath('/users/:id', { id: 42 }), '/users/42')
+            assert.strictEqual(buildPath('/tags/:tag', { tag: 'a b/c' }), '/tags/a%20b%2Fc')
+            assert.strictEqual(buildPath('/', {}), '/')
+        })
+
+        it('should check constrained params', () => {
+            assert.strictEqual(buildPath('/users/:id<int>', { id: 7 }), '/users/7')
+            assert.throws(() => buildPath('/users/:id<int>', { id: 'me' }), { code: 'URL_PARAM_INVALID' })
+            assert.throws(() => buildPath('/users/:id<int>', { id: 2n ** 60n }), { code: 'URL_PARAM_INVALID' })
+            assert.throws(() => buildPath('/users/:id(\\d+)', { id: 'x' }), { code: 'URL_PARAM_INVALID' })
+        })
+
+        it('should throw a descriptive error for missing params', () => {
+            assert.throws(() => buildPath('/users/:id', {}, 'user.show'), {
+                name: 'RoachError',
+                code: 'URL_PARAM_MISSING',
+                message: 'Missing param "id" for route "user.show"'
+            })
+        })
+
+        it('should leave out missing optional params', () => {
+            assert.strictEqual(buildPath('/archive/:year?/:month?', {}), '/archive')
+            assert.strictEqual(buildPath('/archive/:year?/:month?', { year: 2024 }), '/archive/2024')
+            assert.strictEqual(buildPath('/:lang?', {}), '/')
+        })
+
+        it('should fill multi-param segments', () => {
+            assert.strictEqual(buildPath('/files/:name.:ext', { name: 'my report', ext: 'pdf' }), '/files/my%20report.pdf')
+            assert.throws(() => buildPath('/range/:from<int>-:to<int>', { from: 1, to: 'z' }), { code: 'URL_PARAM_INVALID' })
+            assert.throws(() => buildPath('/range/:from<int>-:to<int>', { from: 1, to: '9007199254740993' }), {
+                code: 'URL_PARAM_INVALID',
+                message: /Param "to" = "9007199254740993"/
+            })
+        })
+
+        it('should keep slashes in wildcard values', () => {
+            assert.strictEqual(buildPath('/static/*path', { path: 'css/my site.css' }), '/static/css/my%20site.css')
+            assert.strictEqual(buildPath('/files/*', { '*': 'a/b' }), '/files/a/b')
+        })
+
+        it('should join mount prefixes', () => {
+            assert.strictEqual(prefixPath('/api', '/users'), '/api/users')
+            assert.strictEqual(prefixPath('/api', '/'), '/api')
+            assert.strictEqual(prefixPath('', '/'), '/')
+        })
+    })
+
+    describe('case sensitivity', () => {
+        it('should match case-sensitively by default', () => {
+            const router = new Router()
+            router.add('GET', '/Users', [], noop)
+            router.add('GET', '/Users/:id', [], noop)
+            assert.strictEqual(router.find('GET', '/users'), null)
+            assert.strictEqual(router.find('GET', '/users/1'), null)
+        })
+
+        it('should ignore case in static segments when caseSensitive is false', () => {
+            const router = new Router({ caseSensitive: false })
+            router.add('GET', '/Users', [], noop)
+            router.add('GET', '/users/:id/Posts', [], noop)
+
+            assert.ok(router.find('GET', '/USERS'))
+            assert.ok(router.find('GET', '/users/7/posts'))
+            assert.deepStrictEqual(router.allowedMethods('/USERS/7/POSTS'), ['GET'])
+        })
+
+        it('should keep the case of param values', () => {
+            const router = new Router({ caseSensitive: false })
+            router.add('GET', '/users/:name', [], noop)
+            assert.strictEqual(router.find('GET', '/USERS/Oggy').params.name, 'Oggy')
+        })
+
+        it('should treat routes differing only in case as conflicts', () => {
+            const router = new Router({ caseSensitive: false })
+            router.add('GET', '/users', [], noop)
+            assert.throws(() => router.add('GET', '/Users', [], noop), { name: 'RouteConflictError' })
+        })
+    })
+
+    describe('trailing slashes', () => {
+        it('should ignore trailing slashes by default, for static and parametric routes', () => {
+            const router = new Router()
+            router.add('GET', '/users', [], noop)
+            router.add('GET', '/users/:id', [], noop)
+
+            assert.ok(router.find('GET', '/users/'))
+            assert.strictEqual(router.find('GET', '/users/1/').params.id, '1')
+        })
+
+        it('should tell trailing slashes apart when strict', () => {
+            const router = new Router({ strictTrailingSlash: true })
+            const list = () => 'list'
+            const dir = () => 'dir'
+            router.add('GET', '/users', [], list)
+            router.add('GET', '/docs/', [], dir)
+            router.add('GET', '/users/:id', [], noop)
+
+            assert.strictEqual(router.find('GET', '/users').handler, list)
+            assert.strictEqual(router.find('GET', '/users/'), null)
+            assert.strictEqual(router.find('GET', '/docs/').handler, dir)
+            assert.strictEqual(router.find('GET', '/docs'), null)
+            assert.strictEqual(router.find('GET', '/users/1/'), null)
+            assert.deepStrictEqual(router.allowedMethods('/users/'), [])
+        })
+
+        it('should keep the trailing slash in strict wildcard values', () => {
+            const router = new Router({ strictTrailingSlash: true })
+            router.add('GET', '/static/*path', [], noop)
+            assert.strictEqual(router.find('GET', '/static/css/').params.path, 'css/')
+            assert.strictEqual(router.find('GET', '/static/css').params.path, 'css')
+        })
+    })
+
+    describe('normalizePath()', () => {
+        it('should leave plain paths untouched', () => {
+            assert.strictEqual(normalizePath('/users/42'), '/users/42')
+            assert.strictEqual(normalizePath('/users/'), '/users/')
+        })
+
+        it('should percent-decode segments', () => {
+            assert.strictEqual(normalizePath('/users/j%C3%B6rg'), '/users/jörg')
+            assert.strictEqual(normalizePath('/a%20b/c'), '/a b/c')
+        })
+
+        it('should resolve dot segments without climbing above the root', () => {
+            assert.strictEqual(normalizePath('/a/./b/../c'), '/a/c')
+            assert.strictEqual(normalizePath('/a/%2e%2E/b'), '/b')
+            assert.strictEqual(normalizePath('/../../etc/passwd'), '/etc/passwd')
+            assert.strictEqual(normalizePath('/a/b/..'), '/a/')
+        })
+
+        it('should collapse repeated slashes', () => {
+            assert.strictEqual(normalizePath('//a///b//'), '/a/b/')
+            assert.strictEqual(normalizePath('//'), '/')
+        })
+
+        it('should keep encoded slashes encoded', () => {
+            assert.strictEqual(normalizePath('/files/a%2Fb'), '/files/a%2Fb')
+            assert.strictEqual(normalizePath('/files/a%2fb'), '/files/a%2Fb')
+            assert.strictEqual(normalizePath('/static/..%2F..%2Fetc'), '/static/..%2F..%2Fetc')
+        })
+
+        it('should keep decoded percent signs apart from encoded slashes', () => {
+            assert.strictEqual(normalizePath('/files/a%252Fb'), '/files/a%252Fb')
+            assert.strictEqual(normalizePath('/files/100%25'), '/files/100%25')
+            assert.strictEqual(normalizePath('/files/%25%2F%2f'), '/files/%25%2F%2F')
+        })
+
+        it('should reject malformed encodings and null bytes with a 400', () => {
+            for (const path of ['/a/%E0%A4%A', '/a/%zz', '/a/%00']) {
+                assert.throws(() => normalizePath(path), { name: 'BadRequestError', statusCode: 400, code: 'MALFORMED_URL' })
+            }
+        })
+
+        it('should give routes fully decoded params without splitting on encoded slashes', () => {
+            const router = new Router()
+            router.add('GET', '/users/:name', [], noop)
+            router.add('GET', '/files/*path', [], noop)
+            router.add('GET', '/range/:from-:to', [], noop)
+
+            assert.strictEqual(router.find('GET', normalizePath('/users/j%C3%B6rg')).params.name, 'jörg')
+            assert.strictEqual(router.find('GET', normalizePath('/users/a%2Fb')).params.name, 'a/b')
+            assert.strictEqual(router.find('GET', normalizePath('/users/a%252Fb')).params.name, 'a%2Fb')
+            assert.strictEqual(router.find('GET', normalizePath('/users/..%2F..%2Fetc')).params.name, '../../etc')
+            assert.strictEqual(router.find('GET', normalizePath('/files/a/../b%20c')).params.path, 'b c')
+            assert.strictEqual(router.find('GET', normalizePath('/files/a%2Fb/c%25')).params.path, 'a/b/c%')
+            assert.deepStrictEqual(router.find('GET', normalizePath('/range/1%25-2%2F3')).params, { from: '1%', to: '2/3' })
+        })
+
+        it('should match static routes containing a percent sign', () => {
+            const router = new Router()
+            const percent = () => 'percent'
+            router.add('GET', '/deals/100%', [], percent)
+            router.add('GET', '/deals/:name', [], noop)
+
+            assert.strictEqual(router.find('GET', normalizePath('/deals/100%25')).handler, percent)
+            assert.strictEqual(router.find('GET', normalizePath('/deals/100%2525')).params.name, '100%25')
+        })
+    })
+
+    describe('encodePath()', () => {
+        it('should round-trip normalized paths', () => {
+            assert.strictEqual(encodePath('/users/jörg'), '/users/j%C3%B6rg')
+            assert.strictEqual(encodePath('/files/a%2Fb'), '/files/a%2Fb')
+            assert.strictEqual(encodePath('/files/a%252Fb'), '/files/a%252Fb')
+            assert.strictEqual(normalizePath(encodePath('/files/100%25 off')), '/files/100%25 off')
+            assert.strictEqual(normalizePath(encodePath('/a b/c')), '/a b/c')
+        })
+    })
+
+    describe('versioned routes', () => {
+        it('should pick the requested version', () => {
+            const router = new Router()
+            const v1 = () => 'v1'
+            const v2 = () => 'v2'
+            router.add('GET', '/users', [], v1, { version: '1' })
+            router.add('GET', '/users', [], v2, { version: '2' })
+
+            assert.strictEqual(router.find('GET', '/users', '1').handler, v1)
+            assert.strictEqual(router.find('GET', '/users', '2').handler, v2)
+            assert.strictEqual(router.find('GET', '/users', '3'), null)
+        })
+
+        it('should prefer the unversioned route, then the highest version, when no version is asked for', () => {
+            const router = new Router()
+            const plain = () => 'plain'
+            const v2 = () => 'v2'
+            const v10 = () => 'v10'
+            router.add('GET', '/users/:id', [], v10, { version: '1.10' })
+            router.add('GET', '/users/:id', [], v2, { version: '1.2' })
+            assert.strictEqual(router.find('GET', '/users/1').handler, v10)
+
+            router.add('GET', '/users/:id', [], plain)
+            assert.strictEqual(router.find('GET', '/users/1').handler, plain)
+            assert.strictEqual(router.find('GET', '/users/1', '7').handler, plain)
+        })
+
+        it('should fall through to other branches when a version is missing', () => {
+            const router = new Router()
+            const me = () => 'me'
+            const byId = () => 'byId'
+            router.add('GET', '/users/me', [], me, { version: '2' })
+            router.add('GET', '/users/:id', [], byId)
+
+            assert.strictEqual(router.find('GET', '/users/me', '2').handler, me)
+            assert.strictEqual(router.find('GET', '/users/me', '1').handler, byId)
+        })
+
+        it('should match versioned wildcard routes', () => {
+            const router = new Router()
+            router.add('GET', '/files/*path', [], noop, { version: '2' })
+            assert.strictEqual(router.find('GET', '/files/a/b', '2').params.path, 'a/b')
+            assert.strictEqual(router.find('GET', '/files/a/b', '1'), null)
+        })
+
+        it('should reject a version registered twice', () => {
+            const router = new Router()
+            router.add('GET', '/users', [], noop, { version: '2' })
+            assert.throws(() => router.add('GET', '/users', [], noop, { version: '2' }), { name: 'RouteConflictError' })
+        })
+
+        it('should list versions and versioned methods', () => {
+            const router = new Router()
+            router.add('GET', '/users', [], noop, { version: '10' })
+            router.add('GET', '/users', [], noop, { version: '9' })
+            router.add('POST', '/users', [], noop, { version: '2' })
+
+            assert.deepStrictEqual(router.allowedVersions('GET', '/users'), ['9', '10'])
+            assert.deepStrictEqual(router.allowedVersions('DELETE', '/users'), [])
+            assert.deepStrictEqual(router.allowedMethods('/users'), ['GET', 'POST'])
+            assert.strictEqual(router.hasVersions, true)
+        })
+
+        it('should order versions numerically', () => {
+            assert.deepStrictEqual(['2', '1.10', '1.9', '1'].sort(compareVersions), ['1', '1.9', '1.10', '2'])
+            assert.deepStrictEqual(['beta', 'alpha'].sort(compareVersions), ['alpha', 'beta'])
+        })
+    })
+
     describe('edge cases', () => {
+        it('should match params under static segments sharing a prefix', () => {
+            const router = new Router()
+            const users = () => 'users'
+            const uploads = () => 'uploads'
+            router.add('GET', '/users/:id', [], users)
+            router.add('GET', '/uploads/:id', [], uploads)
+            router.add('GET', '/user/s/:id', [], noop)
+
+            assert.strictEqual(router.find('GET', '/users/1').handler, users)
+            assert.strictEqual(router.find('GET', '/uploads/1').handler, uploads)
+            assert.strictEqual(router.find('GET', '/user/s/1').handler, noop)
+        })
+
         it('should handle root path with trailing content', () => {
             const router = new Router()
             router.add('GET', '/', [], noop)
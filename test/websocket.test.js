@@ -0,0 +1,384 @@
+/**
+ * @description Tests for RoachJS WebSocket routing.
+ * Covers route registration, radix matching with params, upgrade through the
+ * middleware chain, rejection by middleware, lifecycle dispatch, per-route
+ * uWS behavior options, and routes that collapse into one uWS pattern. Uses mocked uWS objects.
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { WebSocketRouter, toUwsPattern } from '../src/websocket.js'
+import { MiddlewareChain } from '../src/middleware.js'
+
+const mockUWS = { DISABLED: 0, SHARED_COMPRESSOR: 1 }
+
+/**
+ * @description Create a mock uWS app that records ws() registrations.
+ */
+function mockApp() {
+    const registered = []
+    const published = []
+    return {
+        registered,
+        published,
+        ws: (pattern, behavior) => registered.push({ pattern, behavior }),
+        publish: (topic, message, isBinary, compress) => {
+            published.push({ topic, message, isBinary, compress })
+            return true
+        },
+        numSubscribers: (topic) => topic === 'busy' ? 3 : 0
+    }
+}
+
+/**
+ * @description Create a mock uWS upgrade request.
+ */
+function mockUReq(url, headers = {}) {
+    const all = { 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==', ...headers }
+    return {
+        getMethod: () => 'get',
+        getUrl: () => url,
+        getQuery: () => '',
+        getHeader: (name) => all[name] || '',
+        forEach: (cb) => {
+            for (const [key, value] of Object.entries(all)) cb(key, value)
+        }
+    }
+}
+
+/**
+ * @description Create a mock uWS response that records upgrades and writes.
+ */
+function mockURes() {
+    const captured = { upgraded: null, status: null, body: null }
+    return {
+        _captured: captured,
+        onAborted: () => { },
+        cork: (fn) => fn(),
+        writeStatus: (status) => { captured.status = status },
+        writeHeader: () => { },
+        end: (body) => { captured.body = body },
+        upgrade: (userData, key, protocol, extensions, context) => {
+            captured.upgraded = { userData, key, protocol, extensions, context }
+        },
+        getRemoteAddressAsText: () => new TextEncoder().encode('127.0.0.1')
+    }
+}
+
+/**
+ * @description Build the hooks object the app passes to attach().
+ */
+function mockContext(chain = new MiddlewareChain()) {
+    const errors = []
+    return {
+        errors,
+        middlewareChain: chain,
+        onError: (err) => errors.push(err),
+        onNotFound: (req, res) => res.status(404).end()
+    }
+}
+
+/**
+ * @description Wait for pending promise callbacks to run.
+ */
+const tick = () => new Promise((resolve) => setImmediate(resolve))
+
+describe('WebSocketRouter', () => {
+
+    describe('registration', () => {
+        it('should match routes with params through the radix tree', () => {
+            const sockets = new WebSocketRouter()
+            sockets.add('/chat/:room', [], { message: () => { } })
+
+            const match = sockets.find('/chat/general')
+            assert.ok(match)
+            assert.strictEqual(match.params.room, 'general')
+            assert.strictEqual(match.route.path, '/chat/:room')
+        })
+
+        it('should reject a missing handlers object', () => {
+            const sockets = new WebSocketRouter()
+            assert.throws(() => sockets.add('/live', [], undefined), { name: 'InvalidRouteError' })
+        })
+
+        it('should reject non-function lifecycle handlers', () => {
+            const sockets = new WebSocketRouter()
+            assert.throws(() => sockets.add('/live', [], { open: 'nope' }), { name: 'InvalidRouteError' })
+        })
+
+        it('should throw on duplicate routes', () => {
+            const sockets = new WebSocketRouter()
+            sockets.add('/live', [], {})
+            assert.throws(() => sockets.add('/live', [], {}), { name: 'RouteConflictError' })
+        })
+    })
+
+    describe('attaching to uWS', () => {
+        it('should register one behavior per route', () => {
+            const sockets = new WebSocketRouter()
+            sockets.add('/a', [], {})
+            sockets.add('/rooms/:id', [], {})
+
+            const app = mockApp()
+            sockets.attach(app, mockUWS, mockContext())
+            assert.deepStrictEqual(app.registered.map(r => r.pattern), ['/a', '/rooms/:p1'])
+        })
+
+        it('should register every concrete path of a route with optional params', () => {
+            const sockets = new WebSocketRouter()
+            sockets.add('/rooms/:id?', [], {})
+
+            const app = mockApp()
+            sockets.attach(app, mockUWS, mockContext())
+            assert.deepStrictEqual(app.registered.map(r => r.pattern), ['/rooms', '/rooms/:p1'])
+        })
+
+        it('should register routes sharing a uWS pattern once', () => {
+            const sockets = new WebSocketRouter()
+            sockets.add('/ws/:id(\\d+)', [], { maxPayloadLength: 1024 })
+            sockets.add('/ws/:name', [], { maxPayloadLength: 1024 })
+
+            const app = mockApp()
+            sockets.attach(app, mockUWS, mockContext())
+            assert.deepStrictEqual(app.registered.map(r => r.pattern), ['/ws/:p1'])
+            assert.strictEqual(sockets.find('/ws/42').route.path, '/ws/:id(\\d+)')
+            assert.strictEqual(sockets.find('/ws/alice').route.path, '/ws/:name')
+        })
+
+        it('should reject routes sharing a uWS pattern with different options', () => {
+            const sockets = new WebSocketRouter()
+            sockets.add('/ws/:id(\\d+)', [], { maxPayloadLength: 1024, compression: true })
+
+            assert.throws(() => sockets.add('/ws/:name', [], { compression: true }), {
+                name: 'InvalidRouteError',
+                message: /shares the uWS pattern "\/ws\/:p1" with "\/ws\/:id\(\\d\+\)", so both get the same maxPayloadLength/
+            })
+            assert.throws(() => sockets.add('/ws/:name?', [], { maxPayloadLength: 1024, idleTimeout: 30 }), {
+                name: 'InvalidRouteError',
+                message: /idleTimeout/
+            })
+            assert.strictEqual(sockets.find('/ws/alice'), null)
+
+            sockets.add('/ws/:name/:tab', [], { idleTimeout: 30 })
+            assert.strictEqual(sockets.patterns.size, 2)
+        })
+
+        it('should pass per-route options through to the behavior', () => {
+            const sockets = new WebSocketRouter()
+            sockets.add('/live', [], { compression: true, maxPayloadLength: 1024, idleTimeout: 30 })
+            sockets.add('/plain', [], { compression: false })
+
+            const app = mockApp()
+            sockets.attach(app, mockUWS, mockContext())
+            const [live, plain] = app.registered.map(r => r.behavior)
+
+            assert.strictEqual(live.compression, mockUWS.SHARED_COMPRESSOR)
+            assert.strictEqual(live.maxPayloadLength, 1024)
+            assert.strictEqual(live.idleTimeout, 30)
+            assert.strictEqual(plain.compression, mockUWS.DISABLED)
+            assert.strictEqual(plain.maxPayloadLength, undefined)
+        })
+    })
+
+    describe('upgrade', () => {
+        it('should upgrade with params and upgrade hook data', async () => {
+            const sockets = new WebSocketRouter()
+            sockets.add('/chat/:room', [], { upgrade: () => ({ user: 'oggy' }) })
+
+            const app = mockApp()
+            sockets.attach(app, mockUWS, mockContext())
+            const uRes = mockURes()
+            app.registered[0].behavior.upgrade(uRes, mockUReq('/chat/general'), 'ctx')
+            await tick()
+
+            const upgraded = uRes._captured.upgraded
+            assert.ok(upgraded)
+            assert.strictEqual(upgraded.userData.params.room, 'general')
+            assert.strictEqual(upgraded.userData.user, 'oggy')
+            assert.strictEqual(upgraded.userData.req.path, '/chat/general')
+            assert.strictEqual(upgraded.key, 'dGhlIHNhbXBsZSBub25jZQ==')
+            assert.strictEqual(upgraded.context, 'ctx')
+        })
+
+        it('should match decoded paths and reject malformed ones', async () => {
+            const sockets = new WebSocketRouter()
+            sockets.add('/chat/:room', [], {})
+            const context = mockContext()
+            const app = mockApp()
+            sockets.attach(app, mockUWS, context)
+
+            const uRes = mockURes()
+            app.registered[0].behavior.upgrade(uRes, mockUReq('/chat/caf%C3%A9'), 'ctx')
+            await tick()
+            assert.strictEqual(uRes._captured.upgraded.userData.params.room, 'café')
+
+            const bad = mockURes()
+            app.registered[0].behavior.upgrade(bad, mockUReq('/chat/%E0%A4%A'), 'ctx')
+            await tick()
+            assert.strictEqual(bad._captured.upgraded, null)
+            assert.strictEqual(context.errors[0].name, 'BadRequestError')
+        })
+
+        it('should keep req readable in async middleware and upgrade hooks', async () => {
+            const chain = new MiddlewareChain()
+            chain.add(null, async (req, res, next) => {
+                await tick()
+                req.seen = `${req.method} ${req.path} ${req.get('authorization')}`
+                next()
+            })
+
+            const sockets = new WebSocketRouter()
+            sockets.add('/live', [], {
+                upgrade: async (req) => {
+                    await tick()
+                    return { seen: req.seen, ip: req.ip }
+                }
+            })
+            const app = mockApp()
+            sockets.attach(app, mockUWS, mockContext(chain))
+
+            const uReq = mockUReq('/live', { authorization: 'Bearer x' })
+            const uRes = mockURes()
+            let valid = true
+            for (const key of Object.keys(uReq)) {
+                const fn = uReq[key]
+                uReq[key] = (...args) => {
+                    if (!valid) throw new Error(`${key}() called after the upgrade callback returned`)
+                    return fn(...args)
+                }
+            }
+
+            app.registered[0].behavior.upgrade(uRes, uReq, 'ctx')
+            valid = false
+            await tick()
+            await tick()
+            await tick()
+
+            const { userData } = uRes._captured.upgraded
+            assert.strictEqual(userData.seen, 'GET /live Bearer x')
+            assert.strictEqual(userData.ip, '127.0.0.1')
+        })
+
+        it('should let middleware reject the upgrade', async () => {
+            const chain = new MiddlewareChain()
+            chain.add(null, (req, res, next) => {
+                if (!req.get('authorization')) return res.status(401).end()
+                next()
+            })
+
+            const sockets = new WebSocketRouter()
+            sockets.add('/live', [], {})
+            const app = mockApp()
+            sockets.attach(app, mockUWS, mockContext(chain))
+
+            const rejected = mockURes()
+            app.registered[0].behavior.upgrade(rejected, mockUReq('/live'), 'ctx')
+            await tick()
+            assert.strictEqual(rejected._captured.upgraded, null)
+            assert.strictEqual(rejected._captured.status, '401 Unauthorized')
+
+            const accepted = mockURes()
+            app.registered[0].behavior.upgrade(accepted, mockUReq('/live', { authorization: 'Bearer x' }), 'ctx')
+            await tick()
+            assert.ok(accepted._captured.upgraded)
+        })
+
+        it('should run route-level middleware', async () => {
+            const order = []
+            const sockets = new WebSocketRouter()
+            sockets.add('/live', [(req, res, next) => { order.push('mw'); next() }], {
+                upgrade: () => { order.push('upgrade') }
+            })
+            const app = mockApp()
+            sockets.attach(app, mockUWS, mockContext())
+
+            app.registered[0].behavior.upgrade(mockURes(), mockUReq('/live'), 'ctx')
+            await tick()
+            assert.deepStrictEqual(order, ['mw', 'upgrade'])
+        })
+
+        it('should route upgrade hook errors to the error handler', async () => {
+            const sockets = new WebSocketRouter()
+            sockets.add('/live', [], { upgrade: async () => { throw new Error('boom') } })
+            const context = mockContext()
+            const app = mockApp()
+            sockets.attach(app, mockUWS, context)
+
+            const uRes = mockURes()
+            app.registered[0].behavior.upgrade(uRes, mockUReq('/live'), 'ctx')
+            await tick()
+            assert.strictEqual(uRes._captured.upgraded, null)
+            assert.strictEqual(context.errors[0].message, 'boom')
+        })
+    })
+
+    describe('lifecycle dispatch', () => {
+        it('should dispatch events to the matched route handlers', async () => {
+            const events = []
+            const sockets = new WebSocketRouter()
+            sockets.add('/live', [], {
+                open: () => events.push('open'),
+                message: (ws, message, isBinary) => events.push(`message:${message}:${isBinary}`),
+                drain: () => events.push('drain'),
+                close: (ws, code) => events.push(`close:${code}`)
+            })
+            const app = mockApp()
+            sockets.attach(app, mockUWS, mockContext())
+            const { behavior } = app.registered[0]
+
+            const uRes = mockURes()
+            behavior.upgrade(uRes, mockUReq('/live'), 'ctx')
+            await tick()
+            const ws = { getUserData: () => uRes._captured.upgraded.userData }
+
+            behavior.open(ws)
+            behavior.message(ws, 'hi', false)
+            behavior.drain(ws)
+            behavior.close(ws, 1000)
+            assert.deepStrictEqual(events, ['open', 'message:hi:false', 'drain', 'close:1000'])
+        })
+    })
+
+    describe('pub/sub', () => {
+        it('should not publish before the server is attached', () => {
+            const sockets = new WebSocketRouter()
+            assert.strictEqual(sockets.publish('news', 'hello'), false)
+            assert.strictEqual(sockets.numSubscribers('news'), 0)
+        })
+
+        it('should publish through the uWS app with frame options', () => {
+            const sockets = new WebSocketRouter()
+            const app = mockApp()
+            sockets.attach(app, mockUWS, mockContext())
+
+            assert.strictEqual(sockets.publish('news', 'hello'), true)
+            sockets.publish('news', 'bin', { binary: true, compress: true })
+            assert.deepStrictEqual(app.published, [
+                { topic: 'news', message: 'hello', isBinary: false, compress: false },
+                { topic: 'news', message: 'bin', isBinary: true, compress: true }
+            ])
+        })
+
+        it('should report subscriber counts per topic', () => {
+            const sockets = new WebSocketRouter()
+            sockets.attach(mockApp(), mockUWS, mockContext())
+            assert.strictEqual(sockets.numSubscribers('busy'), 3)
+            assert.strictEqual(sockets.numSubscribers('quiet'), 0)
+        })
+    })
+
+    describe('toUwsPattern()', () => {
+        it('should keep static segments', () => {
+            assert.strictEqual(toUwsPattern('/a/b'), '/a/b')
+        })
+
+        it('should convert params and wildcards', () => {
+            assert.strictEqual(toUwsPattern('/users/:id/files/*'), '/users/:p1/files/*')
+        })
+
+        it('should convert multi-param segments and named wildcards', () => {
+            assert.strictEqual(toUwsPattern('/files/:name.:ext'), '/files/:p1')
+            assert.strictEqual(toUwsPattern('/static/*path'), '/static/*')
+        })
+    })
+})